@@ -0,0 +1,154 @@
+// Builds the Express app. Everything with side effects is passed in, so the same app runs against MongoDB
+// in production (see index.js) and in-process against the in-memory database (db/memory.js):
+//   db                    - database from db/mongo.js or db/memory.js
+//   stripe                - Stripe client, or a stub with the methods the payment routes call
+//   clock                 - { now() }, the source of every timestamp the API records
+//   imageStorage          - file storage from storage.js; defaults to the IMAGE_STORAGE settings
+//   mailTransport         - nodemailer transport for notification emails; null sends none
+//   verifyFirebaseIdToken - checks a Firebase ID token and resolves to its decoded claims
+//   logger                - structured logger from lib/logger.js; defaults to JSON lines on stdout
+const EventEmitter = require('events');
+const express = require('express');
+const cors = require('cors');
+const { createNotifier } = require('./notifications');
+const { createLogger } = require('./lib/logger');
+const { notFoundHandler, createErrorHandler } = require('./errors');
+const { FileValidationError, createStorageFromEnv } = require('./storage');
+const { getCollections, createIndexes } = require('./db/collections');
+const { createRoleMiddleware, readOptionalToken } = require('./middleware/auth');
+const { assignRequestId, createRequestLogger } = require('./middleware/requests');
+const { createCorsOptions, securityHeaders } = require('./middleware/security');
+const { RATE_LIMITS, byIp, byUser, createRateLimiter } = require('./middleware/rate-limit');
+const { createUserService } = require('./services/users');
+const { createGuideService } = require('./services/guides');
+const { createBookingService } = require('./services/bookings');
+const { createMessageService } = require('./services/messages');
+const { createCouponService } = require('./services/coupons');
+const { createFileService } = require('./services/files');
+const { createSessionService } = require('./services/sessions');
+const { createAccountService } = require('./services/accounts');
+const { registerRoutes } = require('./routes');
+const { findUnlistedRoutes } = require('./permissions');
+
+const systemClock = { now: () => new Date() };
+
+// TRUST_PROXY is passed to Express's "trust proxy" setting: a hop count, true, or a list of proxy addresses
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+const createApp = ({
+    db,
+    stripe,
+    clock = systemClock,
+    imageStorage = createStorageFromEnv(),
+    mailTransport = null,
+    verifyFirebaseIdToken = () => Promise.reject(new Error('Firebase ID tokens are not configured')),
+    logger = createLogger(),
+} = {}) => {
+    if (!db) {
+        throw new Error('createApp needs a db');
+    }
+    const app = express();
+    app.disable('x-powered-by');
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+    }
+
+    // Checks a Firebase ID token and resolves to its decoded claims; replace on app.locals to stub it out
+    app.locals.verifyFirebaseIdToken = verifyFirebaseIdToken;
+
+    // Stripe client used by route handlers; replace on app.locals to stub it out
+    app.locals.stripe = stripe;
+
+    // Set by index.js while draining requests on shutdown; readiness checks fail and connections are not kept alive
+    app.locals.shuttingDown = false;
+
+    // Middleware
+    app.use(assignRequestId);
+    app.use(createRequestLogger(logger));
+    app.use((req, res, next) => {
+        if (app.locals.shuttingDown) {
+            res.setHeader('Connection', 'close');
+        }
+        next();
+    });
+    app.use(securityHeaders);
+    app.use(cors(createCorsOptions()));
+
+    // Brute-force protection: sign-in routes per IP, payment intents per user and per IP
+    const limit = (options, key) => createRateLimiter({ ...options, key, clock });
+    app.use(['/jwt', '/register', '/auth/refresh'], limit({ name: 'signIn', ...RATE_LIMITS.signIn }, byIp));
+    app.use(
+        '/create-payment-intent',
+        limit({ name: 'paymentPerIp', ...RATE_LIMITS.paymentPerIp }, byIp),
+        readOptionalToken,
+        limit({ name: 'paymentPerUser', ...RATE_LIMITS.paymentPerUser }, byUser),
+    );
+
+    // Keep the raw request body around; Stripe signs the exact bytes it sends
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true }));
+
+    // Route handler for the root URL
+    app.get('/', (req, res) => {
+        res.send('Server is running');
+    });
+
+    const collections = getCollections(db);
+    createIndexes(collections).catch(error => logger.error('Failed to create indexes', error));
+
+    // Domain events (booking.created, booking.status_changed, guideRequest.decided, guideApplication.needsInfo,
+    // message.created, message.read) for side effects such as notifications and live updates
+    const events = new EventEmitter();
+    const notifier = createNotifier({
+        notificationsCollection: collections.notificationsCollection,
+        userCollection: collections.userCollection,
+        transport: mailTransport,
+        from: process.env.SMTP_FROM || 'EpicEscape <no-reply@epicescape.local>',
+        baseUrl: process.env.CLIENT_URL,
+        clock,
+        logger,
+    });
+    notifier.subscribe(events);
+
+    // Everything route modules share: collections, events, the clock, file storage, the logger,
+    // the database health check, role checks and services
+    const ctx = { ...collections, events, clock, imageStorage, logger, pingDatabase: () => db.ping() };
+    Object.assign(
+        ctx,
+        createRoleMiddleware(ctx),
+        createUserService(ctx),
+        createGuideService(ctx),
+        createBookingService(ctx),
+        createMessageService(ctx),
+        createCouponService(ctx),
+        createFileService(ctx),
+        createSessionService(ctx),
+        createAccountService(ctx),
+    );
+    registerRoutes(app, ctx);
+
+    // Every registered route must appear in ROUTE_PERMISSIONS
+    const unlistedRoutes = findUnlistedRoutes(app);
+    if (unlistedRoutes.length > 0) {
+        logger.warn('Routes missing from ROUTE_PERMISSIONS', { routes: unlistedRoutes });
+    }
+
+    // Unknown routes and every error passed to next() answer with the standard error format
+    app.use(notFoundHandler);
+    app.use(createErrorHandler({ fileErrorTypes: [FileValidationError], logger }));
+
+    return app;
+};
+
+module.exports = {
+    createApp,
+};
@@ -0,0 +1,85 @@
+// The collections the API uses, keyed by the names route modules know them by, and their indexes.
+const COLLECTION_NAMES = {
+    userCollection: 'users',
+    storiesCollection: 'stories',
+    storyCommentsCollection: 'storyComments',
+    packagesCollection: 'packages',
+    wishlistCollection: 'wishlist',
+    wishlistListsCollection: 'wishlistLists',
+    bookingsCollection: 'bookings',
+    paymentCollection: 'payments',
+    communityCollection: 'community',
+    blogCollection: 'blogs',
+    communityRepliesCollection: 'communityReplies',
+    stripeEventsCollection: 'stripeEvents',
+    couponsCollection: 'coupons',
+    reviewsCollection: 'reviews',
+    notificationsCollection: 'notifications',
+    guideApplicationsCollection: 'guideApplications',
+    departuresCollection: 'departures',
+    messagesCollection: 'messages',
+    refreshTokensCollection: 'refreshTokens',
+};
+
+// db is a MongoDB or in-memory database (see db/mongo.js and db/memory.js)
+const getCollections = (db) => Object.fromEntries(
+    Object.entries(COLLECTION_NAMES).map(([key, name]) => [key, db.collection(name)])
+);
+
+const createIndexes = async ({
+    userCollection,
+    storiesCollection,
+    storyCommentsCollection,
+    packagesCollection,
+    wishlistCollection,
+    wishlistListsCollection,
+    communityCollection,
+    blogCollection,
+    communityRepliesCollection,
+    couponsCollection,
+    reviewsCollection,
+    notificationsCollection,
+    guideApplicationsCollection,
+    departuresCollection,
+    messagesCollection,
+    refreshTokensCollection,
+}) => {
+    await packagesCollection.createIndex({ packageName: 'text', about: 'text' });
+    await packagesCollection.createIndex({ type: 1, createdAt: -1 });
+    await packagesCollection.createIndex({ location: '2dsphere' });
+    await storiesCollection.createIndex({ createdAt: -1 });
+    await storiesCollection.createIndex({ email: 1, createdAt: -1 });
+    await storiesCollection.createIndex({ packageId: 1, createdAt: -1 });
+    await storyCommentsCollection.createIndex({ storyId: 1, rootId: 1, createdAt: 1 });
+    // Posts added before the authoring API may have no slug
+    await blogCollection.createIndex({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+    await blogCollection.createIndex({ status: 1, publishAt: -1 });
+    await blogCollection.createIndex({ tags: 1 });
+    await communityCollection.createIndex({ tags: 1, createdAt: -1 });
+    await communityRepliesCollection.createIndex({ postId: 1, createdAt: 1 });
+    await userCollection.createIndex({ role: 1, createdAt: -1 });
+    await userCollection.createIndex({ serviceAreas: '2dsphere' });
+    await wishlistCollection.createIndex({ email: 1, listId: 1, createdAt: -1 });
+    await wishlistListsCollection.createIndex({ email: 1, createdAt: 1 });
+    await wishlistListsCollection.createIndex({ email: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+    await wishlistListsCollection.createIndex({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+    await couponsCollection.createIndex({ code: 1 }, { unique: true });
+    await reviewsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await reviewsCollection.createIndex({ guideId: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ email: 1, read: 1, createdAt: -1 });
+    await guideApplicationsCollection.createIndex({ email: 1, createdAt: -1 });
+    await guideApplicationsCollection.createIndex({ status: 1, createdAt: -1 });
+    await departuresCollection.createIndex({ packageId: 1, date: 1 }, { unique: true });
+    await messagesCollection.createIndex({ bookingId: 1, createdAt: -1 });
+    await refreshTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await refreshTokensCollection.createIndex({ familyId: 1 });
+    await refreshTokensCollection.createIndex({ email: 1, revokedAt: 1 });
+    // MongoDB drops expired refresh tokens on its own
+    await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+};
+
+module.exports = {
+    COLLECTION_NAMES,
+    getCollections,
+    createIndexes,
+};
@@ -0,0 +1,449 @@
+// In-memory backend implementing the part of the MongoDB collection API the routes use, so the API can run
+// in-process against test data without a database server. Queries, updates and aggregation pipelines are
+// evaluated with mingo. Unique indexes (including partial ones) are enforced and raise the driver's
+// duplicate key error (code 11000); $text searches match any of the words in the text-indexed fields;
+// $geoNear, $geoWithin and $geoIntersects work on GeoJSON points and polygons.
+// TTL indexes are accepted but nothing expires. Nothing is persisted and there are no transactions; each call
+// works on its own snapshot of the documents.
+const { ObjectId } = require('mongodb');
+const { update: applyUpdate } = require('mingo');
+const { Context, evalExpr } = require('mingo/core');
+const { Aggregator } = require('mingo/aggregator');
+const { Query } = require('mingo/query');
+const expressionOperators = require('mingo/operators/expression');
+
+// mingo has no ObjectId type, so teach $toString and $convert the conversions the lookups rely on
+const $toString = (obj, expr, options) => {
+    const input = evalExpr(obj, expr, options);
+    return input instanceof ObjectId ? input.toHexString() : expressionOperators.$toString(obj, input, options);
+};
+
+const $convert = (obj, expr, options) => {
+    if (expr?.to === 'string') {
+        const input = evalExpr(obj, expr.input, options);
+        if (input instanceof ObjectId) {
+            return input.toHexString();
+        }
+    }
+    if (expr?.to !== 'objectId') {
+        return expressionOperators.$convert(obj, expr, options);
+    }
+    const input = evalExpr(obj, expr.input, options);
+    if (input === null || input === undefined) {
+        return expr.onNull ?? null;
+    }
+    return ObjectId.isValid(input) ? new ObjectId(input) : expr.onError ?? null;
+};
+
+const isPlainObject = (value) => {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+// Deep copy that keeps ObjectIds, Dates and Buffers intact (structuredClone would flatten ObjectIds)
+const clone = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Geo queries use flat geometry on [longitude, latitude], which is close enough for test data away from
+// the poles and the antimeridian. Only points are matched against polygons.
+const EARTH_RADIUS_METERS = 6378100;
+
+const pointInRing = ([x, y], ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const pointInGeometry = (point, geometry) => {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+    return polygons.some(([outer, ...holes]) => pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+};
+
+const isPoint = (geometry) => geometry?.type === 'Point' && Array.isArray(geometry.coordinates);
+
+// Great-circle distance in meters, as $geoNear reports it for GeoJSON points
+const sphereDistance = ([lng1, lat1], [lng2, lat2]) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Query operators mingo lacks: the stored point is inside a $geometry polygon, or the stored polygon holds a point
+// (a field may also hold an array of geometries, like a multikey 2dsphere index)
+const storedGeometries = (doc, selector) => [getPath(doc, selector)].flat().filter(Boolean);
+
+const $geoWithin = (selector, value) => (doc) => storedGeometries(doc, selector)
+    .some(stored => isPoint(stored) && pointInGeometry(stored.coordinates, value?.$geometry));
+
+const $geoIntersects = (selector, value) => (doc) => {
+    const geometry = value?.$geometry;
+    return storedGeometries(doc, selector).some(stored => {
+        if (isPoint(stored)) {
+            return isPoint(geometry)
+                ? stored.coordinates[0] === geometry.coordinates[0] && stored.coordinates[1] === geometry.coordinates[1]
+                : pointInGeometry(stored.coordinates, geometry);
+        }
+        return isPoint(geometry) && pointInGeometry(geometry.coordinates, stored);
+    });
+};
+
+const context = Context.init({
+    accumulator: require('mingo/operators/accumulator'),
+    expression: { ...expressionOperators, $toString, $convert },
+    pipeline: require('mingo/operators/pipeline'),
+    projection: require('mingo/operators/projection'),
+    query: { ...require('mingo/operators/query'), $geoWithin, $geoIntersects },
+    window: require('mingo/operators/window'),
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const duplicateKeyError = (collectionName, indexName) => Object.assign(
+    new Error(`E11000 duplicate key error collection: ${collectionName} index: ${indexName}`),
+    { code: 11000 }
+);
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+
+// Fields an upsert copies from its filter: plain equalities and $eq
+const filterEqualities = (filter) => Object.fromEntries(
+    Object.entries(filter || {})
+        .filter(([key, value]) => !key.startsWith('$') && (!isOperatorObject(value) || '$eq' in value))
+        .map(([key, value]) => [key, isOperatorObject(value) ? value.$eq : value])
+);
+
+const createCursor = (run) => {
+    const options = {};
+    const cursor = {
+        sort(sort) {
+            options.sort = sort;
+            return cursor;
+        },
+        skip(skip) {
+            options.skip = skip;
+            return cursor;
+        },
+        limit(limit) {
+            options.limit = limit;
+            return cursor;
+        },
+        project(projection) {
+            options.projection = projection;
+            return cursor;
+        },
+        async toArray() {
+            return run(options);
+        },
+        async next() {
+            const [doc] = await run({ ...options, limit: 1 });
+            return doc ?? null;
+        },
+        async *[Symbol.asyncIterator]() {
+            yield* await run(options);
+        },
+    };
+    return cursor;
+};
+
+const createMemoryCollection = (collectionName, { resolveCollection }) => {
+    let documents = [];
+    const indexes = [{ name: '_id_', fields: ['_id'], unique: true }];
+    const queryOptions = {
+        context,
+        collectionResolver: resolveCollection,
+    };
+
+    const textFields = () => indexes.filter(index => index.text).flatMap(index => index.fields);
+
+    // $geoNear has no mingo equivalent: keep documents matching `query` whose point at `key` (default: the
+    // 2dsphere-indexed field) is within range of `near`, nearest first, with the distance in distanceField
+    const geoNear = (docs, { near, distanceField, maxDistance, minDistance, query = {}, key, distanceMultiplier = 1 }) => {
+        const geoFields = indexes.filter(index => index.geo).flatMap(index => index.fields);
+        const field = key || geoFields[0];
+        if (!field || (!key && geoFields.length > 1)) {
+            throw new Error(`$geoNear needs exactly one 2dsphere index or a key on ${collectionName}`);
+        }
+        const filter = new Query(rewriteText(query), queryOptions);
+        return docs
+            .filter(doc => filter.test(doc) && isPoint(getPath(doc, field)))
+            .map(doc => ({ doc, distance: sphereDistance(near.coordinates, getPath(doc, field).coordinates) }))
+            .filter(({ distance }) => (maxDistance === undefined || distance <= maxDistance)
+                && (minDistance === undefined || distance >= minDistance))
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ doc, distance }) => ({ ...doc, [distanceField]: distance * distanceMultiplier }));
+    };
+
+    // $text has no mingo equivalent; match any search word in any text-indexed field instead
+    const rewriteText = (filter = {}) => {
+        if (!filter.$text) {
+            return filter;
+        }
+        const fields = textFields();
+        if (fields.length === 0) {
+            throw new Error(`text index required for $text query on ${collectionName}`);
+        }
+        const { $text, ...rest } = filter;
+        const words = String($text.$search || '').split(/\s+/).filter(Boolean);
+        const pattern = new RegExp(words.map(escapeRegex).join('|') || '$^', 'i');
+        const textMatch = { $or: fields.map(field => ({ [field]: pattern })) };
+        return Object.keys(rest).length > 0 ? { $and: [rest, textMatch] } : textMatch;
+    };
+
+    const matching = (filter, { sort, skip, limit, projection } = {}) => {
+        let cursor = new Query(rewriteText(filter), queryOptions).find(documents, projection);
+        if (sort) {
+            cursor = cursor.sort(sort);
+        }
+        if (skip) {
+            cursor = cursor.skip(skip);
+        }
+        if (limit) {
+            cursor = cursor.limit(limit);
+        }
+        return cursor.all();
+    };
+
+    const inIndex = (index, doc) => !index.partialFilterExpression
+        || new Query(index.partialFilterExpression, queryOptions).test(doc);
+
+    const indexKey = (index, doc) => JSON.stringify(index.fields.map(field => getPath(doc, field) ?? null));
+
+    // Throw the driver's duplicate key error if doc would collide with another document on a unique index
+    const checkUnique = (doc, replacing) => {
+        for (const index of indexes.filter(item => item.unique && inIndex(item, doc))) {
+            const key = indexKey(index, doc);
+            const clash = documents.some(other => other !== replacing && inIndex(index, other) && indexKey(index, other) === key);
+            if (clash) {
+                throw duplicateKeyError(collectionName, index.name);
+            }
+        }
+    };
+
+    const insert = (doc) => {
+        if (doc._id === undefined) {
+            // The driver also sets the generated _id on the caller's document
+            doc._id = new ObjectId();
+        }
+        const stored = clone(doc);
+        checkUnique(stored);
+        documents.push(stored);
+        return doc._id;
+    };
+
+    // Apply an update document to a stored document; returns the new version
+    const applyTo = (doc, update, { inserting = false } = {}) => {
+        const { $setOnInsert, ...modifier } = clone(update);
+        const next = clone(doc);
+        if (Object.keys(modifier).length > 0) {
+            applyUpdate(next, modifier, [], {}, { queryOptions });
+        }
+        if (inserting && $setOnInsert) {
+            applyUpdate(next, { $set: $setOnInsert }, [], {}, { queryOptions });
+        }
+        return next;
+    };
+
+    const replace = (doc, next) => {
+        checkUnique(next, doc);
+        documents = documents.map(item => (item === doc ? next : item));
+        return next;
+    };
+
+    const upsert = (filter, update) => {
+        const base = applyTo({}, { $set: filterEqualities(filter) });
+        const doc = applyTo(base, update, { inserting: true });
+        insert(doc);
+        return doc;
+    };
+
+    const updateResult = (matchedCount, modifiedCount, upsertedId = null) => ({
+        acknowledged: true,
+        matchedCount,
+        modifiedCount,
+        upsertedCount: upsertedId ? 1 : 0,
+        upsertedId,
+    });
+
+    return {
+        collectionName,
+
+        // Current documents, for $lookup from other collections
+        snapshot() {
+            return documents.map(clone);
+        },
+
+        async createIndex(keys, options = {}) {
+            const fields = Object.keys(keys);
+            const name = options.name || Object.entries(keys).map(([field, direction]) => `${field}_${direction}`).join('_');
+            if (indexes.some(index => index.name === name)) {
+                return name;
+            }
+            const index = {
+                name,
+                fields,
+                unique: Boolean(options.unique),
+                text: Object.values(keys).includes('text'),
+                geo: Object.values(keys).includes('2dsphere'),
+                partialFilterExpression: options.partialFilterExpression,
+            };
+            indexes.push(index);
+            if (index.unique) {
+                const seen = new Set();
+                for (const doc of documents.filter(item => inIndex(index, item))) {
+                    const key = indexKey(index, doc);
+                    if (seen.has(key)) {
+                        indexes.pop();
+                        throw duplicateKeyError(collectionName, name);
+                    }
+                    seen.add(key);
+                }
+            }
+            return name;
+        },
+
+        async insertOne(doc) {
+            return { acknowledged: true, insertedId: insert(doc) };
+        },
+
+        async insertMany(docs) {
+            const insertedIds = {};
+            docs.forEach((doc, index) => {
+                insertedIds[index] = insert(doc);
+            });
+            return { acknowledged: true, insertedCount: docs.length, insertedIds };
+        },
+
+        find(filter = {}, options = {}) {
+            return createCursor((cursorOptions) => matching(filter, { ...options, ...cursorOptions }).map(clone));
+        },
+
+        async findOne(filter = {}, options = {}) {
+            const [doc] = matching(filter, { ...options, limit: 1 });
+            return doc ? clone(doc) : null;
+        },
+
+        async countDocuments(filter = {}) {
+            return matching(filter).length;
+        },
+
+        async estimatedDocumentCount() {
+            return documents.length;
+        },
+
+        async updateOne(filter, update, options = {}) {
+            const [doc] = matching(filter, { sort: options.sort, limit: 1 });
+            if (doc) {
+                const next = replace(doc, applyTo(doc, update));
+                return updateResult(1, JSON.stringify(next) === JSON.stringify(doc) ? 0 : 1);
+            }
+            if (options.upsert) {
+                return updateResult(0, 0, upsert(filter, update)._id);
+            }
+            return updateResult(0, 0);
+        },
+
+        async updateMany(filter, update, options = {}) {
+            const docs = matching(filter);
+            if (docs.length === 0 && options.upsert) {
+                return updateResult(0, 0, upsert(filter, update)._id);
+            }
+            let modifiedCount = 0;
+            for (const doc of docs) {
+                const next = replace(doc, applyTo(doc, update));
+                modifiedCount += JSON.stringify(next) === JSON.stringify(doc) ? 0 : 1;
+            }
+            return updateResult(docs.length, modifiedCount);
+        },
+
+        // Like driver v6: resolves to the document itself (before the update unless returnDocument is 'after'), or null
+        async findOneAndUpdate(filter, update, options = {}) {
+            const project = (doc) => (doc && options.projection
+                ? new Query({}, queryOptions).find([doc], options.projection).all()[0]
+                : doc);
+            const [doc] = matching(filter, { sort: options.sort, limit: 1 });
+            if (doc) {
+                const next = replace(doc, applyTo(doc, update));
+                return clone(project(options.returnDocument === 'after' ? next : doc));
+            }
+            if (options.upsert) {
+                const inserted = upsert(filter, update);
+                return options.returnDocument === 'after' ? clone(project(inserted)) : null;
+            }
+            return null;
+        },
+
+        async deleteOne(filter = {}) {
+            const [doc] = matching(filter, { limit: 1 });
+            documents = documents.filter(item => item !== doc);
+            return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+        },
+
+        async deleteMany(filter = {}) {
+            const docs = new Set(matching(filter));
+            documents = documents.filter(item => !docs.has(item));
+            return { acknowledged: true, deletedCount: docs.size };
+        },
+
+        aggregate(pipeline = []) {
+            return createCursor(() => {
+                const [first, ...rest] = pipeline;
+                if (first?.$geoNear) {
+                    return new Aggregator(rest, queryOptions).run(geoNear(documents.map(clone), first.$geoNear));
+                }
+                const stages = first?.$match ? [{ $match: rewriteText(first.$match) }, ...rest] : pipeline;
+                return new Aggregator(stages, queryOptions).run(documents.map(clone));
+            });
+        },
+    };
+};
+
+const createMemoryDatabase = ({ name = 'memory' } = {}) => {
+    const collections = new Map();
+    const collection = (collectionName) => {
+        if (!collections.has(collectionName)) {
+            collections.set(collectionName, createMemoryCollection(collectionName, {
+                resolveCollection: (joined) => collection(joined).snapshot(),
+            }));
+        }
+        return collections.get(collectionName);
+    };
+    return {
+        name,
+        collection,
+        connect: async () => {},
+        ping: async () => ({ ok: 1 }),
+        close: async () => {},
+    };
+};
+
+module.exports = {
+    createMemoryDatabase,
+};
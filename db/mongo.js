@@ -0,0 +1,23 @@
+// MongoDB backend. Collections are the driver's own; the client connects lazily on the first query,
+// so creating the database has no side effects.
+const { MongoClient } = require('mongodb');
+
+const createMongoDatabase = ({ uri, dbName = 'test', clientOptions } = {}) => {
+    if (!uri) {
+        throw new Error('A MongoDB connection string is required');
+    }
+    const client = new MongoClient(uri, clientOptions);
+    const db = client.db(dbName);
+    return {
+        name: dbName,
+        client,
+        collection: (name) => db.collection(name),
+        connect: () => client.connect(),
+        ping: () => db.command({ ping: 1 }),
+        close: () => client.close(),
+    };
+};
+
+module.exports = {
+    createMongoDatabase,
+};
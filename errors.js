@@ -0,0 +1,84 @@
+// One JSON error format for every route: { success: false, code, message, details? }.
+// code is a stable machine-readable string; details lists field-level problems for validation errors.
+const multer = require('multer');
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'UPSTREAM_ERROR',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+// An error with an HTTP status; throw it or pass it to next() to answer with that status
+class HttpError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || 'ERROR';
+        this.details = details;
+    }
+}
+
+const sendError = (res, status, message, { code, details } = {}) => res.status(status).json({
+    success: false,
+    code: code || ERROR_CODES[status] || 'ERROR',
+    message,
+    ...(details ? { details } : {}),
+});
+
+// Map errors from libraries onto HttpErrors; anything unrecognised becomes null (a 500)
+const toHttpError = (err, fileErrorTypes = []) => {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    // body-parser
+    if (err.type === 'entity.parse.failed') {
+        return new HttpError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'Request body is too large');
+    }
+    if (err instanceof multer.MulterError) {
+        return new HttpError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message, { code: 'INVALID_UPLOAD' });
+    }
+    if (fileErrorTypes.some(type => err instanceof type)) {
+        return new HttpError(400, err.message, { code: 'INVALID_UPLOAD' });
+    }
+    // MongoDB duplicate key
+    if (err.code === 11000) {
+        return new HttpError(409, 'A record with the same unique value already exists', { code: 'DUPLICATE' });
+    }
+    return null;
+};
+
+// Answer unmatched routes with the standard 404
+const notFoundHandler = (req, res) => {
+    sendError(res, 404, `Cannot ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' });
+};
+
+// Central error middleware; register it after every route. Internal details are logged, never sent.
+const createErrorHandler = ({ fileErrorTypes = [], logger = console } = {}) => (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    const httpError = toHttpError(err, fileErrorTypes);
+    if (httpError) {
+        return sendError(res, httpError.status, httpError.message, { code: httpError.code, details: httpError.details });
+    }
+    logger.error('Unhandled error', { requestId: req.id, method: req.method, path: req.path, error: err });
+    sendError(res, 500, 'Internal server error');
+};
+
+module.exports = {
+    ERROR_CODES,
+    HttpError,
+    sendError,
+    notFoundHandler,
+    createErrorHandler,
+};
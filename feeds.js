@@ -0,0 +1,66 @@
+// RSS 2.0 and Atom 1.0 documents for syndicating blog posts. Items are plain objects:
+// { id, title, link, summary, content, author, tags, publishedAt, updatedAt, image },
+// where the optional image is { url, contentType, size }.
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toDate = (value) => (value ? new Date(value) : new Date(0));
+
+const buildRssFeed = ({ title, link, feedUrl, description, items }) => {
+    const lastBuildDate = items.length > 0 ? toDate(items[0].updatedAt || items[0].publishedAt) : new Date();
+    const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${toDate(item.publishedAt).toUTCString()}</pubDate>
+${item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>\n` : ''}${(item.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.summary)}</description>
+${item.image ? `      <enclosure url="${escapeXml(item.image.url)}" type="${escapeXml(item.image.contentType)}" length="${item.image.size || 0}"/>\n` : ''}    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(description)}</description>
+    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>
+${entries}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtomFeed = ({ title, link, feedUrl, description, items }) => {
+    const updated = items.length > 0 ? toDate(items[0].updatedAt || items[0].publishedAt) : new Date();
+    const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <id>${escapeXml(item.link)}</id>
+    <published>${toDate(item.publishedAt).toISOString()}</published>
+    <updated>${toDate(item.updatedAt || item.publishedAt).toISOString()}</updated>
+${item.author ? `    <author><name>${escapeXml(item.author)}</name></author>\n` : ''}${(item.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+${item.content ? `    <content type="text">${escapeXml(item.content)}</content>\n` : ''}  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link href="${escapeXml(link)}"/>
+  <link href="${escapeXml(feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+};
+
+module.exports = {
+    escapeXml,
+    buildRssFeed,
+    buildAtomFeed,
+};
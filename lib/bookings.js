@@ -0,0 +1,78 @@
+// Booking statuses and who may move a booking between them.
+
+// Booking lifecycle: each status maps to the statuses it can move to and who may make that move.
+// Actor roles are relative to the booking: 'tourist' booked it, 'guide' is assigned to it,
+// 'admin' is a site admin and 'payment' is the Stripe webhook.
+const BOOKING_STATUS = {
+    IN_REVIEW: 'In Review',
+    ACCEPTED: 'Accepted',
+    REJECTED: 'Rejected',
+    PAID: 'Paid',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+};
+
+const BOOKING_TRANSITIONS = {
+    [BOOKING_STATUS.IN_REVIEW]: {
+        [BOOKING_STATUS.ACCEPTED]: ['guide'],
+        [BOOKING_STATUS.REJECTED]: ['guide'],
+        [BOOKING_STATUS.CANCELLED]: ['tourist', 'admin'],
+    },
+    [BOOKING_STATUS.ACCEPTED]: {
+        [BOOKING_STATUS.PAID]: ['payment'],
+        [BOOKING_STATUS.CANCELLED]: ['tourist', 'admin'],
+    },
+    [BOOKING_STATUS.PAID]: {
+        [BOOKING_STATUS.COMPLETED]: ['guide', 'admin'],
+        [BOOKING_STATUS.CANCELLED]: ['tourist', 'admin'],
+    },
+    [BOOKING_STATUS.REJECTED]: {},
+    [BOOKING_STATUS.COMPLETED]: {},
+    [BOOKING_STATUS.CANCELLED]: {},
+};
+
+// A booking's guide may have been stored by email, name or user ID
+const isAssignedGuide = (booking, user) => {
+    if (!user || user.role !== 'tourguide') {
+        return false;
+    }
+    if (booking.guideId) {
+        return booking.guideId === String(user._id);
+    }
+    return Boolean(booking.guide) && [user.email, user.name, String(user._id)].includes(booking.guide);
+};
+
+// Roles the given user holds with respect to a booking
+const getBookingActorRoles = (booking, user) => {
+    const roles = [];
+    if (!user) {
+        return roles;
+    }
+    if (booking.email === user.email) roles.push('tourist');
+    if (isAssignedGuide(booking, user)) roles.push('guide');
+    if (user.role === 'admin') roles.push('admin');
+    return roles;
+};
+
+// Check whether any of the actor's roles allows moving the booking to nextStatus; returns { allowedRole } or { status, error }
+const checkBookingTransition = (booking, nextStatus, actorRoles) => {
+    if (!Object.prototype.hasOwnProperty.call(BOOKING_TRANSITIONS, nextStatus)) {
+        return { status: 400, error: `Unknown booking status: ${nextStatus}` };
+    }
+    const allowedActors = (BOOKING_TRANSITIONS[booking.status] || {})[nextStatus];
+    if (!allowedActors) {
+        return { status: 409, error: `Cannot change booking from ${booking.status} to ${nextStatus}` };
+    }
+    const allowedRole = actorRoles.find(role => allowedActors.includes(role));
+    if (!allowedRole) {
+        return { status: 403, error: 'forbidden access' };
+    }
+    return { allowedRole };
+};
+
+module.exports = {
+    BOOKING_STATUS,
+    BOOKING_TRANSITIONS,
+    getBookingActorRoles,
+    checkBookingTransition,
+};
@@ -0,0 +1,79 @@
+// Length limits and text parsing shared by stories, comments, community posts and blogs.
+
+// List fields arrive as arrays (JSON bodies), JSON strings or comma-separated text (multipart forms)
+const parseListField = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            list = value.split(',');
+        }
+    }
+    if (!Array.isArray(list)) {
+        list = [list];
+    }
+    return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const MAX_STORY_TITLE_LENGTH = 200;
+
+const MAX_STORY_EXCERPT_LENGTH = 500;
+
+const MAX_STORY_CONTENT_LENGTH = 20000;
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Check free-text fields given as [name, maxLength, required]; with partial set, only the
+// fields present are checked. Returns { fields } or { error }.
+const parseTextFields = (body, specs, partial = false) => {
+    const fields = {};
+    for (const [name, max, required] of specs) {
+        const value = body[name];
+        if (value === undefined) {
+            if (required && !partial) {
+                return { error: `${name} is required` };
+            }
+            continue;
+        }
+        if (typeof value !== 'string' || (required && !value.trim()) || value.length > max) {
+            return { error: `${name} must be ${required ? 'a non-empty string' : 'a string'} of at most ${max} characters` };
+        }
+        fields[name] = value.trim();
+    }
+    return { fields };
+};
+
+const MAX_TAGS = 10;
+
+const MAX_TAG_LENGTH = 30;
+
+const MAX_COMMUNITY_BODY_LENGTH = 10000;
+
+// Tags come as an array, a JSON array or a comma-separated string; stored lower-cased.
+// Returns { tags } or { error }.
+const parseTags = (value) => {
+    const tags = [...new Set(parseListField(value).map(tag => tag.toLowerCase()))];
+    if (tags.length > MAX_TAGS) {
+        return { error: `At most ${MAX_TAGS} tags are allowed` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { tags };
+};
+
+module.exports = {
+    parseListField,
+    MAX_STORY_TITLE_LENGTH,
+    MAX_STORY_EXCERPT_LENGTH,
+    MAX_STORY_CONTENT_LENGTH,
+    MAX_COMMENT_LENGTH,
+    parseTextFields,
+    MAX_TAG_LENGTH,
+    MAX_COMMUNITY_BODY_LENGTH,
+    parseTags,
+};
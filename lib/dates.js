@@ -0,0 +1,33 @@
+// Date parsing and whole-UTC-day calendar maths.
+
+// Parse an optional date query parameter; returns undefined when absent and null when invalid
+const parseDateParam = (value) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar maths is done on whole UTC days
+const toUtcDay = (value) => {
+    const date = new Date(value);
+    if (isNaN(date)) {
+        return null;
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+module.exports = {
+    parseDateParam,
+    DAY_MS,
+    toUtcDay,
+    addDays,
+    formatDay,
+};
@@ -0,0 +1,174 @@
+// GeoJSON locations: parsing points, places and map bounds from requests, and shapes for geo queries.
+// Coordinates are [longitude, latitude], as GeoJSON and MongoDB's 2dsphere indexes expect.
+
+// Radius MongoDB uses for spherical distances
+const EARTH_RADIUS_KM = 6378.1;
+
+const MAX_STOPS_PER_DAY = 20;
+
+const MAX_GUIDE_REGIONS = 10;
+
+const MAX_REGION_RADIUS_KM = 500;
+
+// Sides of the polygon standing in for a circular region
+const CIRCLE_SIDES = 32;
+
+// Objects may arrive as JSON strings from multipart forms
+const parseJsonValue = (value, field) => {
+    if (typeof value !== 'string') {
+        return { value };
+    }
+    try {
+        return { value: JSON.parse(value) };
+    } catch (error) {
+        return { error: `${field} must be valid JSON` };
+    }
+};
+
+const isLongitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+
+const isLatitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+
+const toPoint = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+
+// A GeoJSON Point, or { lng, lat }; returns { point } or { error }
+const parsePoint = (input, field) => {
+    const { value, error } = parseJsonValue(input, field);
+    if (error) {
+        return { error };
+    }
+    let coordinates = null;
+    if (value?.type === 'Point' && Array.isArray(value.coordinates) && value.coordinates.length === 2) {
+        coordinates = value.coordinates.map(Number);
+    } else if (value && typeof value === 'object' && value.lng !== undefined && value.lat !== undefined) {
+        coordinates = [Number(value.lng), Number(value.lat)];
+    }
+    if (!coordinates) {
+        return { error: `${field} must be a GeoJSON Point or { lng, lat }` };
+    }
+    const [lng, lat] = coordinates;
+    if (!isLongitude(lng) || !isLatitude(lat)) {
+        return { error: `${field} must have a longitude between -180 and 180 and a latitude between -90 and 90` };
+    }
+    return { point: toPoint(lng, lat) };
+};
+
+// A point from ?lng=&lat= (already checked as numbers); returns { point }, { point: null } when neither is given, or { error }
+const parseQueryPoint = (query) => {
+    const hasLng = query.lng !== undefined && query.lng !== '';
+    const hasLat = query.lat !== undefined && query.lat !== '';
+    if (hasLng !== hasLat) {
+        return { error: 'lng and lat must be given together' };
+    }
+    return { point: hasLng ? toPoint(Number(query.lng), Number(query.lat)) : null };
+};
+
+// A named place: { name?, address?, location }; returns { place } or { error }
+const parsePlace = (input, field) => {
+    const { value, error } = parseJsonValue(input, field);
+    if (error) {
+        return { error };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `${field} must be an object with a location` };
+    }
+    for (const key of ['name', 'address']) {
+        if (value[key] !== undefined && value[key] !== null && (typeof value[key] !== 'string' || value[key].length > 200)) {
+            return { error: `${field}.${key} must be text of at most 200 characters` };
+        }
+    }
+    const result = parsePoint(value.location, `${field}.location`);
+    if (result.error) {
+        return result;
+    }
+    return {
+        place: {
+            name: value.name?.trim() || null,
+            address: value.address?.trim() || null,
+            location: result.point,
+        },
+    };
+};
+
+// Map bounds as "west,south,east,north"; returns { box } or { error }
+const parseBoundingBox = (value) => {
+    const parts = String(value || '').split(',').map(part => Number(part.trim()));
+    const [west, south, east, north] = parts;
+    if (parts.length !== 4 || !isLongitude(west) || !isLongitude(east) || !isLatitude(south) || !isLatitude(north)) {
+        return { error: 'bbox must be west,south,east,north in degrees' };
+    }
+    if (west >= east || south >= north) {
+        return { error: 'bbox must have west < east and south < north' };
+    }
+    // Larger boxes would be read as their complement on the sphere
+    if (east - west > 180) {
+        return { error: 'bbox cannot span more than 180 degrees of longitude' };
+    }
+    return { box: { west, south, east, north } };
+};
+
+const boxToPolygon = ({ west, south, east, north }) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+});
+
+const boxCenter = ({ west, south, east, north }) => toPoint((west + east) / 2, (south + north) / 2);
+
+// Polygon approximating the circle of radiusKm around a point
+const circleToPolygon = ({ coordinates: [lng, lat] }, radiusKm) => {
+    const angular = radiusKm / EARTH_RADIUS_KM;
+    const lat1 = lat * Math.PI / 180;
+    const lng1 = lng * Math.PI / 180;
+    const ring = [];
+    for (let side = 0; side < CIRCLE_SIDES; side++) {
+        const bearing = 2 * Math.PI * side / CIRCLE_SIDES;
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lng2 = lng1 + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+        );
+        const wrappedLng = ((lng2 * 180 / Math.PI + 540) % 360) - 180;
+        ring.push([Math.round(wrappedLng * 1e6) / 1e6, Math.round(lat2 * 180 / Math.PI * 1e6) / 1e6]);
+    }
+    ring.push(ring[0]);
+    return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Regions a guide works in: [{ name, location, radiusKm }]. Returns { regions, serviceAreas } or { error };
+// serviceAreas holds a polygon per region, which is what tours are matched against.
+const parseGuideRegions = (input) => {
+    const { value, error } = parseJsonValue(input, 'regions');
+    if (error) {
+        return { error };
+    }
+    if (!Array.isArray(value) || value.length > MAX_GUIDE_REGIONS) {
+        return { error: `regions must be a list of at most ${MAX_GUIDE_REGIONS} regions` };
+    }
+    const regions = [];
+    for (const [index, region] of value.entries()) {
+        const result = parsePlace(region, `regions[${index}]`);
+        if (result.error) {
+            return result;
+        }
+        const radiusKm = Number(region.radiusKm);
+        if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_REGION_RADIUS_KM) {
+            return { error: `regions[${index}].radiusKm must be between 0 and ${MAX_REGION_RADIUS_KM}` };
+        }
+        regions.push({ name: result.place.name, location: result.place.location, radiusKm });
+    }
+    return { regions, serviceAreas: regions.map(region => circleToPolygon(region.location, region.radiusKm)) };
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    MAX_STOPS_PER_DAY,
+    MAX_REGION_RADIUS_KM,
+    toPoint,
+    parsePoint,
+    parseQueryPoint,
+    parsePlace,
+    parseBoundingBox,
+    boxToPolygon,
+    boxCenter,
+    parseGuideRegions,
+};
@@ -0,0 +1,46 @@
+// Structured logs: one JSON object per line on stdout, which log collectors can parse without configuration.
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error, or silent for none); it defaults to info.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors do not survive JSON.stringify; keep what helps debugging
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    stack: error.stack,
+});
+
+const serializeFields = (fields) => {
+    if (fields instanceof Error) {
+        return { error: serializeError(fields) };
+    }
+    return Object.fromEntries(Object.entries(fields || {})
+        .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+};
+
+// Returns { debug, info, warn, error }, each taking a message and optional fields (or an Error)
+const createLogger = ({ level = process.env.LOG_LEVEL || 'info', stream = process.stdout } = {}) => {
+    const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+    const write = (entryLevel) => (message, fields) => {
+        if (LOG_LEVELS[entryLevel] < threshold) {
+            return;
+        }
+        stream.write(`${JSON.stringify({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: message,
+            ...serializeFields(fields),
+        })}\n`);
+    };
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+    };
+};
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+};
@@ -0,0 +1,22 @@
+// Amounts are stored in major units; Stripe works in the currency's minor unit.
+
+const DEFAULT_CURRENCY = 'usd';
+
+// Stripe amounts are in the smallest currency unit; these currencies have no minor unit
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const toMinorUnits = (amount, currency) => {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+    return Math.round(Number(amount) * factor);
+};
+
+const fromMinorUnits = (amount, currency) => {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+    return amount / factor;
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    toMinorUnits,
+    fromMinorUnits,
+};
@@ -0,0 +1,281 @@
+// Tour packages: publication status, cancellation policy, itinerary and pricing, and parsing them from requests.
+const { DEFAULT_CURRENCY } = require('./money');
+const { MAX_STOPS_PER_DAY, parsePoint, parsePlace } = require('./geo');
+
+const PACKAGE_STATUS = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    ARCHIVED: 'archived',
+};
+
+// Packages created before the publish workflow have no status and count as published
+const PUBLIC_PACKAGE_STATUSES = [PACKAGE_STATUS.PUBLISHED, null];
+
+const isPackagePublished = (packageDetails) => !packageDetails.status || packageDetails.status === PACKAGE_STATUS.PUBLISHED;
+
+const MAX_TOUR_DAYS = 60;
+
+// Refund tiers, checked from the top: cancelling at least daysBefore days before startDate refunds refundPercent
+const DEFAULT_CANCELLATION_POLICY = [
+    { daysBefore: 14, refundPercent: 100 },
+    { daysBefore: 7, refundPercent: 50 },
+    { daysBefore: 0, refundPercent: 0 },
+];
+
+// cancellationPolicy arrives as a JSON string from multipart forms; returns { cancellationPolicy } or { error }
+const parseCancellationPolicy = (value) => {
+    let policy = value;
+    if (typeof value === 'string') {
+        try {
+            policy = JSON.parse(value);
+        } catch (error) {
+            return { error: 'cancellationPolicy must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(policy) || policy.length === 0) {
+        return { error: 'cancellationPolicy must be a non-empty list of tiers' };
+    }
+    for (const [index, tier] of policy.entries()) {
+        if (!Number.isInteger(tier?.daysBefore) || tier.daysBefore < 0) {
+            return { error: `cancellationPolicy[${index}].daysBefore must be a whole number of days` };
+        }
+        if (typeof tier.refundPercent !== 'number' || tier.refundPercent < 0 || tier.refundPercent > 100) {
+            return { error: `cancellationPolicy[${index}].refundPercent must be between 0 and 100` };
+        }
+    }
+    const cancellationPolicy = policy
+        .map(({ daysBefore, refundPercent }) => ({ daysBefore, refundPercent }))
+        .sort((a, b) => b.daysBefore - a.daysBefore);
+    return { cancellationPolicy };
+};
+
+// tourPlan arrives as a JSON string from multipart forms or as an array from JSON bodies.
+// Each day is { day?, title, description?, stops? }, where stops are places ({ name?, address?, location })
+// visited that day. Returns { tourPlan } or { error }.
+const parseTourPlan = (value) => {
+    let tourPlan = value;
+    if (typeof value === 'string') {
+        try {
+            tourPlan = JSON.parse(value);
+        } catch (error) {
+            return { error: 'tourPlan must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(tourPlan) || tourPlan.length === 0 || tourPlan.length > MAX_TOUR_DAYS) {
+        return { error: `tourPlan must be a list of 1 to ${MAX_TOUR_DAYS} days` };
+    }
+    const days = [...tourPlan];
+    for (const [index, day] of tourPlan.entries()) {
+        if (!day || typeof day !== 'object' || Array.isArray(day)) {
+            return { error: `tourPlan[${index}] must be an object` };
+        }
+        if (typeof day.title !== 'string' || !day.title.trim()) {
+            return { error: `tourPlan[${index}].title is required` };
+        }
+        if (day.description !== undefined && typeof day.description !== 'string') {
+            return { error: `tourPlan[${index}].description must be text` };
+        }
+        if (day.day !== undefined && (!Number.isInteger(Number(day.day)) || Number(day.day) < 1)) {
+            return { error: `tourPlan[${index}].day must be a positive whole number` };
+        }
+        if (day.stops !== undefined) {
+            if (!Array.isArray(day.stops) || day.stops.length > MAX_STOPS_PER_DAY) {
+                return { error: `tourPlan[${index}].stops must be a list of at most ${MAX_STOPS_PER_DAY} places` };
+            }
+            const stops = [];
+            for (const [stopIndex, stop] of day.stops.entries()) {
+                const result = parsePlace(stop, `tourPlan[${index}].stops[${stopIndex}]`);
+                if (result.error) {
+                    return result;
+                }
+                stops.push(result.place);
+            }
+            days[index] = { ...day, stops };
+        }
+    }
+    return { tourPlan: days };
+};
+
+const PRICING_MODELS = ['per-booking', 'per-person', 'group'];
+
+const MAX_GROUP_SIZE = 50;
+
+// Pricing arrives as a JSON string from multipart forms:
+//   per-booking - `price` covers the whole booking (the original behaviour)
+//   per-person  - `price` per adult, `childPrice` per child (defaults to `price`)
+//   group       - `groupPrice` covers up to `groupSize` people; each extra person pays `price`
+// Returns { pricing } or { error }.
+const parsePricing = (value) => {
+    let pricing = value;
+    if (typeof value === 'string') {
+        try {
+            pricing = JSON.parse(value);
+        } catch (error) {
+            return { error: 'pricing must be valid JSON' };
+        }
+    }
+    if (!pricing || typeof pricing !== 'object' || !PRICING_MODELS.includes(pricing.model)) {
+        return { error: `pricing.model must be one of: ${PRICING_MODELS.join(', ')}` };
+    }
+    const result = { model: pricing.model };
+    if (pricing.childPrice !== undefined && pricing.childPrice !== null) {
+        const childPrice = Number(pricing.childPrice);
+        if (!Number.isFinite(childPrice) || childPrice < 0) {
+            return { error: 'pricing.childPrice must be zero or more' };
+        }
+        result.childPrice = childPrice;
+    }
+    if (pricing.model === 'group') {
+        const groupPrice = Number(pricing.groupPrice);
+        const groupSize = Number(pricing.groupSize);
+        if (!Number.isFinite(groupPrice) || groupPrice <= 0) {
+            return { error: 'pricing.groupPrice must be a positive number' };
+        }
+        if (!Number.isInteger(groupSize) || groupSize < 1) {
+            return { error: 'pricing.groupSize must be a positive whole number' };
+        }
+        result.groupPrice = groupPrice;
+        result.groupSize = groupSize;
+    }
+    return { pricing: result };
+};
+
+const parsePositiveInteger = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Check minGroupSize <= maxGroupSize <= capacityPerDeparture for whichever are set; returns an error message or null.
+// Updates pass the stored package merged with the changes so a single changed limit is checked against the rest.
+const checkGroupSizes = ({ minGroupSize, maxGroupSize, capacityPerDeparture }) => {
+    if (maxGroupSize > MAX_GROUP_SIZE) {
+        return `maxGroupSize cannot be more than ${MAX_GROUP_SIZE}`;
+    }
+    if (minGroupSize && maxGroupSize && minGroupSize > maxGroupSize) {
+        return 'minGroupSize cannot be more than maxGroupSize';
+    }
+    if (maxGroupSize && capacityPerDeparture && maxGroupSize > capacityPerDeparture) {
+        return 'maxGroupSize cannot be more than capacityPerDeparture';
+    }
+    return null;
+};
+
+// Validate and normalise package fields from a create or update request; returns { fields } or { error }
+const parsePackageFields = (body, partial = false) => {
+    const fields = {};
+    const has = (field) => body[field] !== undefined;
+
+    if (!partial || has('packageName')) {
+        if (typeof body.packageName !== 'string' || !body.packageName.trim() || body.packageName.length > 200) {
+            return { error: 'packageName is required and must be at most 200 characters' };
+        }
+        fields.packageName = body.packageName.trim();
+    }
+    if (!partial || has('type')) {
+        if (typeof body.type !== 'string' || !body.type.trim() || body.type.length > 50) {
+            return { error: 'type is required and must be at most 50 characters' };
+        }
+        fields.type = body.type.trim();
+    }
+    if (!partial || has('price')) {
+        const price = Number(body.price);
+        if (body.price === '' || !Number.isFinite(price) || price <= 0) {
+            return { error: 'price must be a positive number' };
+        }
+        fields.price = price;
+    }
+    if (!partial || has('tourPlan')) {
+        const result = parseTourPlan(body.tourPlan);
+        if (result.error) {
+            return result;
+        }
+        fields.tourPlan = result.tourPlan;
+    }
+    if (has('about')) {
+        if (typeof body.about !== 'string') {
+            return { error: 'about must be text' };
+        }
+        fields.about = body.about;
+    } else if (!partial) {
+        fields.about = '';
+    }
+    if (has('guide')) {
+        fields.guide = body.guide ? String(body.guide) : null;
+    }
+    // location is the destination, a GeoJSON Point searched by the nearby and map-bounds listings
+    if (has('location')) {
+        const result = body.location === null || body.location === '' ? { point: null } : parsePoint(body.location, 'location');
+        if (result.error) {
+            return result;
+        }
+        fields.location = result.point;
+    }
+    if (has('meetingPoint')) {
+        const result = body.meetingPoint === null || body.meetingPoint === '' ? { place: null } : parsePlace(body.meetingPoint, 'meetingPoint');
+        if (result.error) {
+            return result;
+        }
+        fields.meetingPoint = result.place;
+    }
+    if (has('cancellationPolicy')) {
+        const result = parseCancellationPolicy(body.cancellationPolicy);
+        if (result.error) {
+            return result;
+        }
+        fields.cancellationPolicy = result.cancellationPolicy;
+    }
+    if (has('pricing')) {
+        const result = parsePricing(body.pricing);
+        if (result.error) {
+            return result;
+        }
+        fields.pricing = result.pricing;
+    }
+    for (const field of ['minGroupSize', 'maxGroupSize', 'capacityPerDeparture']) {
+        if (has(field)) {
+            if (body[field] === null || body[field] === '') {
+                fields[field] = null;
+                continue;
+            }
+            fields[field] = parsePositiveInteger(body[field]);
+            if (!fields[field]) {
+                return { error: `${field} must be a positive whole number` };
+            }
+        }
+    }
+    const groupSizeError = checkGroupSizes(fields);
+    if (groupSizeError) {
+        return { error: groupSizeError };
+    }
+    if (has('currency') || !partial) {
+        const currency = String(body.currency || DEFAULT_CURRENCY).toLowerCase();
+        if (!/^[a-z]{3}$/.test(currency)) {
+            return { error: 'currency must be a three-letter currency code' };
+        }
+        fields.currency = currency;
+    }
+    return { fields };
+};
+
+// Number of days a package's tour runs, taken from its itinerary when no explicit length is set
+const getTourLengthDays = (packageDetails) => {
+    const explicit = parseInt(packageDetails?.durationDays, 10);
+    if (explicit > 0) {
+        return explicit;
+    }
+    if (Array.isArray(packageDetails?.tourPlan) && packageDetails.tourPlan.length > 0) {
+        return packageDetails.tourPlan.length;
+    }
+    return 1;
+};
+
+module.exports = {
+    PACKAGE_STATUS,
+    PUBLIC_PACKAGE_STATUSES,
+    isPackagePublished,
+    DEFAULT_CANCELLATION_POLICY,
+    MAX_GROUP_SIZE,
+    parsePackageFields,
+    checkGroupSizes,
+    getTourLengthDays,
+};
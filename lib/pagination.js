@@ -0,0 +1,119 @@
+// Offset and cursor pagination over a collection, with a whitelist of sorts per listing.
+const { ObjectId } = require('mongodb');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const MAX_PAGE_SIZE = 100;
+
+// Cursors carry the last item's sort key and _id; dates are tagged so they survive JSON
+const encodeCursor = (item) => Buffer.from(JSON.stringify({
+    v: item._sortKey instanceof Date ? { $date: item._sortKey.toISOString() } : item._sortKey,
+    id: String(item._id),
+})).toString('base64url');
+
+// Listings that answered with a bare array before pagination keep doing so unless the client asks for a page
+const isPageRequested = (query) => ['page', 'limit', 'cursor'].some(param => query[param] !== undefined);
+
+const decodeCursor = (cursor) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!ObjectId.isValid(id)) {
+            return null;
+        }
+        return { value: v && v.$date ? new Date(v.$date) : v, id: new ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Run a listing pipeline with sorting and page or cursor pagination.
+// `projection` is an exclusion projection applied to the returned page; `sorts` maps each allowed ?sort= value to { expr, fallback, order }; ?order=asc|desc overrides the order.
+// Responds with { items, total, page, limit, totalPages, nextCursor }, or { error } for bad query parameters.
+// With `all`, every matching item is returned as { items } and the page parameters are ignored.
+const paginate = async (collection, { pipeline, sorts, defaultSort, projection, query, all = false }) => {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+    const sortName = query.sort || defaultSort;
+    const sort = sorts[sortName];
+    if (!sort) {
+        return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+    }
+    if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+        return { error: 'order must be asc or desc' };
+    }
+    const direction = (query.order || sort.order) === 'asc' ? 1 : -1;
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    const keyed = [
+        ...pipeline,
+        { $addFields: { _sortKey: { $ifNull: [sort.expr, sort.fallback] } } },
+    ];
+    const pageStages = [];
+    if (cursor) {
+        const op = direction === 1 ? '$gt' : '$lt';
+        pageStages.push({
+            $match: {
+                $or: [
+                    { _sortKey: { [op]: cursor.value } },
+                    { _sortKey: cursor.value, _id: { [op]: cursor.id } },
+                ],
+            },
+        });
+    }
+    pageStages.push({ $sort: { _sortKey: direction, _id: direction } });
+    if (!all && !cursor && page > 1) {
+        pageStages.push({ $skip: (page - 1) * limit });
+    }
+    if (!all) {
+        pageStages.push({ $limit: limit + 1 });
+    }
+    if (projection) {
+        pageStages.push({ $project: projection });
+    }
+    if (all) {
+        const rows = await collection.aggregate([...keyed, ...pageStages]).toArray();
+        return { items: rows.map(({ _sortKey, ...item }) => item) };
+    }
+
+    const [countResult, rows] = await Promise.all([
+        collection.aggregate([...pipeline, { $count: 'total' }]).toArray(),
+        collection.aggregate([...keyed, ...pageStages]).toArray(),
+    ]);
+    const total = countResult[0]?.total || 0;
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null;
+    const items = pageRows.map(({ _sortKey, ...item }) => item);
+
+    return {
+        items,
+        total,
+        page: cursor ? null : page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        nextCursor,
+    };
+};
+
+module.exports = {
+    escapeRegex,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    isPageRequested,
+    paginate,
+};
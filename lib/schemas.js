@@ -0,0 +1,36 @@
+// Validation rules shared by several route modules (see validation.js for the rule format).
+const { MAX_PAGE_SIZE } = require('./pagination');
+
+// Shared request validation rules; see validation.js for the schema format
+const objectIdParam = (notFound) => ({ type: 'objectId', required: true, notFound });
+
+const PAGE_QUERY = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string', max: 500 },
+    sort: { type: 'string', max: 50 },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+};
+
+const PACKAGE_QUERY = {
+    ...PAGE_QUERY,
+    q: { type: 'string', max: 200 },
+    type: { type: 'string', max: 100 },
+    guide: { type: 'string', max: 200 },
+    minPrice: { type: 'number', min: 0 },
+    maxPrice: { type: 'number', min: 0 },
+    addedAfter: { type: 'date' },
+    addedBefore: { type: 'date' },
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const BOOKING_PARAMS = { params: { id: objectIdParam('Booking not found') } };
+
+module.exports = {
+    objectIdParam,
+    PAGE_QUERY,
+    PACKAGE_QUERY,
+    DAY_PATTERN,
+    BOOKING_PARAMS,
+};
@@ -0,0 +1,105 @@
+// Authentication and authorisation middleware. Access tokens are JWTs signed with ACCESS_TOKEN_SECRET;
+// role checks read the stored user so role changes apply without a new token.
+const jwt = require('jsonwebtoken');
+const { sendError } = require('../errors');
+
+// Read a Firebase ID token from the body or a Bearer header and put the checked identity on req.firebaseUser
+const verifyFirebaseToken = async (req, res, next) => {
+    const header = req.headers.authorization;
+    const idToken = req.body?.idToken || (header?.startsWith('Bearer ') ? header.split(' ')[1] : null);
+    if (!idToken) {
+        return sendError(res, 401, 'unauthorized access');
+    }
+    try {
+        const decoded = await req.app.locals.verifyFirebaseIdToken(idToken);
+        if (!decoded.email) {
+            return sendError(res, 401, 'unauthorized access');
+        }
+        req.firebaseUser = decoded;
+        next();
+    } catch (error) {
+        return sendError(res, 401, 'unauthorized access');
+    }
+};
+
+const verifyToken = (req, res, next) => {
+    if (!req.headers.authorization) {
+        return sendError(res, 401, 'unauthorized access');
+    }
+    const token = req.headers.authorization.split(' ')[1];
+    jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, decoded) => {
+        if (err) {
+            return sendError(res, 401, 'unauthorized access');
+        }
+        req.decoded = decoded;
+        next();
+    });
+};
+
+// EventSource cannot send headers, so streaming routes also accept the token as ?access_token=
+const verifyStreamToken = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    verifyToken(req, res, next);
+};
+
+// Decode the access token when one is sent, without requiring it
+const readOptionalToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+        return next();
+    }
+    jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, decoded) => {
+        if (!err) {
+            req.decoded = decoded;
+        }
+        next();
+    });
+};
+
+const createRoleMiddleware = ({ userCollection }) => {
+    // Only allow users whose stored role is one of the given roles; use after verifyToken.
+    // The role is read from the database so changes apply without a new token.
+    const verifyRole = (...roles) => async (req, res, next) => {
+        try {
+            const user = await userCollection.findOne({ email: req.decoded.email });
+            if (!user || !roles.includes(user.role)) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // use verify admin after verifyToken
+    const verifyAdmin = verifyRole('admin');
+
+    // Only allow the user whose email the request names, or an admin; use after verifyToken
+    const verifyOwner = (getEmail) => async (req, res, next) => {
+        if (getEmail(req) === req.decoded.email) {
+            return next();
+        }
+        try {
+            const user = await userCollection.findOne({ email: req.decoded.email });
+            if (user?.role !== 'admin') {
+                return sendError(res, 403, 'forbidden access');
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    return { verifyRole, verifyAdmin, verifyOwner };
+};
+
+module.exports = {
+    verifyFirebaseToken,
+    verifyToken,
+    verifyStreamToken,
+    readOptionalToken,
+    createRoleMiddleware,
+};
@@ -0,0 +1,73 @@
+// Fixed-window rate limits for routes worth brute-forcing. Counters live in this process only, so with
+// several instances each one counts separately; put a shared store in front when that matters.
+// Per-IP limits rely on req.ip, which is only the client's address behind a proxy when TRUST_PROXY says so;
+// index.js logs a warning when it is not set.
+const { sendError } = require('../errors');
+
+const MINUTE_MS = 60 * 1000;
+
+// Limits per window; the maximums can be raised with the RATE_LIMIT_* settings
+const RATE_LIMITS = {
+    // Exchanging Firebase tokens, registering and refreshing sessions, per IP
+    signIn: { windowMs: 15 * MINUTE_MS, max: Number(process.env.RATE_LIMIT_SIGN_IN) || 30 },
+    // Creating payment intents, per signed-in user and per IP
+    paymentPerUser: { windowMs: 60 * MINUTE_MS, max: Number(process.env.RATE_LIMIT_PAYMENT_USER) || 30 },
+    paymentPerIp: { windowMs: 60 * MINUTE_MS, max: Number(process.env.RATE_LIMIT_PAYMENT_IP) || 100 },
+};
+
+const byIp = (req) => req.ip;
+
+// Signed-in user from the access token (see readOptionalToken); requests without one are not counted
+const byUser = (req) => req.decoded?.email || null;
+
+// Middleware allowing max requests per key in each window of windowMs; key(req) returning null skips the limit
+const createRateLimiter = ({ name, windowMs, max, key, clock }) => {
+    const counters = new Map();
+    let nextSweep = 0;
+
+    // Drop finished windows now and then so the map does not keep every client ever seen
+    const sweep = (now) => {
+        if (now < nextSweep) {
+            return;
+        }
+        for (const [id, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(id);
+            }
+        }
+        nextSweep = now + windowMs;
+    };
+
+    return (req, res, next) => {
+        const id = key(req);
+        if (!id) {
+            return next();
+        }
+        const now = clock.now().getTime();
+        sweep(now);
+        let counter = counters.get(id);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(id, counter);
+        }
+        counter.count += 1;
+
+        const resetSeconds = Math.ceil((counter.resetAt - now) / 1000);
+        res.setHeader('RateLimit-Limit', max);
+        res.setHeader('RateLimit-Remaining', Math.max(0, max - counter.count));
+        res.setHeader('RateLimit-Reset', resetSeconds);
+        if (counter.count > max) {
+            res.setHeader('Retry-After', resetSeconds);
+            req.rateLimited = name;
+            return sendError(res, 429, 'Too many requests, please try again later', { code: 'RATE_LIMITED' });
+        }
+        next();
+    };
+};
+
+module.exports = {
+    RATE_LIMITS,
+    byIp,
+    byUser,
+    createRateLimiter,
+};
@@ -0,0 +1,56 @@
+// Request IDs and request logs. Every request gets an ID, taken from the X-Request-Id header a proxy
+// set or generated here; it is echoed back in the response and written with every log line about the request.
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs end up in logs, so only short plain ones are kept
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const assignRequestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    next();
+};
+
+// Log one line per request once the response is sent, or when the client goes away first.
+// The path is logged without the query string, which can carry tokens (see verifyStreamToken).
+const createRequestLogger = (logger) => (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+    const log = () => {
+        if (logged) {
+            return;
+        }
+        logged = true;
+        const status = res.writableFinished ? res.statusCode : null;
+        const entry = {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null,
+            uid: req.decoded?.uid || req.firebaseUser?.uid || null,
+            ...(req.rateLimited ? { rateLimit: req.rateLimited } : {}),
+        };
+        if (status === null) {
+            logger.info('request closed early', entry);
+        } else if (status >= 500) {
+            logger.error('request', entry);
+        } else {
+            logger.info('request', entry);
+        }
+    };
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+};
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    assignRequestId,
+    createRequestLogger,
+};
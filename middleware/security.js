@@ -0,0 +1,53 @@
+// CORS and security headers.
+//   CORS_ORIGINS - comma-separated origins allowed to call the API from a browser, or * to let any origin make
+//                  uncredentialed calls. When it is not set only CLIENT_URL is allowed; with neither set, browsers
+//                  on other origins are refused. The refresh token cookie is only for listed origins or CLIENT_URL.
+const { REQUEST_ID_HEADER } = require('./requests');
+
+// Routes that set or read the refresh token cookie take credentialed requests only
+const CREDENTIALED_PATHS = ['/jwt', '/auth/'];
+
+// Response headers browser code may read
+const EXPOSED_HEADERS = [REQUEST_ID_HEADER, 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'];
+
+const parseOrigins = (value) => String(value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+// Options for the cors package, picked per request
+const createCorsOptions = ({
+    allowedOrigins = parseOrigins(process.env.CORS_ORIGINS),
+    clientUrl = process.env.CLIENT_URL,
+} = {}) => {
+    const anyOrigin = allowedOrigins.includes('*');
+    const listed = allowedOrigins.filter(origin => origin !== '*');
+    const fallback = clientUrl ? clientUrl.replace(/\/+$/, '') : false;
+    return (req, callback) => {
+        const credentialed = CREDENTIALED_PATHS.some(path => req.path.startsWith(path));
+        let origin = listed.length > 0 ? listed : fallback;
+        if (anyOrigin && !credentialed) {
+            origin = '*';
+        }
+        callback(null, { origin, credentials: credentialed, exposedHeaders: EXPOSED_HEADERS, maxAge: 600 });
+    };
+};
+
+// The API only answers JSON and images, so nothing it sends should run scripts or be framed
+const securityHeaders = (req, res, next) => {
+    res.setHeader('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+    res.setHeader('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+    next();
+};
+
+module.exports = {
+    CREDENTIALED_PATHS,
+    parseOrigins,
+    createCorsOptions,
+    securityHeaders,
+};
@@ -0,0 +1,65 @@
+// Multipart upload parsing. Files are kept in memory and checked here; services/files.js stores them.
+const multer = require('multer');
+const {
+    ALLOWED_DOCUMENT_TYPES,
+    ALLOWED_IMAGE_TYPES,
+    FileValidationError,
+    ImageValidationError,
+    MAX_DOCUMENT_BYTES,
+    MAX_IMAGE_BYTES,
+} = require('../storage');
+
+const storage = multer.memoryStorage();
+
+const upload = multer({
+    storage,
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 10 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+            return cb(new ImageValidationError(`Unsupported image type: ${file.mimetype}`));
+        }
+        cb(null, true);
+    },
+});
+
+const documentUpload = multer({
+    storage,
+    limits: { fileSize: MAX_DOCUMENT_BYTES, files: 5 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_DOCUMENT_TYPES[file.mimetype]) {
+            return cb(new FileValidationError('Documents must be PDF, JPEG or PNG files'));
+        }
+        cb(null, true);
+    },
+});
+
+// Storage prefixes that must never be served by the public images endpoint
+const PRIVATE_KEY_PREFIXES = ['guide-documents/'];
+
+// multer reports bad uploads through next(err); the error middleware answers those with a 400
+const uploadImages = (field) => upload.array(field);
+
+const uploadDocuments = (field) => documentUpload.array(field);
+
+// removeImages arrives as an array or, from multipart forms, a JSON string; returns { removeImages } or { error }
+const parseRemoveImages = (value) => {
+    let removeImages = value || [];
+    if (typeof removeImages === 'string') {
+        try {
+            removeImages = JSON.parse(removeImages);
+        } catch (error) {
+            return { error: 'removeImages must be a JSON array of image keys' };
+        }
+    }
+    if (!Array.isArray(removeImages)) {
+        return { error: 'removeImages must be an array of image keys' };
+    }
+    return { removeImages };
+};
+
+module.exports = {
+    PRIVATE_KEY_PREFIXES,
+    uploadImages,
+    uploadDocuments,
+    parseRemoveImages,
+};
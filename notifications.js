@@ -0,0 +1,223 @@
+// Notifications for booking, payment and guide-request events. Route handlers emit domain
+// events on an EventEmitter; the handlers here turn them into in-app notifications and emails,
+// honouring each user's preferences. Email goes out over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER,
+// SMTP_PASS, SMTP_FROM); point SMTP_HOST/SMTP_PORT at a local sink such as MailHog when testing.
+const nodemailer = require('nodemailer');
+
+// Kinds of notification a user can switch on or off, per channel
+const NOTIFICATION_TYPES = {
+    BOOKING_REQUESTED: 'booking_requested',
+    BOOKING_ACCEPTED: 'booking_accepted',
+    BOOKING_REJECTED: 'booking_rejected',
+    BOOKING_CANCELLED: 'booking_cancelled',
+    BOOKING_PAID: 'booking_paid',
+    BOOKING_COMPLETED: 'booking_completed',
+    GUIDE_REQUEST_DECIDED: 'guide_request_decided',
+    GUIDE_APPLICATION_NEEDS_INFO: 'guide_application_needs_info',
+};
+
+const CHANNELS = ['inApp', 'email'];
+
+const DEFAULT_PREFERENCES = Object.fromEntries(
+    Object.values(NOTIFICATION_TYPES).map(type => [type, { inApp: true, email: true }])
+);
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Each template returns the title and plain-text body; HTML is derived from the text
+const TEMPLATES = {
+    [NOTIFICATION_TYPES.BOOKING_REQUESTED]: ({ booking }) => ({
+        title: `New booking request: ${booking.packageName}`,
+        body: `${booking.touristName || booking.email} has requested ${booking.packageName} starting ${formatDate(booking.startDate)}. Please accept or reject it.`,
+        link: `/dashboard/assigned-tours`,
+    }),
+    [NOTIFICATION_TYPES.BOOKING_ACCEPTED]: ({ booking }) => ({
+        title: `Your booking for ${booking.packageName} was accepted`,
+        body: `Your guide accepted your booking for ${booking.packageName} starting ${formatDate(booking.startDate)}. You can now complete the payment.`,
+        link: `/dashboard/bookings`,
+    }),
+    [NOTIFICATION_TYPES.BOOKING_REJECTED]: ({ booking, reason }) => ({
+        title: `Your booking for ${booking.packageName} was rejected`,
+        body: `Your guide could not take your booking for ${booking.packageName} starting ${formatDate(booking.startDate)}.${reason ? ` Reason: ${reason}` : ''}`,
+        link: `/dashboard/bookings`,
+    }),
+    [NOTIFICATION_TYPES.BOOKING_CANCELLED]: ({ booking, reason }) => ({
+        title: `Booking for ${booking.packageName} was cancelled`,
+        body: `The booking for ${booking.packageName} starting ${formatDate(booking.startDate)} was cancelled.`
+            + (booking.refund?.amount ? ` A refund of ${booking.refund.amount} ${String(booking.refund.currency).toUpperCase()} is on its way.` : '')
+            + (reason ? ` Reason: ${reason}` : ''),
+        link: `/dashboard/bookings`,
+    }),
+    [NOTIFICATION_TYPES.BOOKING_PAID]: ({ booking }) => ({
+        title: `Payment received for ${booking.packageName}`,
+        body: `Payment for ${booking.packageName} starting ${formatDate(booking.startDate)} has been received. The tour is confirmed.`,
+        link: `/dashboard/bookings`,
+    }),
+    [NOTIFICATION_TYPES.BOOKING_COMPLETED]: ({ booking }) => ({
+        title: `How was ${booking.packageName}?`,
+        body: `Your tour ${booking.packageName} is complete. You can now review your guide.`,
+        link: `/dashboard/bookings`,
+    }),
+    [NOTIFICATION_TYPES.GUIDE_REQUEST_DECIDED]: ({ approved, reason }) => ({
+        title: approved ? 'You are now a tour guide' : 'Your tour guide request was not approved',
+        body: approved
+            ? 'Your request to become a tour guide was approved. You can now fill in your guide profile.'
+            : `Your request to become a tour guide was not approved.${reason ? ` Reason: ${reason}` : ''}`,
+        link: `/dashboard/profile`,
+    }),
+    [NOTIFICATION_TYPES.GUIDE_APPLICATION_NEEDS_INFO]: ({ reason }) => ({
+        title: 'Your tour guide application needs more information',
+        body: `Please update your tour guide application.${reason ? ` ${reason}` : ''}`,
+        link: `/dashboard/guide-application`,
+    }),
+};
+
+const renderHtml = ({ title, body, link }, baseUrl) => `<!doctype html>
+<html><body style="font-family: sans-serif; line-height: 1.5">
+<h2>${escapeHtml(title)}</h2>
+<p>${escapeHtml(body)}</p>
+${link && baseUrl ? `<p><a href="${escapeHtml(baseUrl + link)}">Open EpicEscape</a></p>` : ''}
+</body></html>`;
+
+const createTransportFromEnv = (env = process.env) => {
+    if (!env.SMTP_HOST) {
+        return null;
+    }
+    return nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: Number(env.SMTP_PORT) === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+};
+
+// Merge a user's stored preferences over the defaults
+const resolvePreferences = (stored) => Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([type, defaults]) => [type, { ...defaults, ...(stored?.[type] || {}) }])
+);
+
+const createNotifier = ({
+    notificationsCollection,
+    userCollection,
+    transport,
+    from,
+    baseUrl,
+    clock = { now: () => new Date() },
+    logger = console,
+}) => {
+    // Deliver one notification to one user on the channels they have enabled
+    const notify = async (email, type, data) => {
+        if (!email) {
+            return;
+        }
+        const user = await userCollection.findOne({ email }, { projection: { notificationPreferences: 1 } });
+        const preferences = resolvePreferences(user?.notificationPreferences)[type];
+        const message = TEMPLATES[type](data);
+
+        if (preferences.inApp) {
+            await notificationsCollection.insertOne({
+                email,
+                type,
+                title: message.title,
+                body: message.body,
+                link: message.link || null,
+                data: { bookingId: data.booking ? String(data.booking._id) : null },
+                read: false,
+                createdAt: clock.now(),
+            });
+        }
+        if (preferences.email && transport) {
+            await transport.sendMail({
+                from,
+                to: email,
+                subject: message.title,
+                text: message.body,
+                html: renderHtml(message, baseUrl),
+            });
+        }
+    };
+
+    // Notifications never fail the request that caused them
+    const safeNotify = (email, type, data) => {
+        notify(email, type, data).catch(error => logger.error('Failed to send notification', { type, email, error }));
+    };
+
+    const subscribe = (events) => {
+        events.on('booking.created', ({ booking }) => {
+            safeNotify(booking.guideEmail, NOTIFICATION_TYPES.BOOKING_REQUESTED, { booking });
+        });
+
+        events.on('booking.status_changed', ({ booking, to, actor, reason }) => {
+            switch (to) {
+                case 'Accepted':
+                    safeNotify(booking.email, NOTIFICATION_TYPES.BOOKING_ACCEPTED, { booking });
+                    break;
+                case 'Rejected':
+                    safeNotify(booking.email, NOTIFICATION_TYPES.BOOKING_REJECTED, { booking, reason });
+                    break;
+                case 'Cancelled':
+                    // Tell whoever did not cancel it
+                    if (actor.role !== 'tourist') {
+                        safeNotify(booking.email, NOTIFICATION_TYPES.BOOKING_CANCELLED, { booking, reason });
+                    }
+                    safeNotify(booking.guideEmail, NOTIFICATION_TYPES.BOOKING_CANCELLED, { booking, reason });
+                    break;
+                case 'Paid':
+                    safeNotify(booking.email, NOTIFICATION_TYPES.BOOKING_PAID, { booking });
+                    safeNotify(booking.guideEmail, NOTIFICATION_TYPES.BOOKING_PAID, { booking });
+                    break;
+                case 'Completed':
+                    safeNotify(booking.email, NOTIFICATION_TYPES.BOOKING_COMPLETED, { booking });
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        events.on('guideRequest.decided', ({ email, approved, reason }) => {
+            safeNotify(email, NOTIFICATION_TYPES.GUIDE_REQUEST_DECIDED, { approved, reason });
+        });
+
+        events.on('guideApplication.needsInfo', ({ email, reason }) => {
+            safeNotify(email, NOTIFICATION_TYPES.GUIDE_APPLICATION_NEEDS_INFO, { reason });
+        });
+    };
+
+    return { notify, subscribe };
+};
+
+// Validate a preferences update: { [type]: { inApp?, email? } }; returns an error message or null
+const validatePreferences = (preferences) => {
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        return 'preferences must be an object';
+    }
+    for (const [type, channels] of Object.entries(preferences)) {
+        if (!DEFAULT_PREFERENCES[type]) {
+            return `Unknown notification type: ${type}`;
+        }
+        if (!channels || typeof channels !== 'object') {
+            return `${type} must be an object of channels`;
+        }
+        for (const [channel, enabled] of Object.entries(channels)) {
+            if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+                return `${type}.${channel} must be a boolean for one of: ${CHANNELS.join(', ')}`;
+            }
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotifier,
+    createTransportFromEnv,
+    resolvePreferences,
+    validatePreferences,
+};
@@ -0,0 +1,134 @@
+// Access rules for every route, kept in one table for review. Levels:
+//   public     - no token needed
+//   firebase   - a valid Firebase ID token (see verifyFirebaseToken)
+//   refresh    - the refresh token cookie, if any (see services/sessions.js)
+//   signature  - a valid Stripe webhook signature
+//   user       - any signed-in user; data is scoped to req.decoded.email
+//   owner      - the signed-in user named in the request, or an admin
+//   role:<r>   - signed-in user whose stored role is one of <r> (verifyRole)
+//   booking    - the booking's tourist, assigned guide or an admin, per BOOKING_TRANSITIONS
+//   guide-self - the guide named in :id, or an admin (canManageGuide)
+// The route list is checked against this table at startup.
+const ROUTE_PERMISSIONS = {
+    'GET /': 'public',
+    'GET /health': 'public',
+    'GET /ready': 'public',
+    'POST /jwt': 'firebase',
+    'POST /auth/refresh': 'refresh',
+    'POST /auth/logout': 'refresh',
+    'POST /auth/logout-all': 'user',
+    'POST /register': 'firebase',
+    'GET /api/profile': 'owner (query.email)',
+    'POST /api/profile': 'role:tourguide',
+    'PATCH /api/profile': 'user',
+    'GET /api/profile/export': 'user',
+    'DELETE /api/profile': 'user',
+    'GET /users': 'owner (query.email)',
+    'POST /api/story': 'user',
+    'GET /api/stories': 'public (hidden: author or role:admin)',
+    'GET /api/stories/:id': 'public (hidden: author or role:admin)',
+    'PATCH /api/stories/:id': 'owner (story.email)',
+    'DELETE /api/stories/:id': 'owner (story.email)',
+    'PATCH /api/stories/:id/moderation': 'role:admin',
+    'POST /api/stories/:id/like': 'user',
+    'DELETE /api/stories/:id/like': 'user',
+    'GET /api/stories/:id/comments': 'public',
+    'POST /api/stories/:id/comments': 'user',
+    'PATCH /api/stories/:id/comments/:commentId': 'owner (comment.email)',
+    'DELETE /api/stories/:id/comments/:commentId': 'owner (comment.email)',
+    'GET /api/guides': 'public',
+    'GET /api/guides/:id': 'public',
+    'GET /api/guides/:id/availability': 'public',
+    'PUT /api/guides/:id/availability': 'guide-self',
+    'POST /api/guides/:id/blocked-dates': 'guide-self',
+    'DELETE /api/guides/:id/blocked-dates/:blockId': 'guide-self',
+    'GET /api/guides/:id/open-dates': 'public',
+    'POST /api/guides/:id/review': 'role:tourist',
+    'GET /api/guides/:id/reviews': 'public',
+    'PATCH /api/reviews/:id': 'owner (review.authorEmail)',
+    'PATCH /api/reviews/:id/moderation': 'role:admin',
+    'POST /api/request-tour-guide': 'role:tourist',
+    'POST /api/guide-applications': 'role:tourist',
+    'GET /api/guide-applications': 'role:admin',
+    'GET /api/guide-applications/mine': 'user',
+    'GET /api/guide-applications/:id': 'owner (application.email)',
+    'PATCH /api/guide-applications/:id': 'owner (application.email)',
+    'GET /api/guide-applications/:id/documents/:index': 'owner (application.email)',
+    'POST /api/guide-applications/:id/comments': 'owner (application.email)',
+    'PATCH /api/guide-applications/:id/status': 'role:admin',
+    'GET /api/users': 'role:admin',
+    'PATCH /api/users/:id/request': 'role:admin',
+    'GET /api/packages': 'public',
+    'POST /api/packages': 'role:admin',
+    'GET /api/packages/nearby': 'public',
+    'GET /api/packages/within': 'public',
+    'GET /api/packages/:id': 'public (drafts: role:admin)',
+    'PATCH /api/packages/:id': 'role:admin',
+    'GET /api/packages/:id/departures/:date': 'public',
+    'PATCH /api/packages/:id/status': 'role:admin',
+    'GET /api/admin/packages': 'role:admin',
+    'GET /api/admin/analytics/:report': 'role:admin',
+    'POST /api/packages/byIds': 'public',
+    'GET /api/packages/type/:type': 'public',
+    'POST /api/wishlist': 'user',
+    'DELETE /api/wishlist': 'user',
+    'GET /api/wishlist/:email': 'owner (params.email)',
+    'GET /api/wishlists': 'user',
+    'POST /api/wishlists': 'user',
+    'PATCH /api/wishlists/:id': 'user',
+    'DELETE /api/wishlists/:id': 'user',
+    'POST /api/wishlists/:id/share': 'user',
+    'DELETE /api/wishlists/:id/share': 'user',
+    'GET /api/shared/wishlists/:token': 'public',
+    'GET /api/bookings': 'owner (query.email)',
+    'POST /api/bookings': 'role:tourist',
+    'DELETE /api/bookings/:id': 'booking',
+    'PATCH /api/bookings/:id/status': 'booking',
+    'GET /api/bookings/:id/history': 'booking',
+    'GET /api/bookings/:id/refund-preview': 'booking',
+    'GET /api/bookings/:id/messages': 'booking',
+    'POST /api/bookings/:id/messages': 'booking',
+    'POST /api/bookings/:id/messages/read': 'booking',
+    'GET /api/bookings/:id/messages/stream': 'booking (token in ?access_token=)',
+    'GET /api/assigned-tours': 'role:tourguide,admin',
+    'GET /api/coupons': 'role:admin',
+    'POST /api/coupons': 'role:admin',
+    'PATCH /api/coupons/:id': 'role:admin',
+    'DELETE /api/coupons/:id': 'role:admin',
+    'POST /create-payment-intent': 'owner (booking.email)',
+    'POST /webhooks/stripe': 'signature',
+    'POST /payments': 'owner (payment.email)',
+    'GET /payments/:email': 'owner (params.email)',
+    'GET /images/*': 'public',
+    'GET /api/notifications': 'user',
+    'PATCH /api/notifications/:id/read': 'user',
+    'POST /api/notifications/read-all': 'user',
+    'GET /api/notifications/preferences': 'user',
+    'PUT /api/notifications/preferences': 'user',
+    'GET /api/community': 'public',
+    'POST /api/community': 'user',
+    'GET /api/community/:id': 'public',
+    'PATCH /api/community/:id': 'owner (post.email)',
+    'DELETE /api/community/:id': 'owner (post.email)',
+    'GET /api/community/:id/replies': 'public',
+    'POST /api/community/:id/replies': 'user',
+    'DELETE /api/community/:id/replies/:replyId': 'owner (reply.email)',
+    'GET /api/blogs': 'public (mine=true: user)',
+    'POST /api/blogs': 'role:admin,tourguide',
+    'GET /api/blogs/feed.rss': 'public',
+    'GET /api/blogs/feed.atom': 'public',
+    'GET /api/blogs/:slug': 'public (unpublished: author or role:admin)',
+    'PATCH /api/blogs/:id': 'owner (blog.authorEmail)',
+    'DELETE /api/blogs/:id': 'owner (blog.authorEmail)',
+};
+
+// Registered routes that have no entry in ROUTE_PERMISSIONS
+const findUnlistedRoutes = (app) => app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`))
+    .filter(key => !ROUTE_PERMISSIONS[key]);
+
+module.exports = {
+    ROUTE_PERMISSIONS,
+    findUnlistedRoutes,
+};
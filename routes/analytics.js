@@ -0,0 +1,330 @@
+// Admin analytics reports, as JSON or CSV.
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { parseDateParam, addDays } = require('../lib/dates');
+const { DEFAULT_CURRENCY } = require('../lib/money');
+const { MAX_PAGE_SIZE } = require('../lib/pagination');
+const { verifyToken } = require('../middleware/auth');
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Match documents whose date field falls in the requested range
+const dateRangeMatch = (field, { from, to }) => {
+    if (!from && !to) {
+        return {};
+    }
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return { [field]: range };
+};
+
+const periodExpr = (field, interval) => ({
+    $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday' },
+});
+
+const rate = (numerator, denominator) => ({
+    $cond: [{ $gt: [denominator, 0] }, { $round: [{ $divide: [numerator, denominator] }, 4] }, 0],
+});
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Join a packageId stored as a string onto its package document
+const lookupPackage = (localField) => [
+    {
+        $lookup: {
+            from: 'packages',
+            let: { packageId: { $convert: { input: localField, to: 'objectId', onError: null, onNull: null } } },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$packageId'] } } },
+                { $project: { packageName: 1, type: 1, price: 1 } },
+            ],
+            as: 'package',
+        },
+    },
+    { $addFields: { package: { $first: '$package' } } },
+];
+
+const csvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Stop spreadsheet apps from treating text such as package names as formulas
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+};
+
+const registerAnalyticsRoutes = (app, ctx) => {
+    const { userCollection, wishlistCollection, bookingsCollection, paymentCollection, verifyAdmin } = ctx;
+
+    // Admin reports. Each one names the collection it reads and builds an aggregation from the
+    // parsed { from, to, interval, limit } options. Rows are flat objects so they export to CSV as-is.
+    const ANALYTICS_REPORTS = {
+        // Gross, refunded and net revenue per period and currency
+        revenue: {
+            collection: () => paymentCollection,
+            pipeline: (options) => [
+                {
+                    $addFields: {
+                        paidAt: { $convert: { input: '$date', to: 'date', onError: null, onNull: null } },
+                        value: { $convert: { input: { $ifNull: ['$amount', '$price'] }, to: 'double', onError: 0, onNull: 0 } },
+                        isRefund: { $eq: ['$type', 'refund'] },
+                    },
+                },
+                { $match: { paidAt: { $ne: null }, ...dateRangeMatch('paidAt', options) } },
+                {
+                    $group: {
+                        _id: { period: periodExpr('$paidAt', options.interval), currency: { $ifNull: ['$currency', DEFAULT_CURRENCY] } },
+                        gross: { $sum: { $cond: ['$isRefund', 0, '$value'] } },
+                        refunds: { $sum: { $cond: ['$isRefund', '$value', 0] } },
+                        payments: countWhere({ $not: ['$isRefund'] }),
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        period: '$_id.period',
+                        currency: '$_id.currency',
+                        payments: 1,
+                        gross: { $round: ['$gross', 2] },
+                        refunds: { $round: ['$refunds', 2] },
+                        net: { $round: [{ $subtract: ['$gross', '$refunds'] }, 2] },
+                    },
+                },
+                { $sort: { period: 1, currency: 1 } },
+            ],
+        },
+
+        // Bookings per package and how many of them were paid for
+        'bookings-by-package': {
+            collection: () => bookingsCollection,
+            pipeline: (options) => [
+                { $match: dateRangeMatch('createdAt', options) },
+                {
+                    $group: {
+                        _id: '$packageId',
+                        packageName: { $first: '$packageName' },
+                        bookings: { $sum: 1 },
+                        paid: countWhere({ $in: ['$status', [BOOKING_STATUS.PAID, BOOKING_STATUS.COMPLETED]] }),
+                        cancelled: countWhere({ $eq: ['$status', BOOKING_STATUS.CANCELLED] }),
+                        rejected: countWhere({ $eq: ['$status', BOOKING_STATUS.REJECTED] }),
+                    },
+                },
+                ...lookupPackage('$_id'),
+                {
+                    $project: {
+                        _id: 0,
+                        packageId: '$_id',
+                        packageName: { $ifNull: ['$package.packageName', '$packageName'] },
+                        type: '$package.type',
+                        bookings: 1,
+                        paid: 1,
+                        cancelled: 1,
+                        rejected: 1,
+                        conversionRate: rate('$paid', '$bookings'),
+                    },
+                },
+                { $sort: { bookings: -1 } },
+            ],
+        },
+
+        // The same, rolled up per package type
+        'bookings-by-type': {
+            collection: () => bookingsCollection,
+            pipeline: (options) => [
+                { $match: dateRangeMatch('createdAt', options) },
+                ...lookupPackage('$packageId'),
+                {
+                    $group: {
+                        _id: { $ifNull: ['$package.type', 'unknown'] },
+                        bookings: { $sum: 1 },
+                        paid: countWhere({ $in: ['$status', [BOOKING_STATUS.PAID, BOOKING_STATUS.COMPLETED]] }),
+                    },
+                },
+                { $project: { _id: 0, type: '$_id', bookings: 1, paid: 1, conversionRate: rate('$paid', '$bookings') } },
+                { $sort: { bookings: -1 } },
+            ],
+        },
+
+        // Requests per guide and how often they accept them
+        guides: {
+            collection: () => bookingsCollection,
+            pipeline: (options) => [
+                { $match: dateRangeMatch('createdAt', options) },
+                {
+                    $addFields: {
+                        wasAccepted: { $in: [BOOKING_STATUS.ACCEPTED, { $ifNull: ['$statusHistory.to', []] }] },
+                    },
+                },
+                {
+                    $group: {
+                        _id: { $ifNull: ['$guideId', '$guide'] },
+                        guideEmail: { $first: '$guideEmail' },
+                        requests: { $sum: 1 },
+                        accepted: countWhere({
+                            $or: ['$wasAccepted', { $in: ['$status', [BOOKING_STATUS.ACCEPTED, BOOKING_STATUS.PAID, BOOKING_STATUS.COMPLETED]] }],
+                        }),
+                        rejected: countWhere({ $eq: ['$status', BOOKING_STATUS.REJECTED] }),
+                        completed: countWhere({ $eq: ['$status', BOOKING_STATUS.COMPLETED] }),
+                        pending: countWhere({ $eq: ['$status', BOOKING_STATUS.IN_REVIEW] }),
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        guide: '$_id',
+                        guideEmail: 1,
+                        requests: 1,
+                        accepted: 1,
+                        rejected: 1,
+                        completed: 1,
+                        pending: 1,
+                        acceptanceRate: rate('$accepted', { $add: ['$accepted', '$rejected'] }),
+                    },
+                },
+                { $sort: { requests: -1 } },
+            ],
+        },
+
+        // Cancellations per package, split by whether the booking had been paid
+        cancellations: {
+            collection: () => bookingsCollection,
+            pipeline: (options) => [
+                { $match: dateRangeMatch('createdAt', options) },
+                {
+                    $group: {
+                        _id: '$packageId',
+                        packageName: { $first: '$packageName' },
+                        bookings: { $sum: 1 },
+                        cancelled: countWhere({ $eq: ['$status', BOOKING_STATUS.CANCELLED] }),
+                        cancelledAfterPayment: countWhere({
+                            $and: [{ $eq: ['$status', BOOKING_STATUS.CANCELLED] }, { $ne: [{ $ifNull: ['$refund', null] }, null] }],
+                        }),
+                        refunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        packageId: '$_id',
+                        packageName: 1,
+                        bookings: 1,
+                        cancelled: 1,
+                        cancelledAfterPayment: 1,
+                        refunded: { $round: ['$refunded', 2] },
+                        cancellationRate: rate('$cancelled', '$bookings'),
+                    },
+                },
+                { $sort: { cancellationRate: -1, bookings: -1 } },
+            ],
+        },
+
+        // New users per period and role
+        signups: {
+            collection: () => userCollection,
+            pipeline: (options) => [
+                { $match: { createdAt: { $type: 'date' }, ...dateRangeMatch('createdAt', options) } },
+                {
+                    $group: {
+                        _id: { period: periodExpr('$createdAt', options.interval), role: { $ifNull: ['$role', 'tourist'] } },
+                        users: { $sum: 1 },
+                    },
+                },
+                { $project: { _id: 0, period: '$_id.period', role: '$_id.role', users: 1 } },
+                { $sort: { period: 1, role: 1 } },
+            ],
+        },
+
+        // Packages saved to the most wishlists
+        'top-wishlisted': {
+            collection: () => wishlistCollection,
+            pipeline: (options) => [
+                { $match: dateRangeMatch('createdAt', options) },
+                { $group: { _id: '$packageId', wishlists: { $sum: 1 } } },
+                { $sort: { wishlists: -1, _id: 1 } },
+                { $limit: options.limit },
+                ...lookupPackage('$_id'),
+                {
+                    $project: {
+                        _id: 0,
+                        packageId: '$_id',
+                        packageName: '$package.packageName',
+                        type: '$package.type',
+                        price: '$package.price',
+                        wishlists: 1,
+                    },
+                },
+            ],
+        },
+    };
+
+    // Endpoint for admin analytics reports (see ANALYTICS_REPORTS).
+    // Query: from, to (ISO dates), interval=day|week|month, limit (top-wishlisted), format=json|csv
+    app.get('/api/admin/analytics/:report', verifyToken, verifyAdmin, validate({
+        query: {
+            from: { type: 'date' },
+            to: { type: 'date' },
+            interval: { type: 'string', enum: ANALYTICS_INTERVALS },
+            limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+            format: { type: 'string', enum: ['json', 'csv'] },
+        },
+    }), async (req, res, next) => {
+        const report = ANALYTICS_REPORTS[req.params.report];
+        if (!report) {
+            return sendError(res, 404, `Unknown report; available: ${Object.keys(ANALYTICS_REPORTS).join(', ')}`);
+        }
+
+        const from = parseDateParam(req.query.from);
+        let to = parseDateParam(req.query.to);
+        if (from === null || to === null) {
+            return sendError(res, 400, 'from and to must be valid dates');
+        }
+        // A bare date as the end of the range includes that whole day
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+            to = new Date(addDays(to, 1).getTime() - 1);
+        }
+        const interval = req.query.interval || 'day';
+        if (!ANALYTICS_INTERVALS.includes(interval)) {
+            return sendError(res, 400, `interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+        }
+        const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return sendError(res, 400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return sendError(res, 400, 'format must be json or csv');
+        }
+
+        try {
+            const rows = await report.collection()
+                .aggregate(report.pipeline({ from, to, interval, limit }))
+                .toArray();
+
+            if (format === 'csv') {
+                res.setHeader('Content-Disposition', `attachment; filename="${req.params.report}.csv"`);
+                return res.type('text/csv').send(toCsv(rows));
+            }
+            res.status(200).json({ report: req.params.report, from: from || null, to: to || null, interval, rows });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerAnalyticsRoutes,
+};
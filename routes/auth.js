@@ -0,0 +1,90 @@
+// Exchanging a Firebase ID token for an API access token, and keeping the session alive with the
+// refresh token cookie (see services/sessions.js).
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { verifyFirebaseToken, verifyToken } = require('../middleware/auth');
+const { DAY_MS } = require('../lib/dates');
+const { REFRESH_COOKIE_NAME, REFRESH_TOKEN_TTL_DAYS, refreshCookieOptions } = require('../services/sessions');
+
+// Read one cookie from the Cookie header
+const readCookie = (req, name) => {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0 && part.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+const setRefreshCookie = (res, token) => {
+    res.cookie(REFRESH_COOKIE_NAME, token, { ...refreshCookieOptions(), maxAge: REFRESH_TOKEN_TTL_DAYS * DAY_MS });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
+
+const registerAuthRoutes = (app, ctx) => {
+    const { userCollection, signAccessToken, startSession, refreshSession, endSession, revokeUserSessions } = ctx;
+
+    // JWT/POST-creating Token, only for the email in a valid Firebase ID token; also starts a refresh token session
+    app.post('/jwt', verifyFirebaseToken, validate({ body: { idToken: { type: 'string', max: 4096 } } }), async (req, res, next) => {
+        try {
+            const { email, uid } = req.firebaseUser;
+            const user = await userCollection.findOne({ email });
+            const token = signAccessToken({ email, uid, role: user?.role });
+            setRefreshCookie(res, await startSession({ email, uid }, req));
+            res.send({ token });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to exchange the refresh token cookie for a new access token; the cookie is replaced on every call
+    app.post('/auth/refresh', async (req, res, next) => {
+        try {
+            const result = await refreshSession(readCookie(req, REFRESH_COOKIE_NAME), req);
+            if (result.error) {
+                clearRefreshCookie(res);
+                return result.error === 'reused'
+                    ? sendError(res, 401, 'Session was revoked, please sign in again', { code: 'REFRESH_TOKEN_REUSED' })
+                    : sendError(res, 401, 'unauthorized access', { code: 'INVALID_REFRESH_TOKEN' });
+            }
+            setRefreshCookie(res, result.refreshToken);
+            res.send({ token: result.accessToken });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to log out this device
+    app.post('/auth/logout', async (req, res, next) => {
+        try {
+            await endSession(readCookie(req, REFRESH_COOKIE_NAME));
+            clearRefreshCookie(res);
+            res.send({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to log out every device the signed-in user has a session on
+    app.post('/auth/logout-all', verifyToken, async (req, res, next) => {
+        try {
+            const revoked = await revokeUserSessions(req.decoded.email, 'logout_all');
+            clearRefreshCookie(res);
+            res.send({ success: true, revoked });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerAuthRoutes,
+};
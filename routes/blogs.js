@@ -0,0 +1,357 @@
+// Blog authoring, publishing and RSS/Atom feeds.
+const { ObjectId } = require('mongodb');
+const { buildAtomFeed, buildRssFeed } = require('../feeds');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { ImageValidationError } = require('../storage');
+const {
+    MAX_STORY_TITLE_LENGTH,
+    MAX_STORY_EXCERPT_LENGTH,
+    parseTextFields,
+    MAX_TAG_LENGTH,
+    parseTags,
+} = require('../lib/content');
+const { parseDateParam } = require('../lib/dates');
+const { escapeRegex, isPageRequested, paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken, readOptionalToken } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/uploads');
+
+const MAX_BLOG_CONTENT_LENGTH = 50000;
+
+const FEED_SIZE = 50;
+
+const BLOG_STATUS = {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (text) => String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '') || 'post';
+
+// Check blog fields; with partial set, only the fields present are checked.
+// Returns { fields } or { error }.
+const parseBlogFields = (body, partial = false) => {
+    const { fields, error } = parseTextFields(body, [
+        ['title', MAX_STORY_TITLE_LENGTH, true],
+        ['content', MAX_BLOG_CONTENT_LENGTH, true],
+        ['excerpt', MAX_STORY_EXCERPT_LENGTH, false],
+    ], partial);
+    if (error) {
+        return { error };
+    }
+    if (body.slug !== undefined && body.slug !== '') {
+        if (typeof body.slug !== 'string' || !SLUG_PATTERN.test(body.slug) || body.slug.length > 80) {
+            return { error: 'slug must be lower-case letters, digits and single hyphens (at most 80 characters)' };
+        }
+        fields.slug = body.slug;
+    }
+    if (body.tags !== undefined) {
+        const parsed = parseTags(body.tags);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+        fields.tags = parsed.tags;
+    }
+    if (body.status !== undefined) {
+        if (!Object.values(BLOG_STATUS).includes(body.status)) {
+            return { error: `status must be one of: ${Object.values(BLOG_STATUS).join(', ')}` };
+        }
+        fields.status = body.status;
+    }
+    // A published post with a future publishAt stays scheduled until then
+    if (body.publishAt !== undefined) {
+        const publishAt = parseDateParam(body.publishAt);
+        if (publishAt === null) {
+            return { error: 'publishAt must be a valid date' };
+        }
+        fields.publishAt = publishAt || null;
+    }
+    return { fields };
+};
+
+// Posts readers can see at the given time. Posts added before the authoring API have no status or publishAt.
+const publicBlogMatch = (now) => ({
+    status: { $in: [BLOG_STATUS.PUBLISHED, null] },
+    $or: [{ publishAt: { $lte: now } }, { publishAt: null }],
+});
+
+const isBlogPublic = (blog, now) => (!blog.status || blog.status === BLOG_STATUS.PUBLISHED)
+    && (!blog.publishAt || new Date(blog.publishAt) <= now);
+
+const BLOG_SORTS = {
+    newest: { expr: { $ifNull: ['$publishAt', '$createdAt'] }, fallback: new Date(0), order: 'desc' },
+};
+
+const blogUrl = (blog) => `${process.env.CLIENT_URL || ''}/blogs/${blog.slug || blog._id}`;
+
+const BLOG_PARAMS = { params: { id: objectIdParam('Post not found') } };
+
+// Blog fields; parseBlogFields checks the text fields and slug format
+const BLOG_BODY = {
+    slug: { type: 'string', max: 80 },
+    tags: { type: 'list' },
+    status: { type: 'string', enum: Object.values(BLOG_STATUS) },
+    publishAt: { type: 'date', nullable: true },
+};
+
+const registerBlogRoutes = (app, ctx) => {
+    const { blogCollection, clock, verifyRole, isAdminEmail, storeUploadedImages, withAuthorDetails } = ctx;
+
+    // First free slug of the form base, base-2, base-3, ...; the unique index catches races
+    const findFreeSlug = async (base, excludeId) => {
+        const taken = await blogCollection
+            .find(
+                { slug: { $regex: `^${escapeRegex(base)}(-\\d+)?$` }, ...(excludeId ? { _id: { $ne: excludeId } } : {}) },
+                { projection: { slug: 1 } }
+            )
+            .toArray();
+        const slugs = new Set(taken.map(blog => blog.slug));
+        let slug = base;
+        for (let n = 2; slugs.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+        return slug;
+    };
+
+    // Load a blog post its author (or an admin) may change; returns { blog } or { status, error }
+    const findEditableBlog = async (id, email) => {
+        const blog = await blogCollection.findOne({ _id: new ObjectId(id) });
+        if (!blog) {
+            return { status: 404, error: 'Post not found' };
+        }
+        if (blog.authorEmail !== email && !(await isAdminEmail(email))) {
+            return { status: 403, error: 'forbidden access' };
+        }
+        return { blog };
+    };
+
+    // API to fetch blog posts. Filter with ?tag= and ?q= (title); page with ?page=, ?limit= or ?cursor=,
+    // otherwise all of them as a bare array.
+    // Authors see all of their own posts, including drafts and scheduled ones, with ?mine=true.
+    app.get('/api/blogs', readOptionalToken, validate({
+        query: {
+            ...PAGE_QUERY,
+            tag: { type: 'string', max: MAX_TAG_LENGTH },
+            q: { type: 'string', max: 200 },
+            mine: { type: 'boolean' },
+        },
+    }), async (req, res, next) => {
+        const { tag, q, mine } = req.query;
+        if (mine === 'true' && !req.decoded) {
+            return sendError(res, 401, 'unauthorized access');
+        }
+        try {
+            const match = mine === 'true' ? { authorEmail: req.decoded.email } : publicBlogMatch(clock.now());
+            if (tag) match.tags = String(tag).toLowerCase();
+            if (q) match.title = { $regex: escapeRegex(q), $options: 'i' };
+
+            const paged = isPageRequested(req.query);
+            const result = await paginate(blogCollection, {
+                pipeline: [{ $match: match }],
+                sorts: BLOG_SORTS,
+                defaultSort: 'newest',
+                query: req.query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            result.items = await withAuthorDetails(result.items, 'authorEmail');
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for admins and guides to write a blog post; the cover image goes in the multipart field "cover"
+    app.post('/api/blogs', verifyToken, verifyRole('admin', 'tourguide'), uploadImages('cover'), validate({
+        body: BLOG_BODY,
+    }), async (req, res, next) => {
+        const parsed = parseBlogFields(req.body);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+        if (req.files?.length > 1) {
+            return sendError(res, 400, 'Only one cover image is allowed');
+        }
+
+        try {
+            const { fields } = parsed;
+            const [coverImage] = await storeUploadedImages(req.files, 'blogs');
+            const now = clock.now();
+            const blog = {
+                ...fields,
+                slug: fields.slug || await findFreeSlug(slugify(fields.title)),
+                tags: fields.tags || [],
+                status: fields.status || BLOG_STATUS.DRAFT,
+                publishAt: fields.publishAt || null,
+                coverImage: coverImage || null,
+                authorEmail: req.user.email,
+                authorName: req.user.name,
+                createdAt: now,
+            };
+            if (blog.status === BLOG_STATUS.PUBLISHED && !blog.publishAt) {
+                blog.publishAt = now;
+            }
+            await blogCollection.insertOne(blog);
+            res.status(201).json(blog);
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            if (error.code === 11000) {
+                return sendError(res, 409, 'slug is already in use');
+            }
+            next(error);
+        }
+    });
+
+    // Published blog posts as feeds for syndication
+    const sendBlogFeed = (build, contentType) => async (req, res, next) => {
+        try {
+            const blogs = await blogCollection
+                .find(publicBlogMatch(clock.now()))
+                .sort({ publishAt: -1, createdAt: -1 })
+                .limit(FEED_SIZE)
+                .toArray();
+            const withAuthors = await withAuthorDetails(blogs, 'authorEmail');
+            const siteUrl = process.env.CLIENT_URL || '';
+            const apiUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+            const xml = build({
+                title: 'EpicEscape Blog',
+                link: `${siteUrl}/blogs`,
+                feedUrl: `${apiUrl}${req.path}`,
+                description: 'Travel stories, guides and news from EpicEscape',
+                items: withAuthors.map(blog => ({
+                    id: String(blog._id),
+                    title: blog.title,
+                    link: blogUrl(blog),
+                    summary: blog.excerpt || String(blog.content || '').slice(0, 300),
+                    content: blog.content,
+                    author: blog.authorName,
+                    tags: blog.tags,
+                    publishedAt: blog.publishAt || blog.createdAt,
+                    updatedAt: blog.updatedAt,
+                    image: blog.coverImage ? { url: blog.coverImage.url, contentType: blog.coverImage.contentType, size: blog.coverImage.size } : null,
+                })),
+            });
+            res.setHeader('Cache-Control', 'public, max-age=300');
+            res.type(contentType).send(xml);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Endpoints for the blog RSS and Atom feeds
+    app.get('/api/blogs/feed.rss', sendBlogFeed(buildRssFeed, 'application/rss+xml; charset=utf-8'));
+
+    app.get('/api/blogs/feed.atom', sendBlogFeed(buildAtomFeed, 'application/atom+xml; charset=utf-8'));
+
+    // Endpoint to fetch a blog post by slug (or by ID for posts without one).
+    // Drafts and scheduled posts are only visible to their author and admins.
+    app.get('/api/blogs/:slug', readOptionalToken, validate({
+        params: { slug: { type: 'string', required: true, max: 80, notFound: 'Post not found' } },
+    }), async (req, res, next) => {
+        const { slug } = req.params;
+        try {
+            let blog = await blogCollection.findOne({ slug });
+            if (!blog && ObjectId.isValid(slug)) {
+                blog = await blogCollection.findOne({ _id: new ObjectId(slug) });
+            }
+            const email = req.decoded?.email;
+            if (!blog || (!isBlogPublic(blog, clock.now()) && blog.authorEmail !== email && !(await isAdminEmail(email)))) {
+                return sendError(res, 404, 'Post not found');
+            }
+            const [withAuthor] = await withAuthorDetails([blog], 'authorEmail');
+            res.status(200).json(withAuthor);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for authors (or admins) to edit a blog post. Send a new "cover" file to replace
+    // the cover image, or removeCover=true to drop it.
+    app.patch('/api/blogs/:id', verifyToken, uploadImages('cover'), validate({
+        ...BLOG_PARAMS,
+        body: { ...BLOG_BODY, removeCover: { type: 'boolean' } },
+    }), async (req, res, next) => {
+        const parsed = parseBlogFields(req.body, true);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+        if (req.files?.length > 1) {
+            return sendError(res, 400, 'Only one cover image is allowed');
+        }
+
+        try {
+            const found = await findEditableBlog(req.params.id, req.decoded.email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const { blog } = found;
+            const updates = { ...parsed.fields };
+            if (updates.slug && updates.slug !== blog.slug && await blogCollection.findOne({ slug: updates.slug })) {
+                return sendError(res, 409, 'slug is already in use');
+            }
+            if (!blog.slug && !updates.slug) {
+                updates.slug = await findFreeSlug(slugify(updates.title || blog.title), blog._id);
+            }
+            if (req.files?.length > 0) {
+                [updates.coverImage] = await storeUploadedImages(req.files, 'blogs');
+            } else if (req.body.removeCover === true || req.body.removeCover === 'true') {
+                updates.coverImage = null;
+            }
+            if (Object.keys(updates).length === 0) {
+                return sendError(res, 400, 'Nothing to update');
+            }
+            // Publishing without a date publishes now
+            const status = updates.status || blog.status;
+            if (status === BLOG_STATUS.PUBLISHED && !(updates.publishAt ?? blog.publishAt)) {
+                updates.publishAt = clock.now();
+            }
+
+            const updated = await blogCollection.findOneAndUpdate(
+                { _id: blog._id },
+                { $set: { ...updates, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            const [withAuthor] = await withAuthorDetails([updated], 'authorEmail');
+            res.status(200).json(withAuthor);
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            if (error.code === 11000) {
+                return sendError(res, 409, 'slug is already in use');
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint for authors (or admins) to delete a blog post
+    app.delete('/api/blogs/:id', verifyToken, validate(BLOG_PARAMS), async (req, res, next) => {
+        try {
+            const found = await findEditableBlog(req.params.id, req.decoded.email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            await blogCollection.deleteOne({ _id: found.blog._id });
+            res.status(200).json({ message: 'Post deleted' });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerBlogRoutes,
+};
@@ -0,0 +1,495 @@
+// Bookings, their status workflow, refunds and per-departure seats.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const {
+    BOOKING_STATUS,
+    BOOKING_TRANSITIONS,
+    getBookingActorRoles,
+    checkBookingTransition,
+} = require('../lib/bookings');
+const { DAY_MS, toUtcDay, addDays, formatDay } = require('../lib/dates');
+const { toMinorUnits, fromMinorUnits } = require('../lib/money');
+const {
+    isPackagePublished,
+    DEFAULT_CANCELLATION_POLICY,
+    MAX_GROUP_SIZE,
+    getTourLengthDays,
+} = require('../lib/packages');
+const { objectIdParam, DAY_PATTERN, BOOKING_PARAMS } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+const { guideBookingsQuery } = require('../services/guides');
+
+// Validate the travellers on a booking against the package's group limits.
+// Defaults to the tourist alone. Returns { participants } or { error }.
+const parseParticipants = (value, packageDetails, tourist) => {
+    const participants = value === undefined ? [{ name: tourist.name || tourist.email, type: 'adult' }] : value;
+    const min = packageDetails.minGroupSize || 1;
+    const max = packageDetails.maxGroupSize || MAX_GROUP_SIZE;
+    if (!Array.isArray(participants) || participants.length < min || participants.length > max) {
+        return { error: `A booking for this package needs ${min === max ? min : `${min} to ${max}`} participants` };
+    }
+    const parsed = [];
+    for (const [index, participant] of participants.entries()) {
+        const name = typeof participant?.name === 'string' ? participant.name.trim() : '';
+        if (!name || name.length > 100) {
+            return { error: `participants[${index}].name is required and must be at most 100 characters` };
+        }
+        const type = participant.type || 'adult';
+        if (!['adult', 'child'].includes(type)) {
+            return { error: `participants[${index}].type must be adult or child` };
+        }
+        parsed.push({ name, type });
+    }
+    if (!parsed.some(participant => participant.type === 'adult')) {
+        return { error: 'At least one participant must be an adult' };
+    }
+    return { participants: parsed };
+};
+
+// Work out a booking's total from its participants and the package's pricing (see parsePricing)
+const calculateBookingTotal = (packageDetails, participants) => {
+    const price = Number(packageDetails.price);
+    const pricing = packageDetails.pricing || { model: 'per-booking' };
+    const adults = participants.filter(p => p.type === 'adult').length;
+    const children = participants.length - adults;
+    const childPrice = pricing.childPrice ?? price;
+
+    let total;
+    let breakdown;
+    if (pricing.model === 'per-person') {
+        total = adults * price + children * childPrice;
+        breakdown = { model: pricing.model, adults, children, adultPrice: price, childPrice };
+    } else if (pricing.model === 'group') {
+        const extra = Math.max(0, participants.length - pricing.groupSize);
+        total = pricing.groupPrice + extra * price;
+        breakdown = { model: pricing.model, groupPrice: pricing.groupPrice, groupSize: pricing.groupSize, extraParticipants: extra, extraPrice: price };
+    } else {
+        total = price;
+        breakdown = { model: 'per-booking', price };
+    }
+    return { total: Math.round(total * 100) / 100, breakdown };
+};
+
+const registerBookingRoutes = (app, ctx) => {
+    const {
+        userCollection,
+        packagesCollection,
+        bookingsCollection,
+        paymentCollection,
+        departuresCollection,
+        events,
+        clock,
+        verifyRole,
+        verifyOwner,
+        attachUnreadCounts,
+        checkGuideAvailability,
+        findGuide,
+        findGuideCommitments,
+        releaseSeats,
+        reserveSeats,
+        transitionBooking,
+        logger,
+    } = ctx;
+
+    // Work out what cancelling a paid booking now would refund under its package's policy.
+    // Admins may override the percentage. Returns null when there is no recorded payment to refund.
+    const calculateRefund = async (booking, { now = clock.now(), refundPercent } = {}) => {
+        const payment = await paymentCollection.findOne({
+            bookingId: String(booking._id),
+            type: { $ne: 'refund' },
+            status: { $in: ['succeeded', 'partially_refunded'] },
+        });
+        if (!payment) {
+            return null;
+        }
+
+        const packageDetails = ObjectId.isValid(booking.packageId)
+            ? await packagesCollection.findOne({ _id: new ObjectId(booking.packageId) })
+            : null;
+        const policy = packageDetails?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+        const daysBeforeStart = Math.floor((toUtcDay(booking.startDate) - toUtcDay(now)) / DAY_MS);
+        const tier = policy.find(t => daysBeforeStart >= t.daysBefore);
+        const percent = refundPercent !== undefined ? refundPercent : (tier ? tier.refundPercent : 0);
+
+        const paid = toMinorUnits(payment.amount, payment.currency);
+        const alreadyRefunded = toMinorUnits(payment.amountRefunded || 0, payment.currency);
+        const refundMinor = Math.min(Math.round(paid * percent / 100), paid - alreadyRefunded);
+
+        return {
+            payment,
+            policy,
+            daysBeforeStart,
+            refundPercent: percent,
+            refundMinor: Math.max(refundMinor, 0),
+            refundAmount: fromMinorUnits(Math.max(refundMinor, 0), payment.currency),
+            paidAmount: payment.amount,
+            currency: payment.currency,
+        };
+    };
+
+    // Work out the refund for cancelling a paid booking, with an admin's refundPercent override if given.
+    // Returns { quote } or { status, error }.
+    const quoteCancellationRefund = async (req, booking, role) => {
+        let refundPercent;
+        if (role === 'admin' && req.body?.refundPercent !== undefined) {
+            refundPercent = Number(req.body.refundPercent);
+            if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+                return { status: 400, error: 'refundPercent must be between 0 and 100' };
+            }
+        }
+
+        const quote = await calculateRefund(booking, { refundPercent });
+        if (!quote) {
+            return { status: 409, error: 'No payment found for this booking' };
+        }
+        return { quote };
+    };
+
+    // Send the refund for a booking this request has just cancelled, and record it on the booking and as a
+    // refund payment. The idempotency key includes the amount, so a retry only reuses a refund for the same sum.
+    // Returns the booking's refund; its status is 'failed' when Stripe refused it.
+    const issueCancellationRefund = async (req, booking, quote) => {
+        let stripeRefund;
+        try {
+            stripeRefund = await req.app.locals.stripe.refunds.create(
+                {
+                    payment_intent: quote.payment.paymentIntentId,
+                    amount: quote.refundMinor,
+                    metadata: { bookingId: String(booking._id), reason: 'booking_cancelled' },
+                },
+                { idempotencyKey: `booking-cancel-refund-${booking._id}-${quote.refundMinor}` }
+            );
+        } catch (error) {
+            logger.error('Refund failed for cancelled booking', { requestId: req.id, bookingId: String(booking._id), error });
+            const failed = { ...booking.refund, status: 'failed', failedAt: clock.now() };
+            await bookingsCollection.updateOne({ _id: booking._id }, { $set: { refund: failed } });
+            return failed;
+        }
+
+        const refund = { ...booking.refund, stripeRefundId: stripeRefund.id, status: stripeRefund.status };
+        await bookingsCollection.updateOne({ _id: booking._id }, { $set: { refund } });
+        await paymentCollection.updateOne(
+            { refundId: stripeRefund.id },
+            {
+                $setOnInsert: {
+                    type: 'refund',
+                    refundId: stripeRefund.id,
+                    paymentId: quote.payment._id,
+                    paymentIntentId: quote.payment.paymentIntentId,
+                    bookingId: String(booking._id),
+                    packageName: booking.packageName,
+                    email: booking.email,
+                    amount: refund.amount,
+                    currency: refund.currency,
+                    refundPercent: refund.refundPercent,
+                    status: refund.status,
+                    date: clock.now(),
+                }
+            },
+            { upsert: true }
+        );
+        return refund;
+    };
+
+    // Shared handler body for user-initiated status changes
+    const changeBookingStatus = async (req, res, nextStatus) => {
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!booking) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        const user = await userCollection.findOne({ email: req.decoded.email });
+        const check = checkBookingTransition(booking, nextStatus, getBookingActorRoles(booking, user));
+        if (check.error) {
+            return sendError(res, check.status, check.error);
+        }
+
+        // Another booking may have been accepted for the same days since this one was requested
+        if (nextStatus === BOOKING_STATUS.ACCEPTED && check.allowedRole === 'guide') {
+            const start = toUtcDay(booking.startDate);
+            const clashes = await findGuideCommitments(user, start, toUtcDay(booking.endDate || booking.startDate), booking._id);
+            if (clashes.length > 0) {
+                return sendError(res, 409, `Guide is already booked from ${formatDay(clashes[0].startDate)}`);
+            }
+        }
+
+        // Paid bookings are refunded under their cancellation policy. The cancellation is recorded first, with the
+        // refund pending, so a booking that another change got to first is never refunded.
+        let quote = null;
+        if (nextStatus === BOOKING_STATUS.CANCELLED && booking.status === BOOKING_STATUS.PAID) {
+            const result = await quoteCancellationRefund(req, booking, check.allowedRole);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            quote = result.quote;
+        }
+
+        const refund = quote && {
+            amount: quote.refundAmount,
+            currency: quote.currency,
+            refundPercent: quote.refundPercent,
+            stripeRefundId: null,
+            ...(quote.refundMinor > 0 ? { status: 'pending' } : {}),
+        };
+        let updated = await transitionBooking(
+            booking,
+            nextStatus,
+            { email: req.decoded.email, role: check.allowedRole, reason: req.body?.reason },
+            refund ? { refund } : {}
+        );
+        if (!updated) {
+            return sendError(res, 409, 'Booking was changed by someone else, please retry');
+        }
+
+        if (quote?.refundMinor > 0) {
+            updated = { ...updated, refund: await issueCancellationRefund(req, updated, quote) };
+            if (updated.refund.status === 'failed') {
+                return sendError(res, 502, 'Booking was cancelled but the refund could not be issued, please contact support', {
+                    code: 'REFUND_FAILED',
+                });
+            }
+        }
+        return res.status(200).json({ message: 'Booking status updated', booking: updated });
+    };
+
+    // Endpoint to fetch all bookings for a user
+    app.get('/api/bookings', verifyToken, validate({
+        query: { email: { type: 'email' } },
+    }), verifyOwner(req => req.query.email || req.decoded.email), async (req, res, next) => {
+        const email = req.query.email || req.decoded.email;
+        try {
+            const bookings = await bookingsCollection.find({ email }).toArray();
+            res.status(200).json(await attachUnreadCounts(bookings, req.decoded.email));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to show how many places are left on a package's departure date (YYYY-MM-DD)
+    app.get('/api/packages/:id/departures/:date', validate({
+        params: {
+            id: objectIdParam('Package not found'),
+            date: { type: 'string', required: true, pattern: DAY_PATTERN, notFound: 'Departure not found' },
+        },
+    }), async (req, res, next) => {
+        const { id, date } = req.params;
+        // The pattern is checked by validate(); days such as 2026-02-31 still fail here
+        const day = toUtcDay(date);
+        if (!day) {
+            return sendError(res, 404, 'Departure not found');
+        }
+        try {
+            const packageDetails = await packagesCollection.findOne({ _id: new ObjectId(id) });
+            if (!packageDetails) {
+                return sendError(res, 404, 'Package not found');
+            }
+            const departure = await departuresCollection.findOne({ packageId: id, date: day });
+            const capacity = packageDetails.capacityPerDeparture || null;
+            const booked = departure?.booked || 0;
+            res.status(200).json({
+                date: formatDay(day),
+                capacity,
+                booked,
+                remaining: capacity ? Math.max(capacity - booked, 0) : null,
+                minGroupSize: packageDetails.minGroupSize || 1,
+                maxGroupSize: packageDetails.maxGroupSize || MAX_GROUP_SIZE,
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to add a new booking.
+    // Body: packageId, startDate, guide and participants ([{ name, type: 'adult' | 'child' }], defaults to the tourist)
+    app.post('/api/bookings', verifyToken, verifyRole('tourist'), validate({
+        body: {
+            packageId: { type: 'objectId', required: true },
+            startDate: { type: 'date', required: true },
+            guide: { type: 'string', required: true, max: 200 },
+            participants: { type: 'any' },
+        },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { packageId, startDate, guide } = req.body;
+        const startDay = toUtcDay(startDate);
+        if (startDay < toUtcDay(clock.now())) {
+            return sendError(res, 400, 'startDate cannot be in the past');
+        }
+        try {
+            const packageDetails = await packagesCollection.findOne({ _id: new ObjectId(packageId) });
+            if (!packageDetails) {
+                return sendError(res, 404, 'Package not found');
+            }
+            if (!isPackagePublished(packageDetails)) {
+                return sendError(res, 400, 'Package is not available for booking');
+            }
+
+            const tourist = req.user;
+
+            const parsedParticipants = parseParticipants(req.body.participants, packageDetails, tourist);
+            if (parsedParticipants.error) {
+                return sendError(res, 400, parsedParticipants.error);
+            }
+            const { participants } = parsedParticipants;
+            const { total, breakdown } = calculateBookingTotal(packageDetails, participants);
+
+            const guideUser = await findGuide(guide);
+            if (!guideUser) {
+                return sendError(res, 404, 'Guide not found');
+            }
+
+            const endDay = addDays(startDay, getTourLengthDays(packageDetails) - 1);
+            const unavailable = await checkGuideAvailability(guideUser, startDay, endDay);
+            if (unavailable) {
+                return sendError(res, 409, unavailable);
+            }
+
+            if (!await reserveSeats(packageDetails, startDay, participants.length)) {
+                return sendError(res, 409, 'Not enough places left on this departure');
+            }
+
+            const createdAt = clock.now();
+            const newBooking = {
+                packageId,
+                packageName: packageDetails.packageName,
+                guide,
+                guideId: String(guideUser._id),
+                guideEmail: guideUser.email,
+                startDate: startDay,
+                endDate: endDay,
+                participants,
+                participantCount: participants.length,
+                priceBreakdown: breakdown,
+                price: total,
+                totalPrice: total,
+                status: BOOKING_STATUS.IN_REVIEW,
+                statusHistory: [{
+                    from: null,
+                    to: BOOKING_STATUS.IN_REVIEW,
+                    actor: { email: req.decoded.email, role: 'tourist' },
+                    reason: null,
+                    at: createdAt,
+                }],
+                email,
+                touristName: tourist.name,
+                createdAt,
+            };
+
+            try {
+                await bookingsCollection.insertOne(newBooking);
+            } catch (error) {
+                await releaseSeats(newBooking);
+                throw error;
+            }
+            events.emit('booking.created', { booking: newBooking });
+            res.status(201).json({ success: true, booking: newBooking });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to cancel a booking; the record is kept with status Cancelled
+    app.delete('/api/bookings/:id', verifyToken, validate({
+        ...BOOKING_PARAMS,
+        body: { reason: { type: 'string', max: 1000 }, refundPercent: { type: 'number', min: 0, max: 100 } },
+    }), async (req, res, next) => {
+        try {
+            await changeBookingStatus(req, res, BOOKING_STATUS.CANCELLED);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch assigned tours; guides see their own, admins may pass ?guide=
+    app.get('/api/assigned-tours', verifyToken, verifyRole('tourguide', 'admin'), validate({
+        query: { guide: { type: 'string', max: 200 } },
+    }), async (req, res, next) => {
+        try {
+            const guide = req.user.role === 'admin' ? await findGuide(req.query.guide) : req.user;
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            const assignedTours = await bookingsCollection.find(guideBookingsQuery(guide)).toArray();
+            res.status(200).json(await attachUnreadCounts(assignedTours, req.decoded.email));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to update booking status, following BOOKING_TRANSITIONS
+    app.patch('/api/bookings/:id/status', verifyToken, validate({
+        ...BOOKING_PARAMS,
+        body: {
+            status: { type: 'string', required: true, enum: Object.values(BOOKING_STATUS) },
+            reason: { type: 'string', max: 1000 },
+            refundPercent: { type: 'number', min: 0, max: 100 },
+        },
+    }), async (req, res, next) => {
+        try {
+            await changeBookingStatus(req, res, req.body.status);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to preview the refund a tourist would get by cancelling now
+    app.get('/api/bookings/:id/refund-preview', verifyToken, validate(BOOKING_PARAMS), async (req, res, next) => {
+        const bookingId = req.params.id;
+        try {
+            const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+            if (!booking) {
+                return sendError(res, 404, 'Booking not found');
+            }
+            const user = await userCollection.findOne({ email: req.decoded.email });
+            const roles = getBookingActorRoles(booking, user);
+            if (!roles.includes('tourist') && !roles.includes('admin')) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const cancellable = Boolean((BOOKING_TRANSITIONS[booking.status] || {})[BOOKING_STATUS.CANCELLED]);
+            if (booking.status !== BOOKING_STATUS.PAID) {
+                return res.status(200).json({ cancellable, refundable: false, refundAmount: 0 });
+            }
+
+            const quote = await calculateRefund(booking);
+            if (!quote) {
+                return res.status(200).json({ cancellable, refundable: false, refundAmount: 0 });
+            }
+            res.status(200).json({
+                cancellable,
+                refundable: quote.refundMinor > 0,
+                refundAmount: quote.refundAmount,
+                refundPercent: quote.refundPercent,
+                paidAmount: quote.paidAmount,
+                currency: quote.currency,
+                daysBeforeStart: quote.daysBeforeStart,
+                policy: quote.policy,
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch the status history of a booking
+    app.get('/api/bookings/:id/history', verifyToken, validate(BOOKING_PARAMS), async (req, res, next) => {
+        const bookingId = req.params.id;
+        try {
+            const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+            if (!booking) {
+                return sendError(res, 404, 'Booking not found');
+            }
+            const user = await userCollection.findOne({ email: req.decoded.email });
+            if (getBookingActorRoles(booking, user).length === 0) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            res.status(200).json({ status: booking.status, statusHistory: booking.statusHistory || [] });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerBookingRoutes,
+};
@@ -0,0 +1,240 @@
+// Community discussion posts and their replies.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const {
+    MAX_STORY_TITLE_LENGTH,
+    MAX_COMMENT_LENGTH,
+    parseTextFields,
+    MAX_TAG_LENGTH,
+    MAX_COMMUNITY_BODY_LENGTH,
+    parseTags,
+} = require('../lib/content');
+const { isPageRequested, paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+
+const COMMUNITY_PARAMS = { params: { id: objectIdParam('Post not found') } };
+
+const registerCommunityRoutes = (app, ctx) => {
+    const { communityCollection, communityRepliesCollection, clock, isAdminEmail, withAuthorDetails } = ctx;
+
+    // API to fetch community posts. Filter with ?tag= and ?author=; page with ?page=, ?limit= or ?cursor=,
+    // otherwise all of them as a bare array.
+    app.get('/api/community', validate({
+        query: { ...PAGE_QUERY, tag: { type: 'string', max: MAX_TAG_LENGTH }, author: { type: 'email' } },
+    }), async (req, res, next) => {
+        const { tag, author } = req.query;
+        try {
+            const match = {};
+            if (tag) match.tags = String(tag).toLowerCase();
+            if (author) match.email = author;
+            const paged = isPageRequested(req.query);
+            const result = await paginate(communityCollection, {
+                pipeline: [{ $match: match }],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    active: { expr: { $ifNull: ['$lastReplyAt', '$createdAt'] }, fallback: new Date(0), order: 'desc' },
+                },
+                defaultSort: 'newest',
+                query: req.query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            result.items = await withAuthorDetails(result.items);
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to create a community post
+    app.post('/api/community', verifyToken, validate({ body: { tags: { type: 'list' } } }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { fields, error } = parseTextFields(req.body, [
+            ['title', MAX_STORY_TITLE_LENGTH, true],
+            ['body', MAX_COMMUNITY_BODY_LENGTH, true],
+        ]);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        const parsedTags = parseTags(req.body.tags);
+        if (parsedTags.error) {
+            return sendError(res, 400, parsedTags.error);
+        }
+
+        try {
+            const post = {
+                ...fields,
+                tags: parsedTags.tags,
+                email,
+                replyCount: 0,
+                lastReplyAt: null,
+                createdAt: clock.now(),
+            };
+            await communityCollection.insertOne(post);
+            const [withAuthor] = await withAuthorDetails([post]);
+            res.status(201).json(withAuthor);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch a single community post
+    app.get('/api/community/:id', validate(COMMUNITY_PARAMS), async (req, res, next) => {
+        const { id } = req.params;
+        try {
+            const post = await communityCollection.findOne({ _id: new ObjectId(id) });
+            if (!post) {
+                return sendError(res, 404, 'Post not found');
+            }
+            const [withAuthor] = await withAuthorDetails([post]);
+            res.status(200).json(withAuthor);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Load a community post or reply its author (or an admin when allowAdmin is set) may change;
+    // returns { doc } or { status, error }
+    const findOwnCommunityDoc = async (collection, id, email, allowAdmin, notFound) => {
+        const doc = await collection.findOne({ _id: new ObjectId(id) });
+        if (!doc) {
+            return { status: 404, error: notFound };
+        }
+        if (doc.email !== email && !(allowAdmin && await isAdminEmail(email))) {
+            return { status: 403, error: 'forbidden access' };
+        }
+        return { doc };
+    };
+
+    // Endpoint for authors to edit their community post
+    app.patch('/api/community/:id', verifyToken, validate({
+        ...COMMUNITY_PARAMS,
+        body: { tags: { type: 'list' } },
+    }), async (req, res, next) => {
+        const { fields, error } = parseTextFields(req.body, [
+            ['title', MAX_STORY_TITLE_LENGTH, true],
+            ['body', MAX_COMMUNITY_BODY_LENGTH, true],
+        ], true);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        if (req.body.tags !== undefined) {
+            const parsedTags = parseTags(req.body.tags);
+            if (parsedTags.error) {
+                return sendError(res, 400, parsedTags.error);
+            }
+            fields.tags = parsedTags.tags;
+        }
+        if (Object.keys(fields).length === 0) {
+            return sendError(res, 400, 'Nothing to update');
+        }
+
+        try {
+            const found = await findOwnCommunityDoc(communityCollection, req.params.id, req.decoded.email, false, 'Post not found');
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const updated = await communityCollection.findOneAndUpdate(
+                { _id: found.doc._id },
+                { $set: { ...fields, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            const [withAuthor] = await withAuthorDetails([updated]);
+            res.status(200).json(withAuthor);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for authors (or admins) to delete a community post and its replies
+    app.delete('/api/community/:id', verifyToken, validate(COMMUNITY_PARAMS), async (req, res, next) => {
+        try {
+            const found = await findOwnCommunityDoc(communityCollection, req.params.id, req.decoded.email, true, 'Post not found');
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            await communityCollection.deleteOne({ _id: found.doc._id });
+            await communityRepliesCollection.deleteMany({ postId: String(found.doc._id) });
+            res.status(200).json({ message: 'Post deleted' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch the replies to a community post, oldest first
+    app.get('/api/community/:id/replies', validate({ ...COMMUNITY_PARAMS, query: PAGE_QUERY }), async (req, res, next) => {
+        const { id } = req.params;
+        try {
+            const result = await paginate(communityRepliesCollection, {
+                pipeline: [{ $match: { postId: String(new ObjectId(id)) } }],
+                sorts: { oldest: { expr: '$createdAt', fallback: new Date(0), order: 'asc' } },
+                defaultSort: 'oldest',
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            result.items = await withAuthorDetails(result.items);
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to reply to a community post
+    app.post('/api/community/:id/replies', verifyToken, validate({
+        ...COMMUNITY_PARAMS,
+        body: { body: { type: 'string', required: true, min: 1, max: MAX_COMMENT_LENGTH } },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { id } = req.params;
+        const body = req.body.body.trim();
+
+        try {
+            const now = clock.now();
+            const post = await communityCollection.findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $inc: { replyCount: 1 }, $set: { lastReplyAt: now } }
+            );
+            if (!post) {
+                return sendError(res, 404, 'Post not found');
+            }
+            const reply = {
+                postId: String(post._id),
+                email,
+                body,
+                createdAt: now,
+            };
+            await communityRepliesCollection.insertOne(reply);
+            const [withAuthor] = await withAuthorDetails([reply]);
+            res.status(201).json(withAuthor);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for repliers (or admins) to delete a reply
+    app.delete('/api/community/:id/replies/:replyId', verifyToken, validate({
+        params: { ...COMMUNITY_PARAMS.params, replyId: objectIdParam('Reply not found') },
+    }), async (req, res, next) => {
+        try {
+            const found = await findOwnCommunityDoc(communityRepliesCollection, req.params.replyId, req.decoded.email, true, 'Reply not found');
+            if (found.error || found.doc.postId !== req.params.id) {
+                return sendError(res, found.status || 404, found.error || 'Reply not found');
+            }
+            await communityRepliesCollection.deleteOne({ _id: found.doc._id });
+            await communityCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $inc: { replyCount: -1 } });
+            res.status(200).json({ message: 'Reply deleted' });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerCommunityRoutes,
+};
@@ -0,0 +1,184 @@
+// Admin management of discount coupons.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+const { paginate } = require('../lib/pagination');
+const { normalizeCouponCode } = require('../services/coupons');
+
+// Validate the coupon fields sent by an admin; returns an error message or null
+const validateCoupon = (coupon, partial = false) => {
+    if (!partial || coupon.code !== undefined) {
+        if (!normalizeCouponCode(coupon.code)) {
+            return 'code is required';
+        }
+    }
+    if (!partial || coupon.type !== undefined) {
+        if (!['percentage', 'fixed'].includes(coupon.type)) {
+            return 'type must be "percentage" or "fixed"';
+        }
+    }
+    if (!partial || coupon.value !== undefined) {
+        const value = Number(coupon.value);
+        if (!Number.isFinite(value) || value <= 0) {
+            return 'value must be a positive number';
+        }
+        if (coupon.type === 'percentage' && value > 100) {
+            return 'percentage value cannot exceed 100';
+        }
+    }
+    if (!partial || coupon.type !== undefined || coupon.currency !== undefined) {
+        if (coupon.type === 'fixed' && !coupon.currency) {
+            return 'currency is required for fixed coupons';
+        }
+    }
+    if (coupon.expiresAt != null && isNaN(new Date(coupon.expiresAt))) {
+        return 'expiresAt must be a valid date';
+    }
+    if (coupon.maxUses != null && (!Number.isInteger(Number(coupon.maxUses)) || Number(coupon.maxUses) < 1)) {
+        return 'maxUses must be a positive integer';
+    }
+    if (coupon.packageIds != null && !Array.isArray(coupon.packageIds)) {
+        return 'packageIds must be an array';
+    }
+    return null;
+};
+
+const buildCouponFields = (body) => {
+    const fields = {};
+    if (body.code !== undefined) fields.code = normalizeCouponCode(body.code);
+    if (body.type !== undefined) fields.type = body.type;
+    if (body.value !== undefined) fields.value = Number(body.value);
+    if (body.currency !== undefined) fields.currency = body.currency ? String(body.currency).toLowerCase() : null;
+    if (body.expiresAt !== undefined) fields.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (body.maxUses !== undefined) fields.maxUses = body.maxUses == null ? null : Number(body.maxUses);
+    if (body.packageIds !== undefined) fields.packageIds = (body.packageIds || []).map(String);
+    if (body.active !== undefined) fields.active = Boolean(body.active);
+    return fields;
+};
+
+// Coupon fields; validateCoupon checks how they fit together
+const COUPON_BODY = {
+    code: { type: 'string', max: 50 },
+    type: { type: 'string', enum: ['percentage', 'fixed'] },
+    value: { type: 'number', min: 0 },
+    currency: { type: 'string', nullable: true, pattern: /^[a-zA-Z]{3}$/, patternMessage: 'must be a 3-letter currency code' },
+    expiresAt: { type: 'date', nullable: true },
+    maxUses: { type: 'integer', nullable: true, min: 1 },
+    packageIds: { type: 'array', nullable: true, items: { type: 'objectId' } },
+    active: { type: 'boolean' },
+};
+
+const registerCouponRoutes = (app, ctx) => {
+    const { couponsCollection, clock, verifyAdmin } = ctx;
+
+    // Endpoint to list coupons (admin), newest first or by code
+    app.get('/api/coupons', verifyToken, verifyAdmin, validate({ query: PAGE_QUERY }), async (req, res, next) => {
+        try {
+            const result = await paginate(couponsCollection, {
+                pipeline: [],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    code: { expr: '$code', fallback: '', order: 'asc' },
+                },
+                defaultSort: 'newest',
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to create a coupon (admin)
+    app.post('/api/coupons', verifyToken, verifyAdmin, validate({ body: COUPON_BODY }), async (req, res, next) => {
+        const validationError = validateCoupon(req.body);
+        if (validationError) {
+            return sendError(res, 400, validationError);
+        }
+
+        const newCoupon = {
+            currency: null,
+            expiresAt: null,
+            maxUses: null,
+            packageIds: [],
+            active: true,
+            ...buildCouponFields(req.body),
+            usedCount: 0,
+            createdAt: clock.now(),
+        };
+
+        try {
+            await couponsCollection.insertOne(newCoupon);
+            res.status(201).json({ success: true, coupon: newCoupon });
+        } catch (error) {
+            // Codes are unique (see db/collections.js)
+            if (error.code === 11000) {
+                return sendError(res, 400, 'Coupon code already exists');
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to update a coupon (admin)
+    app.patch('/api/coupons/:id', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('Coupon not found') },
+        body: COUPON_BODY,
+    }), async (req, res, next) => {
+        const { id } = req.params;
+
+        try {
+            const coupon = await couponsCollection.findOne({ _id: new ObjectId(id) });
+            if (!coupon) {
+                return sendError(res, 404, 'Coupon not found');
+            }
+            const validationError = validateCoupon({
+                ...req.body,
+                type: req.body.type ?? coupon.type,
+                currency: req.body.currency !== undefined ? req.body.currency : coupon.currency,
+            }, true);
+            if (validationError) {
+                return sendError(res, 400, validationError);
+            }
+
+            const updates = buildCouponFields(req.body);
+            const updated = await couponsCollection.findOneAndUpdate(
+                { _id: coupon._id },
+                { $set: { ...updates, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            res.status(200).json({ success: true, coupon: updated });
+        } catch (error) {
+            if (error.code === 11000) {
+                return sendError(res, 400, 'Coupon code already exists');
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to delete a coupon (admin)
+    app.delete('/api/coupons/:id', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('Coupon not found') },
+    }), async (req, res, next) => {
+        const { id } = req.params;
+
+        try {
+            const result = await couponsCollection.deleteOne({ _id: new ObjectId(id) });
+            if (result.deletedCount === 1) {
+                res.status(200).json({ success: true, message: 'Coupon deleted successfully' });
+            } else {
+                sendError(res, 404, 'Coupon not found');
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerCouponRoutes,
+};
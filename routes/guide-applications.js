@@ -0,0 +1,467 @@
+// Applications to become a tour guide, with private supporting documents.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { FileValidationError } = require('../storage');
+const { parseListField } = require('../lib/content');
+const { paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+const { uploadDocuments } = require('../middleware/uploads');
+
+const APPLICATION_STATUS = {
+    PENDING: 'pending',
+    NEEDS_INFO: 'needs-info',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+const OPEN_APPLICATION_STATUSES = [APPLICATION_STATUS.PENDING, APPLICATION_STATUS.NEEDS_INFO];
+
+// Decisions an admin can make on an application in each state
+const APPLICATION_DECISIONS = {
+    [APPLICATION_STATUS.PENDING]: [APPLICATION_STATUS.NEEDS_INFO, APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED],
+    [APPLICATION_STATUS.NEEDS_INFO]: [APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED],
+};
+
+// Validate the applicant's fields; returns { fields } or { error }
+const parseApplicationFields = (body, partial = false) => {
+    const fields = {};
+    const has = (field) => body[field] !== undefined;
+
+    if (!partial || has('bio')) {
+        if (typeof body.bio !== 'string' || body.bio.trim().length < 20 || body.bio.length > 5000) {
+            return { error: 'bio must be between 20 and 5000 characters' };
+        }
+        fields.bio = body.bio.trim();
+    }
+    if (!partial || has('experience')) {
+        if (typeof body.experience !== 'string' || !body.experience.trim() || body.experience.length > 5000) {
+            return { error: 'experience is required and must be at most 5000 characters' };
+        }
+        fields.experience = body.experience.trim();
+    }
+    if (!partial || has('languages')) {
+        fields.languages = parseListField(body.languages);
+        if (fields.languages.length === 0) {
+            return { error: 'languages must list at least one language' };
+        }
+    }
+    if (has('certifications') || !partial) {
+        fields.certifications = parseListField(body.certifications);
+    }
+    return { fields };
+};
+
+// Shown on applications made through the older request endpoint until the applicant fills them in
+const INCOMPLETE_APPLICATION_REASON = 'Please tell us about yourself: your bio, experience and languages';
+
+// Applicant fields; parseApplicationFields checks the details
+const APPLICATION_BODY = {
+    body: {
+        bio: { type: 'string', max: 5000 },
+        experience: { type: 'any' },
+        languages: { type: 'list' },
+        certifications: { type: 'list' },
+    },
+};
+
+const registerGuideApplicationRoutes = (app, ctx) => {
+    const {
+        userCollection,
+        guideApplicationsCollection,
+        events,
+        clock,
+        imageStorage,
+        verifyRole,
+        verifyAdmin,
+        storeUploadedDocuments,
+        revokeUserSessions,
+    } = ctx;
+
+    // Load an application the signed-in user may see: their own, or any for admins. Returns { application } or { status, error }.
+    const findAccessibleApplication = async (req) => {
+        const { id } = req.params;
+        const application = await guideApplicationsCollection.findOne({ _id: new ObjectId(id) });
+        if (!application) {
+            return { status: 404, error: 'Application not found' };
+        }
+        if (application.email !== req.decoded.email) {
+            const user = await userCollection.findOne({ email: req.decoded.email });
+            if (user?.role !== 'admin') {
+                return { status: 403, error: 'forbidden access' };
+            }
+            return { application, isAdmin: true };
+        }
+        return { application, isAdmin: false };
+    };
+
+    // Apply an admin decision. Approval turns the applicant into a guide and builds their public profile from the application;
+    // the role change signs them out everywhere so every session picks up the new role.
+    const decideGuideApplication = async (application, status, adminEmail, reason) => {
+        const now = clock.now();
+        const updated = await guideApplicationsCollection.findOneAndUpdate(
+            { _id: application._id, status: application.status },
+            {
+                $set: {
+                    status,
+                    decisionReason: reason || null,
+                    updatedAt: now,
+                    ...(status === APPLICATION_STATUS.NEEDS_INFO ? {} : { decidedAt: now, decidedBy: adminEmail }),
+                },
+                $push: { history: { from: application.status, to: status, by: adminEmail, reason: reason || null, at: now } },
+            },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            return null;
+        }
+
+        if (status === APPLICATION_STATUS.APPROVED) {
+            await userCollection.updateOne(
+                { email: application.email },
+                {
+                    $set: {
+                        role: 'tourguide',
+                        requestRole: null,
+                        bio: application.bio,
+                        experience: application.experience,
+                        languages: application.languages,
+                        certifications: application.certifications,
+                        guideApplicationId: String(application._id),
+                        guideSince: now,
+                    }
+                }
+            );
+            await revokeUserSessions(application.email, 'role_changed');
+        } else if (status === APPLICATION_STATUS.REJECTED) {
+            await userCollection.updateOne({ email: application.email }, { $set: { requestRole: null } });
+        }
+
+        if (status === APPLICATION_STATUS.NEEDS_INFO) {
+            events.emit('guideApplication.needsInfo', { email: application.email, reason });
+        } else {
+            events.emit('guideRequest.decided', {
+                email: application.email,
+                approved: status === APPLICATION_STATUS.APPROVED,
+                reason,
+            });
+        }
+        return updated;
+    };
+
+    const findOpenApplication = (email) => guideApplicationsCollection.findOne({ email, status: { $in: OPEN_APPLICATION_STATUSES } });
+
+    // Store a new application for the signed-in user in the given state
+    const createApplication = async (req, fields, documents, status, reason = null) => {
+        const { email } = req.decoded;
+        const now = clock.now();
+        const application = {
+            email,
+            userId: String(req.user._id),
+            name: req.user.name || null,
+            ...fields,
+            documents,
+            status,
+            decisionReason: reason,
+            comments: [],
+            history: [{ from: null, to: status, by: email, reason, at: now }],
+            createdAt: now,
+            updatedAt: now,
+        };
+        await guideApplicationsCollection.insertOne(application);
+        // Kept so existing admin views can still spot users with a pending request
+        await userCollection.updateOne({ email }, { $set: { requestRole: 'tourguide' } });
+        return application;
+    };
+
+    // Handler for submitting a guide application (multipart, with up to five `documents`)
+    const submitGuideApplication = async (req, res, next) => {
+        const parsed = parseApplicationFields(req.body);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+
+        try {
+            if (await findOpenApplication(req.decoded.email)) {
+                return sendError(res, 409, 'You already have an open guide application');
+            }
+            const documents = await storeUploadedDocuments(req.files);
+            const application = await createApplication(req, parsed.fields, documents, APPLICATION_STATUS.PENDING);
+            res.status(201).json({ success: true, message: 'Application submitted successfully', application });
+        } catch (error) {
+            if (error instanceof FileValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    };
+
+    // Endpoint to apply to become a tour guide
+    app.post('/api/guide-applications', verifyToken, verifyRole('tourist'), uploadDocuments('documents'), validate(APPLICATION_BODY), submitGuideApplication);
+
+    // Endpoint to request to become a tour guide, kept for older clients that send no details (the email they
+    // used to send is ignored). They get an empty application waiting for the details, which the applicant
+    // completes with PATCH /api/guide-applications/:id; a request with the details is a full application.
+    app.post('/api/request-tour-guide', verifyToken, verifyRole('tourist'), uploadDocuments('documents'), validate(APPLICATION_BODY), async (req, res, next) => {
+        if (['bio', 'experience', 'languages'].some(field => req.body?.[field] !== undefined)) {
+            return submitGuideApplication(req, res, next);
+        }
+        try {
+            if (await findOpenApplication(req.decoded.email)) {
+                return sendError(res, 409, 'You already have an open guide application');
+            }
+            const fields = { bio: null, experience: null, languages: [], certifications: [] };
+            const application = await createApplication(req, fields, [], APPLICATION_STATUS.NEEDS_INFO, INCOMPLETE_APPLICATION_REASON);
+            res.status(200).json({ success: true, message: 'Request sent successfully', application });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for admins to list applications; ?status= to filter
+    app.get('/api/guide-applications', verifyToken, verifyAdmin, validate({
+        query: { ...PAGE_QUERY, status: { type: 'string', enum: Object.values(APPLICATION_STATUS) } },
+    }), async (req, res, next) => {
+        const match = {};
+        if (req.query.status) {
+            match.status = req.query.status;
+        }
+        try {
+            const result = await paginate(guideApplicationsCollection, {
+                pipeline: [{ $match: match }],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    updated: { expr: '$updatedAt', fallback: new Date(0), order: 'desc' },
+                },
+                defaultSort: 'newest',
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for users to see their own application history
+    app.get('/api/guide-applications/mine', verifyToken, async (req, res, next) => {
+        try {
+            const applications = await guideApplicationsCollection
+                .find({ email: req.decoded.email })
+                .sort({ createdAt: -1 })
+                .toArray();
+            res.status(200).json(applications);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch one application (applicant or admin)
+    app.get('/api/guide-applications/:id', verifyToken, validate({
+        params: { id: objectIdParam('Application not found') },
+    }), async (req, res, next) => {
+        try {
+            const result = await findAccessibleApplication(req);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            res.status(200).json(result.application);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for the applicant to answer a needs-info request; updates fields, adds documents and resubmits
+    app.patch('/api/guide-applications/:id', verifyToken, uploadDocuments('documents'), validate({
+        params: { id: objectIdParam('Application not found') },
+        ...APPLICATION_BODY,
+    }), async (req, res, next) => {
+        const partial = parseApplicationFields(req.body, true);
+        if (partial.error) {
+            return sendError(res, 400, partial.error);
+        }
+
+        try {
+            const result = await findAccessibleApplication(req);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            const { application } = result;
+            if (application.email !== req.decoded.email) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            if (application.status !== APPLICATION_STATUS.NEEDS_INFO) {
+                return sendError(res, 409, 'Only applications that need more information can be changed');
+            }
+            // The resubmitted application must be complete, including fields sent in earlier
+            const { bio, experience, languages, certifications } = application;
+            const parsed = parseApplicationFields({ bio, experience, languages, certifications, ...partial.fields });
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            const now = clock.now();
+            const documents = await storeUploadedDocuments(req.files);
+            const updated = await guideApplicationsCollection.findOneAndUpdate(
+                { _id: application._id, status: APPLICATION_STATUS.NEEDS_INFO },
+                {
+                    $set: { ...parsed.fields, status: APPLICATION_STATUS.PENDING, updatedAt: now },
+                    $push: {
+                        documents: { $each: documents },
+                        history: { from: APPLICATION_STATUS.NEEDS_INFO, to: APPLICATION_STATUS.PENDING, by: req.decoded.email, reason: null, at: now },
+                    },
+                },
+                { returnDocument: 'after' }
+            );
+            if (!updated) {
+                return sendError(res, 409, 'Application was changed by someone else, please retry');
+            }
+            res.status(200).json({ success: true, message: 'Application resubmitted', application: updated });
+        } catch (error) {
+            if (error instanceof FileValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to download a document attached to an application (applicant or admin)
+    app.get('/api/guide-applications/:id/documents/:index', verifyToken, validate({
+        params: {
+            id: objectIdParam('Application not found'),
+            index: { type: 'integer', required: true, min: 0, notFound: 'Document not found' },
+        },
+    }), async (req, res, next) => {
+        try {
+            const result = await findAccessibleApplication(req);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            const document = (result.application.documents || [])[Number(req.params.index)];
+            const file = document && await imageStorage.get(document.key);
+            if (!file) {
+                return sendError(res, 404, 'Document not found');
+            }
+            res.setHeader('Cache-Control', 'private, no-store');
+            res.setHeader('Content-Disposition', `attachment; filename="${document.name.replace(/["\\\r\n]/g, '')}"`);
+            res.type(file.contentType).send(file.body);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for the applicant or an admin to comment on an application
+    app.post('/api/guide-applications/:id/comments', verifyToken, validate({
+        params: { id: objectIdParam('Application not found') },
+        body: { message: { type: 'string', required: true, min: 1, max: 2000 } },
+    }), async (req, res, next) => {
+        const { message } = req.body;
+        if (typeof message !== 'string' || !message.trim() || message.length > 2000) {
+            return sendError(res, 400, 'message must be between 1 and 2000 characters');
+        }
+
+        try {
+            const result = await findAccessibleApplication(req);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            const comment = {
+                author: req.decoded.email,
+                role: result.isAdmin ? 'admin' : 'applicant',
+                message: message.trim(),
+                at: clock.now(),
+            };
+            await guideApplicationsCollection.updateOne(
+                { _id: result.application._id },
+                { $push: { comments: comment }, $set: { updatedAt: comment.at } }
+            );
+            res.status(201).json({ message: 'Comment added', comment });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for admins to decide on an application: needs-info, approved or rejected, with a reason
+    app.patch('/api/guide-applications/:id/status', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('Application not found') },
+        body: {
+            status: { type: 'string', required: true, enum: [APPLICATION_STATUS.NEEDS_INFO, APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED] },
+            reason: { type: 'string', max: 1000 },
+        },
+    }), async (req, res, next) => {
+        const { status, reason } = req.body;
+        try {
+            const result = await findAccessibleApplication(req);
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            const { application } = result;
+            if (!(APPLICATION_DECISIONS[application.status] || []).includes(status)) {
+                return sendError(res, 409, `Cannot change application from ${application.status} to ${status}`);
+            }
+            if (status !== APPLICATION_STATUS.APPROVED && !reason) {
+                return sendError(res, 400, 'A reason is required');
+            }
+
+            const updated = await decideGuideApplication(application, status, req.decoded.email, reason);
+            if (!updated) {
+                return sendError(res, 409, 'Application was changed by someone else, please retry');
+            }
+            res.status(200).json({ success: true, message: 'Application updated', application: updated });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to process role request decisions (older admin views); decides the user's open application
+    app.patch('/api/users/:id/request', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('User not found') },
+        body: {
+            decision: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+            reason: { type: 'string', max: 1000 },
+        },
+    }), async (req, res, next) => {
+        const userId = req.params.id;
+        const { decision, reason } = req.body;
+        try {
+            const user = await userCollection.findOne({ _id: new ObjectId(userId) });
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+
+            const status = decision === 'approved' ? APPLICATION_STATUS.APPROVED : APPLICATION_STATUS.REJECTED;
+            const application = await guideApplicationsCollection.findOne(
+                { email: user.email, status: { $in: OPEN_APPLICATION_STATUSES } },
+                { sort: { createdAt: -1 } }
+            );
+            if (application) {
+                const updated = await decideGuideApplication(application, status, req.decoded.email, reason);
+                if (!updated) {
+                    return sendError(res, 409, 'Application was changed by someone else, please retry');
+                }
+            } else if (user.requestRole) {
+                // Requests made before applications existed only carry the requestRole flag
+                await userCollection.updateOne(
+                    { _id: user._id },
+                    { $set: status === APPLICATION_STATUS.APPROVED ? { role: user.requestRole, requestRole: null } : { requestRole: null } }
+                );
+                if (status === APPLICATION_STATUS.APPROVED) {
+                    await revokeUserSessions(user.email, 'role_changed');
+                }
+                events.emit('guideRequest.decided', { email: user.email, approved: status === APPLICATION_STATUS.APPROVED, reason });
+            } else {
+                return sendError(res, 404, 'No open guide application for this user');
+            }
+            res.status(200).json({ success: true, message: 'Request processed successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerGuideApplicationRoutes,
+};
@@ -0,0 +1,234 @@
+// Tour guide profiles, weekly availability and blocked dates.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { toUtcDay, addDays, formatDay } = require('../lib/dates');
+const { getTourLengthDays } = require('../lib/packages');
+const { objectIdParam } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+const { isDayInGuideCalendar } = require('../services/guides');
+
+// Guides are looked up by user ID, email or name
+const GUIDE_PARAMS = { params: { id: { type: 'string', required: true, max: 200, notFound: 'Guide not found' } } };
+
+// Validate a weekly availability payload; returns an error message or null
+const validateAvailability = ({ weekdays, availableFrom, availableUntil }) => {
+    if (weekdays != null && (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+        return 'weekdays must be an array of integers 0 (Sunday) to 6 (Saturday)';
+    }
+    if (availableFrom != null && !toUtcDay(availableFrom)) {
+        return 'availableFrom must be a valid date';
+    }
+    if (availableUntil != null && !toUtcDay(availableUntil)) {
+        return 'availableUntil must be a valid date';
+    }
+    if (availableFrom && availableUntil && toUtcDay(availableFrom) > toUtcDay(availableUntil)) {
+        return 'availableFrom must be before availableUntil';
+    }
+    return null;
+};
+
+const registerGuideRoutes = (app, ctx) => {
+    const { userCollection, packagesCollection, clock, findGuide, findGuideCommitments } = ctx;
+
+    // Endpoint to fetch guide by ID
+    app.get('/api/guides/:id', validate({
+        params: { id: objectIdParam('Guide not found') },
+    }), async (req, res, next) => {
+        const guideId = req.params.id;
+        try {
+            const guide = await userCollection.findOne(
+                { _id: new ObjectId(guideId), role: 'tourguide' },
+                { projection: { reviews: 0, serviceAreas: 0 } }
+            );
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            res.status(200).json({ ...guide, averageRating: guide.averageRating || 0, reviewCount: guide.reviewCount || 0 });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    const canManageGuide = async (req, guide) => {
+        if (req.decoded.email === guide.email) {
+            return true;
+        }
+        const user = await userCollection.findOne({ email: req.decoded.email });
+        return user?.role === 'admin';
+    };
+
+    // Endpoint to fetch a guide's availability calendar
+    app.get('/api/guides/:id/availability', validate(GUIDE_PARAMS), async (req, res, next) => {
+        try {
+            const guide = await findGuide(req.params.id);
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            res.status(200).json({
+                availability: guide.availability || { weekdays: null, availableFrom: null, availableUntil: null },
+                blockedDates: guide.blockedDates || [],
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for a guide to publish their weekly availability
+    app.put('/api/guides/:id/availability', verifyToken, validate({
+        ...GUIDE_PARAMS,
+        body: {
+            weekdays: { type: 'array', nullable: true, max: 7, items: { type: 'integer', min: 0, max: 6 } },
+            availableFrom: { type: 'date', nullable: true },
+            availableUntil: { type: 'date', nullable: true },
+        },
+    }), async (req, res, next) => {
+        const { weekdays = null, availableFrom = null, availableUntil = null } = req.body;
+        const validationError = validateAvailability({ weekdays, availableFrom, availableUntil });
+        if (validationError) {
+            return sendError(res, 400, validationError);
+        }
+
+        try {
+            const guide = await findGuide(req.params.id);
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            if (!await canManageGuide(req, guide)) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const availability = {
+                weekdays,
+                availableFrom: availableFrom ? toUtcDay(availableFrom) : null,
+                availableUntil: availableUntil ? toUtcDay(availableUntil) : null,
+            };
+            await userCollection.updateOne({ _id: guide._id }, { $set: { availability } });
+            res.status(200).json({ message: 'Availability updated', availability });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for a guide to block a date range
+    app.post('/api/guides/:id/blocked-dates', verifyToken, validate({
+        ...GUIDE_PARAMS,
+        body: {
+            start: { type: 'date', required: true },
+            end: { type: 'date' },
+            reason: { type: 'string', max: 500 },
+        },
+    }), async (req, res, next) => {
+        const { start, end, reason } = req.body;
+        const startDay = toUtcDay(start);
+        const endDay = end ? toUtcDay(end) : startDay;
+        if (!startDay || !endDay || startDay > endDay) {
+            return sendError(res, 400, 'A valid start and end date are required');
+        }
+
+        try {
+            const guide = await findGuide(req.params.id);
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            if (!await canManageGuide(req, guide)) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const block = { _id: new ObjectId(), start: startDay, end: endDay, reason: reason || null };
+            await userCollection.updateOne({ _id: guide._id }, { $push: { blockedDates: block } });
+            res.status(201).json({ message: 'Dates blocked', block });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for a guide to remove a blocked date range
+    app.delete('/api/guides/:id/blocked-dates/:blockId', verifyToken, validate({
+        params: { ...GUIDE_PARAMS.params, blockId: objectIdParam('Blocked dates not found') },
+    }), async (req, res, next) => {
+        const { blockId } = req.params;
+        try {
+            const guide = await findGuide(req.params.id);
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+            if (!await canManageGuide(req, guide)) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const result = await userCollection.updateOne(
+                { _id: guide._id },
+                { $pull: { blockedDates: { _id: new ObjectId(blockId) } } }
+            );
+            if (result.modifiedCount === 1) {
+                res.status(200).json({ message: 'Blocked dates removed' });
+            } else {
+                sendError(res, 404, 'Blocked dates not found');
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to list the days in a month a guide is free; with packageId, only days a whole tour can start on
+    app.get('/api/guides/:id/open-dates', validate({
+        ...GUIDE_PARAMS,
+        query: {
+            month: { type: 'string', pattern: /^\d{4}-\d{2}$/, patternMessage: 'must look like YYYY-MM' },
+            packageId: { type: 'objectId' },
+        },
+    }), async (req, res, next) => {
+        const { month, packageId } = req.query;
+        const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+            return sendError(res, 400, 'month must be in YYYY-MM format');
+        }
+
+        try {
+            const guide = await findGuide(req.params.id);
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+
+            let tourLength = 1;
+            if (packageId) {
+                const packageDetails = await packagesCollection.findOne({ _id: new ObjectId(packageId) });
+                if (!packageDetails) {
+                    return sendError(res, 404, 'Package not found');
+                }
+                tourLength = getTourLengthDays(packageDetails);
+            }
+
+            const monthStart = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+            const monthEnd = new Date(Date.UTC(Number(match[1]), Number(match[2]), 0));
+            const rangeEnd = addDays(monthEnd, tourLength - 1);
+            const commitments = await findGuideCommitments(guide, monthStart, rangeEnd);
+            const isFree = (day) => isDayInGuideCalendar(guide, day) && !commitments.some(booking =>
+                day >= toUtcDay(booking.startDate) && day <= toUtcDay(booking.endDate || booking.startDate));
+
+            const today = toUtcDay(clock.now());
+            const openDates = [];
+            for (let day = monthStart; day <= monthEnd; day = addDays(day, 1)) {
+                if (day < today) {
+                    continue;
+                }
+                let fits = true;
+                for (let offset = 0; offset < tourLength && fits; offset++) {
+                    fits = isFree(addDays(day, offset));
+                }
+                if (fits) {
+                    openDates.push(formatDay(day));
+                }
+            }
+
+            res.status(200).json({ month, tourLength, openDates });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerGuideRoutes,
+};
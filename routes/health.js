@@ -0,0 +1,40 @@
+// Health checks for load balancers and orchestrators: liveness says the process is serving requests,
+// readiness also needs MongoDB to answer and the server not to be shutting down (see index.js).
+const { sendError } = require('../errors');
+
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+// Reject when the promise takes longer than ms
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+const registerHealthRoutes = (app, ctx) => {
+    const { pingDatabase, logger } = ctx;
+
+    // Endpoint for liveness checks; never touches the database
+    app.get('/health', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.send({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    // Endpoint for readiness checks
+    app.get('/ready', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        if (req.app.locals.shuttingDown) {
+            return sendError(res, 503, 'Server is shutting down', { code: 'SHUTTING_DOWN' });
+        }
+        try {
+            await withTimeout(pingDatabase(), READINESS_TIMEOUT_MS);
+            res.send({ status: 'ready', checks: { mongodb: 'ok' } });
+        } catch (error) {
+            logger.warn('Readiness check failed', { requestId: req.id, error });
+            sendError(res, 503, 'Database is not reachable', { code: 'DATABASE_UNAVAILABLE' });
+        }
+    });
+};
+
+module.exports = {
+    registerHealthRoutes,
+};
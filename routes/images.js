@@ -0,0 +1,40 @@
+// Serving stored images and thumbnails.
+const { sendError } = require('../errors');
+const { isValidKey } = require('../storage');
+const { PRIVATE_KEY_PREFIXES } = require('../middleware/uploads');
+
+const registerImageRoutes = (app, ctx) => {
+    const { imageStorage, logger } = ctx;
+
+    // Endpoint to serve stored images. Keys are content hashes, so responses never change.
+    app.get('/images/*', async (req, res, next) => {
+        const key = req.params[0];
+        if (!isValidKey(key) || PRIVATE_KEY_PREFIXES.some(prefix => key.startsWith(prefix))) {
+            return sendError(res, 404, 'Image not found');
+        }
+
+        const etag = `"${key}"`;
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.setHeader('ETag', etag);
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+
+        try {
+            const image = await imageStorage.get(key);
+            if (!image) {
+                res.removeHeader('Cache-Control');
+                res.removeHeader('ETag');
+                return sendError(res, 404, 'Image not found');
+            }
+            res.type(image.contentType).send(image.body);
+        } catch (error) {
+            logger.error('Error reading image', { requestId: req.id, key, error });
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerImageRoutes,
+};
@@ -0,0 +1,51 @@
+// Route modules, registered in this order. Each adds its routes to the app; ctx carries the
+// collections, middleware and services createApp builds for them.
+const { registerHealthRoutes } = require('./health');
+const { registerAuthRoutes } = require('./auth');
+const { registerUserRoutes } = require('./users');
+const { registerPackageRoutes } = require('./packages');
+const { registerGuideApplicationRoutes } = require('./guide-applications');
+const { registerWishlistRoutes } = require('./wishlist');
+const { registerGuideRoutes } = require('./guides');
+const { registerReviewRoutes } = require('./reviews');
+const { registerStoryRoutes } = require('./stories');
+const { registerBookingRoutes } = require('./bookings');
+const { registerMessageRoutes } = require('./messages');
+const { registerCouponRoutes } = require('./coupons');
+const { registerPaymentRoutes } = require('./payments');
+const { registerImageRoutes } = require('./images');
+const { registerNotificationRoutes } = require('./notifications');
+const { registerAnalyticsRoutes } = require('./analytics');
+const { registerCommunityRoutes } = require('./community');
+const { registerBlogRoutes } = require('./blogs');
+
+const ROUTE_MODULES = [
+    registerHealthRoutes,
+    registerAuthRoutes,
+    registerUserRoutes,
+    registerPackageRoutes,
+    registerGuideApplicationRoutes,
+    registerWishlistRoutes,
+    registerGuideRoutes,
+    registerReviewRoutes,
+    registerStoryRoutes,
+    registerBookingRoutes,
+    registerMessageRoutes,
+    registerCouponRoutes,
+    registerPaymentRoutes,
+    registerImageRoutes,
+    registerNotificationRoutes,
+    registerAnalyticsRoutes,
+    registerCommunityRoutes,
+    registerBlogRoutes,
+];
+
+const registerRoutes = (app, ctx) => {
+    for (const register of ROUTE_MODULES) {
+        register(app, ctx);
+    }
+};
+
+module.exports = {
+    registerRoutes,
+};
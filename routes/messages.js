@@ -0,0 +1,166 @@
+// Per-booking message threads between the tourist and their guide, with live delivery over SSE.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { getBookingActorRoles } = require('../lib/bookings');
+const { paginate } = require('../lib/pagination');
+const { PAGE_QUERY, BOOKING_PARAMS } = require('../lib/schemas');
+const { verifyToken, verifyStreamToken } = require('../middleware/auth');
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+const registerMessageRoutes = (app, ctx) => {
+    const { userCollection, bookingsCollection, messagesCollection, events, clock } = ctx;
+
+    // Load a booking the signed-in user takes part in (tourist, assigned guide or admin).
+    // Returns { booking, roles } or { status, error }.
+    const findBookingForParticipant = async (req) => {
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!booking) {
+            return { status: 404, error: 'Booking not found' };
+        }
+        const user = await userCollection.findOne({ email: req.decoded.email });
+        const roles = getBookingActorRoles(booking, user);
+        if (roles.length === 0) {
+            return { status: 403, error: 'forbidden access' };
+        }
+        return { booking, roles };
+    };
+
+    // Open Server-Sent Event streams per booking ID. Streams live in this process only,
+    // so running more than one instance needs a shared pub/sub in front of this.
+    const messageStreams = new Map();
+
+    const sendToBookingStreams = (bookingId, event, data) => {
+        for (const stream of messageStreams.get(bookingId) || []) {
+            stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    events.on('message.created', ({ message }) => sendToBookingStreams(message.bookingId, 'message', message));
+
+    events.on('message.read', (receipt) => sendToBookingStreams(receipt.bookingId, 'read', receipt));
+
+    // Streams never finish on their own; end them so a shutting-down server can drain (see index.js)
+    app.on('shutdown', () => {
+        for (const streams of messageStreams.values()) {
+            for (const stream of streams) {
+                stream.end();
+            }
+        }
+    });
+
+    // Endpoint to fetch a booking's message thread, newest first; page with ?cursor= or ?page=
+    app.get('/api/bookings/:id/messages', verifyToken, validate({ ...BOOKING_PARAMS, query: PAGE_QUERY }), async (req, res, next) => {
+        try {
+            const access = await findBookingForParticipant(req);
+            if (access.error) {
+                return sendError(res, access.status, access.error);
+            }
+            const result = await paginate(messagesCollection, {
+                pipeline: [{ $match: { bookingId: String(access.booking._id) } }],
+                sorts: { newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' } },
+                defaultSort: 'newest',
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to post a message to a booking's thread
+    app.post('/api/bookings/:id/messages', verifyToken, validate({
+        ...BOOKING_PARAMS,
+        body: { body: { type: 'string', required: true, min: 1, max: MAX_MESSAGE_LENGTH } },
+    }), async (req, res, next) => {
+        const body = req.body.body.trim();
+
+        try {
+            const access = await findBookingForParticipant(req);
+            if (access.error) {
+                return sendError(res, access.status, access.error);
+            }
+            const message = {
+                bookingId: String(access.booking._id),
+                senderEmail: req.decoded.email,
+                senderRole: access.roles[0],
+                body,
+                readBy: [req.decoded.email],
+                createdAt: clock.now(),
+            };
+            await messagesCollection.insertOne(message);
+            events.emit('message.created', { message, booking: access.booking });
+            res.status(201).json(message);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to mark every message in a booking's thread as read by the signed-in user
+    app.post('/api/bookings/:id/messages/read', verifyToken, validate(BOOKING_PARAMS), async (req, res, next) => {
+        try {
+            const access = await findBookingForParticipant(req);
+            if (access.error) {
+                return sendError(res, access.status, access.error);
+            }
+            const bookingId = String(access.booking._id);
+            const result = await messagesCollection.updateMany(
+                { bookingId, readBy: { $ne: req.decoded.email } },
+                { $addToSet: { readBy: req.decoded.email } }
+            );
+            if (result.modifiedCount > 0) {
+                events.emit('message.read', { bookingId, email: req.decoded.email, readAt: clock.now() });
+            }
+            res.status(200).json({ message: 'Messages marked as read', updated: result.modifiedCount });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to receive new messages and read receipts for a booking as Server-Sent Events
+    app.get('/api/bookings/:id/messages/stream', verifyStreamToken, validate(BOOKING_PARAMS), async (req, res, next) => {
+        try {
+            const access = await findBookingForParticipant(req);
+            if (access.error) {
+                return sendError(res, access.status, access.error);
+            }
+            const bookingId = String(access.booking._id);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            });
+            res.write('retry: 5000\n\n');
+
+            if (!messageStreams.has(bookingId)) {
+                messageStreams.set(bookingId, new Set());
+            }
+            messageStreams.get(bookingId).add(res);
+
+            // Comments keep proxies from closing an idle connection
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                const streams = messageStreams.get(bookingId);
+                streams.delete(res);
+                if (streams.size === 0) {
+                    messageStreams.delete(bookingId);
+                }
+            });
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    });
+};
+
+module.exports = {
+    registerMessageRoutes,
+};
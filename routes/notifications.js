@@ -0,0 +1,120 @@
+// In-app notifications and per-user notification preferences.
+const { ObjectId } = require('mongodb');
+const { resolvePreferences, validatePreferences } = require('../notifications');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+
+const registerNotificationRoutes = (app, ctx) => {
+    const { userCollection, notificationsCollection, clock } = ctx;
+
+    // Endpoint to fetch the signed-in user's in-app notifications; ?unread=true for unread only
+    app.get('/api/notifications', verifyToken, validate({
+        query: { ...PAGE_QUERY, unread: { type: 'boolean' } },
+    }), async (req, res, next) => {
+        const match = { email: req.decoded.email };
+        if (req.query.unread === 'true') {
+            match.read = false;
+        }
+        try {
+            const [result, unreadCount] = await Promise.all([
+                paginate(notificationsCollection, {
+                    pipeline: [{ $match: match }],
+                    sorts: { newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' } },
+                    defaultSort: 'newest',
+                    query: req.query,
+                }),
+                notificationsCollection.countDocuments({ email: req.decoded.email, read: false }),
+            ]);
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json({ ...result, unreadCount });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to mark one notification as read (or unread with { read: false })
+    app.patch('/api/notifications/:id/read', verifyToken, validate({
+        params: { id: objectIdParam('Notification not found') },
+        body: { read: { type: 'boolean' } },
+    }), async (req, res, next) => {
+        const { id } = req.params;
+        const read = req.body?.read !== false;
+        try {
+            const result = await notificationsCollection.updateOne(
+                { _id: new ObjectId(id), email: req.decoded.email },
+                { $set: { read, readAt: read ? clock.now() : null } }
+            );
+            if (result.matchedCount === 0) {
+                return sendError(res, 404, 'Notification not found');
+            }
+            res.status(200).json({ message: read ? 'Notification marked as read' : 'Notification marked as unread' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to mark all of the signed-in user's notifications as read
+    app.post('/api/notifications/read-all', verifyToken, async (req, res, next) => {
+        try {
+            const result = await notificationsCollection.updateMany(
+                { email: req.decoded.email, read: false },
+                { $set: { read: true, readAt: clock.now() } }
+            );
+            res.status(200).json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch which notifications the signed-in user receives, per channel
+    app.get('/api/notifications/preferences', verifyToken, async (req, res, next) => {
+        try {
+            const user = await userCollection.findOne(
+                { email: req.decoded.email },
+                { projection: { notificationPreferences: 1 } }
+            );
+            res.status(200).json(resolvePreferences(user?.notificationPreferences));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to update notification preferences: { [type]: { inApp?, email? } }
+    app.put('/api/notifications/preferences', verifyToken, async (req, res, next) => {
+        const validationError = validatePreferences(req.body);
+        if (validationError) {
+            return sendError(res, 400, validationError);
+        }
+        const updates = {};
+        for (const [type, channels] of Object.entries(req.body)) {
+            for (const [channel, enabled] of Object.entries(channels)) {
+                updates[`notificationPreferences.${type}.${channel}`] = enabled;
+            }
+        }
+        if (Object.keys(updates).length === 0) {
+            return sendError(res, 400, 'No preferences to update');
+        }
+        try {
+            const result = await userCollection.findOneAndUpdate(
+                { email: req.decoded.email },
+                { $set: updates },
+                { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+            );
+            if (!result) {
+                return sendError(res, 404, 'User not found');
+            }
+            res.status(200).json(resolvePreferences(result.notificationPreferences));
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerNotificationRoutes,
+};
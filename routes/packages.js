@@ -0,0 +1,396 @@
+// Tour package authoring and the public package catalogue.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { ImageValidationError } = require('../storage');
+const { parseDateParam } = require('../lib/dates');
+const { PACKAGE_STATUS, PUBLIC_PACKAGE_STATUSES, parsePackageFields, checkGroupSizes } = require('../lib/packages');
+const { toPoint, parseQueryPoint, parseBoundingBox, boxToPolygon, boxCenter } = require('../lib/geo');
+const { escapeRegex, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, isPageRequested, paginate } = require('../lib/pagination');
+const { objectIdParam, PACKAGE_QUERY } = require('../lib/schemas');
+const { verifyToken, readOptionalToken } = require('../middleware/auth');
+const { uploadImages, parseRemoveImages } = require('../middleware/uploads');
+
+// averageRating is the summary routes/reviews.js keeps on packages; unreviewed packages sort as 0
+const PACKAGE_SORTS = {
+    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+    price: { expr: '$priceValue', fallback: 0, order: 'asc' },
+    rating: { expr: '$averageRating', fallback: 0, order: 'desc' },
+    popularity: { expr: '$bookingCount', fallback: 0, order: 'desc' },
+};
+
+// Build the listing pipeline for the package search parameters; returns { pipeline } or { error }
+const buildPackageSearch = (query, statuses = PUBLIC_PACKAGE_STATUSES) => {
+    const match = { status: { $in: statuses } };
+    if (query.q) {
+        match.$text = { $search: String(query.q) };
+    }
+    if (query.type) {
+        match.type = { $regex: `^${escapeRegex(query.type)}$`, $options: 'i' };
+    }
+    if (query.guide) {
+        match.guide = String(query.guide);
+    }
+
+    const addedAfter = parseDateParam(query.addedAfter);
+    const addedBefore = parseDateParam(query.addedBefore);
+    if (addedAfter === null || addedBefore === null) {
+        return { error: 'addedAfter and addedBefore must be valid dates' };
+    }
+    if (addedAfter || addedBefore) {
+        match.createdAt = {};
+        if (addedAfter) match.createdAt.$gte = addedAfter;
+        if (addedBefore) match.createdAt.$lte = addedBefore;
+    }
+
+    // Prices were saved from form fields as strings, so compare them as numbers
+    const priceMatch = {};
+    for (const [param, op] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+        if (query[param] !== undefined && query[param] !== '') {
+            const value = Number(query[param]);
+            if (!Number.isFinite(value)) {
+                return { error: `${param} must be a number` };
+            }
+            priceMatch[op] = value;
+        }
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $addFields: { priceValue: { $convert: { input: '$price', to: 'double', onError: null, onNull: null } } } },
+    ];
+    if (Object.keys(priceMatch).length > 0) {
+        pipeline.push({ $match: { priceValue: priceMatch } });
+    }
+    if ((query.sort || 'newest') === 'popularity') {
+        pipeline.push(
+            {
+                $lookup: {
+                    from: 'bookings',
+                    let: { packageId: { $toString: '$_id' } },
+                    pipeline: [{ $match: { $expr: { $eq: ['$packageId', '$$packageId'] } } }, { $count: 'count' }],
+                    as: 'bookingStats',
+                },
+            },
+            { $addFields: { bookingCount: { $ifNull: [{ $first: '$bookingStats.count' }, 0] } } }
+        );
+    }
+    // Listings only need a cover image, not the itinerary or the whole gallery
+    pipeline.push({ $addFields: { images: { $slice: [{ $ifNull: ['$images', []] }, 1] } } });
+    return { pipeline };
+};
+
+const MAX_NEARBY_RADIUS_KM = 1000;
+
+const DEFAULT_NEARBY_RADIUS_KM = 50;
+
+const MAP_QUERY = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    type: { type: 'string', max: 100 },
+    lng: { type: 'number', min: -180, max: 180 },
+    lat: { type: 'number', min: -90, max: 90 },
+};
+
+const registerPackageRoutes = (app, ctx) => {
+    const { userCollection, packagesCollection, clock, verifyAdmin, storeUploadedImages } = ctx;
+
+    // Endpoint to handle package creation; status may be 'draft' or 'published' (default)
+    app.post('/api/packages', verifyToken, verifyAdmin, uploadImages('images'), validate({
+        body: { status: { type: 'string', enum: [PACKAGE_STATUS.DRAFT, PACKAGE_STATUS.PUBLISHED] } },
+    }), async (req, res, next) => {
+        const parsed = parsePackageFields(req.body);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+        const status = req.body.status || PACKAGE_STATUS.PUBLISHED;
+        if (![PACKAGE_STATUS.DRAFT, PACKAGE_STATUS.PUBLISHED].includes(status)) {
+            return sendError(res, 400, 'status must be draft or published');
+        }
+
+        try {
+            const images = await storeUploadedImages(req.files, 'packages');
+
+            const now = clock.now();
+            const newPackage = {
+                ...parsed.fields,
+                images,
+                status,
+                publishedAt: status === PACKAGE_STATUS.PUBLISHED ? now : null,
+                createdAt: now,
+            };
+
+            const result = await packagesCollection.insertOne(newPackage);
+            if (result.insertedId) {
+                res.status(201).json({ success: true, message: 'Package added successfully', package: newPackage });
+            } else {
+                throw new Error('Error inserting package to database');
+            }
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to edit a package. New uploads are appended to the gallery;
+    // removeImages (array or JSON array of image keys) drops existing ones.
+    app.patch('/api/packages/:id', verifyToken, verifyAdmin, uploadImages('images'), validate({
+        params: { id: objectIdParam('Package not found') },
+        body: { removeImages: { type: 'list' } },
+    }), async (req, res, next) => {
+        const packageId = req.params.id;
+        const parsed = parsePackageFields(req.body, true);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+
+        const { removeImages, error: removeImagesError } = parseRemoveImages(req.body.removeImages);
+        if (removeImagesError) {
+            return sendError(res, 400, removeImagesError);
+        }
+
+        try {
+            const existing = await packagesCollection.findOne({ _id: new ObjectId(packageId) });
+            if (!existing) {
+                return sendError(res, 404, 'Package not found');
+            }
+            const groupSizeError = checkGroupSizes({ ...existing, ...parsed.fields });
+            if (groupSizeError) {
+                return sendError(res, 400, groupSizeError);
+            }
+
+            const updates = { ...parsed.fields };
+            if (req.files?.length > 0 || removeImages.length > 0) {
+                const added = await storeUploadedImages(req.files, 'packages');
+                // Stored files are content-addressed and may be shared, so only the references are dropped
+                const kept = (existing.images || []).filter(image => !removeImages.includes(image?.key));
+                updates.images = [...kept, ...added];
+            }
+            if (Object.keys(updates).length === 0) {
+                return sendError(res, 400, 'Nothing to update');
+            }
+
+            const updated = await packagesCollection.findOneAndUpdate(
+                { _id: existing._id },
+                { $set: { ...updates, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            res.status(200).json({ success: true, message: 'Package updated successfully', package: updated });
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to publish, unpublish (back to draft) or archive a package.
+    // Archived packages leave public listings but stay readable by ID for bookings and wishlists.
+    app.patch('/api/packages/:id/status', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('Package not found') },
+        body: { status: { type: 'string', required: true, enum: Object.values(PACKAGE_STATUS) } },
+    }), async (req, res, next) => {
+        const packageId = req.params.id;
+        const { status } = req.body;
+
+        const now = clock.now();
+        const updates = { status, updatedAt: now };
+        if (status === PACKAGE_STATUS.PUBLISHED) updates.publishedAt = now;
+        if (status === PACKAGE_STATUS.ARCHIVED) updates.archivedAt = now;
+
+        try {
+            const updated = await packagesCollection.findOneAndUpdate(
+                { _id: new ObjectId(packageId) },
+                { $set: updates },
+                { returnDocument: 'after' }
+            );
+            if (!updated) {
+                return sendError(res, 404, 'Package not found');
+            }
+            res.status(200).json({ success: true, message: `Package ${status}`, package: updated });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Shared handler for package listings; `overrides` pins query parameters taken from the path.
+    // Public listings only show published packages and answer a bare array unless a page is asked for;
+    // admin listings can filter by ?status= and are always paged.
+    const listPackages = (overrides = () => ({}), { admin = false } = {}) => async (req, res, next) => {
+        const query = { ...req.query, ...overrides(req) };
+        const paged = admin || isPageRequested(query);
+        let statuses = PUBLIC_PACKAGE_STATUSES;
+        if (admin) {
+            statuses = query.status ? [query.status] : [...Object.values(PACKAGE_STATUS), null];
+            if (query.status === PACKAGE_STATUS.PUBLISHED) statuses.push(null);
+        }
+        const search = buildPackageSearch(query, statuses);
+        if (search.error) {
+            return sendError(res, 400, search.error);
+        }
+
+        try {
+            const result = await paginate(packagesCollection, {
+                pipeline: search.pipeline,
+                sorts: PACKAGE_SORTS,
+                defaultSort: 'newest',
+                projection: { tourPlan: 0, priceValue: 0, bookingStats: 0 },
+                query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Endpoint to search packages.
+    // Query: q, type, guide, minPrice, maxPrice, addedAfter, addedBefore,
+    // sort=newest|price|rating|popularity, order=asc|desc, page, limit, cursor.
+    // Without page, limit or cursor every match comes back as a bare array.
+    app.get('/api/packages', validate({ query: PACKAGE_QUERY }), listPackages());
+
+    // Endpoint for admins to list packages in any state
+    app.get('/api/admin/packages', verifyToken, verifyAdmin, validate({
+        query: { ...PACKAGE_QUERY, status: { type: 'string', enum: Object.values(PACKAGE_STATUS) } },
+    }), listPackages(() => ({}), { admin: true }));
+
+    // Shared handler for the map listings: public packages ordered by distance from a point, each with distanceKm.
+    // `getArea` reads the query into { near, maxDistance?, within? } (meters, GeoJSON polygon) or { error }.
+    const listPackagesByDistance = (getArea) => async (req, res, next) => {
+        const area = getArea(req.query);
+        if (area.error) {
+            return sendError(res, 400, area.error);
+        }
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(req.query.limit, 10);
+        const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+
+        const query = { status: { $in: PUBLIC_PACKAGE_STATUSES } };
+        if (req.query.type) {
+            query.type = { $regex: `^${escapeRegex(req.query.type)}$`, $options: 'i' };
+        }
+        if (area.within) {
+            query.location = { $geoWithin: { $geometry: area.within } };
+        }
+
+        try {
+            const [result] = await packagesCollection.aggregate([
+                {
+                    $geoNear: {
+                        near: area.near,
+                        key: 'location',
+                        distanceField: 'distance',
+                        spherical: true,
+                        query,
+                        ...(area.maxDistance ? { maxDistance: area.maxDistance } : {}),
+                    },
+                },
+                {
+                    $facet: {
+                        items: [
+                            { $skip: (page - 1) * limit },
+                            { $limit: limit },
+                            // Listings only need a cover image, not the itinerary or the whole gallery
+                            {
+                                $addFields: {
+                                    images: { $slice: [{ $ifNull: ['$images', []] }, 1] },
+                                    distanceKm: { $round: [{ $divide: ['$distance', 1000] }, 2] },
+                                },
+                            },
+                            { $project: { tourPlan: 0, distance: 0 } },
+                        ],
+                        total: [{ $count: 'count' }],
+                    },
+                },
+            ]).toArray();
+            const total = result.total[0]?.count || 0;
+            res.status(200).json({ items: result.items, total, page, limit, totalPages: Math.ceil(total / limit) });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Endpoint to find packages near a point, nearest first.
+    // Query: lng, lat, radiusKm (default 50, at most 1000), type, page, limit
+    app.get('/api/packages/nearby', validate({
+        query: {
+            ...MAP_QUERY,
+            lng: { ...MAP_QUERY.lng, required: true },
+            lat: { ...MAP_QUERY.lat, required: true },
+            radiusKm: { type: 'number', min: 0.1, max: MAX_NEARBY_RADIUS_KM },
+        },
+    }), listPackagesByDistance((query) => ({
+        near: toPoint(Number(query.lng), Number(query.lat)),
+        maxDistance: Number(query.radiusKm || DEFAULT_NEARBY_RADIUS_KM) * 1000,
+    })));
+
+    // Endpoint to find packages inside map bounds, ordered by distance from lng/lat (default: the middle of the bounds).
+    // Query: bbox=west,south,east,north, lng, lat, type, page, limit
+    app.get('/api/packages/within', validate({
+        query: { ...MAP_QUERY, bbox: { type: 'string', required: true, max: 200 } },
+    }), listPackagesByDistance((query) => {
+        const { box, error } = parseBoundingBox(query.bbox);
+        if (error) {
+            return { error };
+        }
+        const origin = parseQueryPoint(query);
+        if (origin.error) {
+            return origin;
+        }
+        return { near: origin.point || boxCenter(box), within: boxToPolygon(box) };
+    }));
+
+    // Endpoint to fetch a package by ID
+    app.get('/api/packages/:id', readOptionalToken, validate({
+        params: { id: objectIdParam('Package not found') },
+    }), async (req, res, next) => {
+        const packageId = req.params.id;
+        try {
+            const package = await packagesCollection.findOne({ _id: new ObjectId(packageId) });
+            if (!package) {
+                return sendError(res, 404, 'Package not found');
+            }
+            // Drafts are only visible to admins
+            if (package.status === PACKAGE_STATUS.DRAFT) {
+                const user = req.decoded && await userCollection.findOne({ email: req.decoded.email });
+                if (user?.role !== 'admin') {
+                    return sendError(res, 404, 'Package not found');
+                }
+            }
+            res.status(200).json(package);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch packages by their IDs
+    app.post('/api/packages/byIds', validate({
+        body: { packageIds: { type: 'array', required: true, min: 1, max: MAX_PAGE_SIZE, items: { type: 'objectId' } } },
+    }), async (req, res, next) => {
+        const { packageIds } = req.body;
+        try {
+            const objectIds = packageIds.map(id => new ObjectId(id));
+            const packages = await packagesCollection
+                .find({ _id: { $in: objectIds }, status: { $in: PUBLIC_PACKAGE_STATUSES } })
+                .toArray();
+            res.status(200).json(packages);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch packages by type
+    app.get('/api/packages/type/:type', validate({
+        params: { type: { type: 'string', required: true, max: 100 } },
+        query: PACKAGE_QUERY,
+    }), listPackages(req => ({ type: req.params.type })));
+};
+
+module.exports = {
+    registerPackageRoutes,
+};
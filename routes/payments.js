@@ -0,0 +1,325 @@
+// Stripe payments: creating payment intents, the webhook and payment history.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { BOOKING_STATUS, checkBookingTransition } = require('../lib/bookings');
+const { DEFAULT_CURRENCY, toMinorUnits, fromMinorUnits } = require('../lib/money');
+const { verifyToken } = require('../middleware/auth');
+const { calculateDiscount } = require('../services/coupons');
+
+// PaymentIntent states in which the amount can still be changed
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+const registerPaymentRoutes = (app, ctx) => {
+    const {
+        packagesCollection,
+        bookingsCollection,
+        paymentCollection,
+        stripeEventsCollection,
+        couponsCollection,
+        clock,
+        logger,
+        verifyOwner,
+        findApplicableCoupon,
+        reserveCoupon,
+        releaseCoupon,
+        transitionBooking,
+    } = ctx;
+
+    // Endpoint to create a payment intent; the amount is worked out from the booking's package
+    app.post('/create-payment-intent', verifyToken, validate({
+        body: { bookingId: { type: 'objectId', required: true }, couponCode: { type: 'string', max: 50 } },
+    }), async (req, res, next) => {
+        const { bookingId, couponCode } = req.body;
+
+        try {
+            const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+            if (!booking) {
+                return sendError(res, 404, 'Booking not found');
+            }
+            if (booking.email !== req.decoded.email) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            if (booking.status !== BOOKING_STATUS.ACCEPTED) {
+                return sendError(res, 400, `Only accepted bookings can be paid (booking is ${booking.status})`);
+            }
+
+            const packageDetails = ObjectId.isValid(booking.packageId)
+                ? await packagesCollection.findOne({ _id: new ObjectId(booking.packageId) })
+                : null;
+            if (!packageDetails) {
+                return sendError(res, 404, 'Package not found');
+            }
+
+            const currency = (packageDetails.currency || DEFAULT_CURRENCY).toLowerCase();
+            // Bookings made before group pricing only carry the package price
+            const subtotal = toMinorUnits(booking.totalPrice ?? packageDetails.price, currency);
+            if (!Number.isFinite(subtotal) || subtotal <= 0) {
+                return sendError(res, 400, 'Package has no valid price');
+            }
+
+            let coupon = null;
+            let discount = 0;
+            if (couponCode) {
+                const result = await findApplicableCoupon(couponCode, booking, currency);
+                if (result.error) {
+                    return sendError(res, 400, result.error);
+                }
+                coupon = result.coupon;
+                discount = calculateDiscount(coupon, subtotal, currency);
+            }
+            const amount = subtotal - discount;
+            if (amount <= 0) {
+                return sendError(res, 400, 'Discounted amount must be greater than zero');
+            }
+
+            // Hold a use of the coupon for this checkout, or give back the one an earlier checkout held
+            if (coupon) {
+                if (!await reserveCoupon(booking, coupon)) {
+                    return sendError(res, 400, 'Coupon usage limit reached');
+                }
+            } else {
+                await releaseCoupon(booking);
+            }
+
+            const metadata = {
+                bookingId: String(booking._id),
+                packageId: String(booking.packageId),
+                couponCode: coupon ? coupon.code : '',
+            };
+
+            // Reuse the booking's open intent so abandoned checkouts don't pile up
+            let paymentIntent = null;
+            try {
+                if (booking.paymentIntentId) {
+                    const existing = await req.app.locals.stripe.paymentIntents.retrieve(booking.paymentIntentId);
+                    if (REUSABLE_INTENT_STATUSES.includes(existing.status) && existing.currency === currency) {
+                        paymentIntent = await req.app.locals.stripe.paymentIntents.update(existing.id, { amount, metadata });
+                    }
+                }
+                if (!paymentIntent) {
+                    paymentIntent = await req.app.locals.stripe.paymentIntents.create({
+                        amount,
+                        currency,
+                        payment_method_types: ['card'],
+                        metadata,
+                    });
+                }
+            } catch (error) {
+                if (coupon) {
+                    await releaseCoupon({ ...booking, reservedCouponCode: coupon.code });
+                }
+                throw error;
+            }
+
+            await bookingsCollection.updateOne(
+                { _id: booking._id },
+                {
+                    $set: {
+                        paymentIntentId: paymentIntent.id,
+                        amountDue: fromMinorUnits(amount, currency),
+                        currency,
+                        couponCode: coupon ? coupon.code : null,
+                        discount: fromMinorUnits(discount, currency),
+                    }
+                }
+            );
+
+            res.send({
+                clientSecret: paymentIntent.client_secret,
+                paymentIntentId: paymentIntent.id,
+                currency,
+                subtotal: fromMinorUnits(subtotal, currency),
+                discount: fromMinorUnits(discount, currency),
+                amount: fromMinorUnits(amount, currency),
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Stripe webhook handlers, keyed by event type
+    const stripeEventHandlers = {
+        'payment_intent.succeeded': async (paymentIntent) => {
+            const bookingId = paymentIntent.metadata?.bookingId;
+            if (!bookingId || !ObjectId.isValid(bookingId)) {
+                logger.error('Payment intent without a booking', { paymentIntentId: paymentIntent.id });
+                return;
+            }
+            const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+            if (!booking) {
+                logger.error('Payment intent for unknown booking', { paymentIntentId: paymentIntent.id, bookingId });
+                return;
+            }
+
+            const payment = {
+                type: 'payment',
+                paymentIntentId: paymentIntent.id,
+                transactionId: paymentIntent.id,
+                bookingId,
+                packageId: booking.packageId,
+                packageName: booking.packageName,
+                email: booking.email,
+                amount: fromMinorUnits(paymentIntent.amount_received, paymentIntent.currency),
+                currency: paymentIntent.currency,
+                couponCode: paymentIntent.metadata.couponCode || null,
+                status: 'succeeded',
+                date: new Date(paymentIntent.created * 1000),
+            };
+            await paymentCollection.updateOne(
+                { paymentIntentId: paymentIntent.id, type: { $ne: 'refund' } },
+                { $set: payment },
+                { upsert: true }
+            );
+
+            const paymentFields = { paymentStatus: 'succeeded', paymentIntentId: paymentIntent.id };
+            const check = checkBookingTransition(booking, BOOKING_STATUS.PAID, ['payment']);
+            const updated = !check.error && await transitionBooking(
+                booking,
+                BOOKING_STATUS.PAID,
+                { email: 'stripe', role: 'payment' },
+                paymentFields
+            );
+            if (!updated) {
+                // Money arrived for a booking that can no longer be paid (e.g. cancelled meanwhile); keep the record for follow-up
+                logger.error('Payment received for booking that cannot be paid', { status: booking.status, bookingId });
+                await bookingsCollection.updateOne({ _id: booking._id }, { $set: paymentFields });
+            }
+
+            // Checkout reserved the coupon use; take it now if that reservation was given back meanwhile
+            // (a failed attempt retried with the same intent) or the intent predates reservations
+            const couponCode = paymentIntent.metadata.couponCode;
+            if (couponCode) {
+                const claimed = await bookingsCollection.updateOne(
+                    { _id: booking._id, reservedCouponCode: { $ne: couponCode } },
+                    { $set: { reservedCouponCode: couponCode } }
+                );
+                if (claimed.modifiedCount === 1) {
+                    await couponsCollection.updateOne({ code: couponCode }, { $inc: { usedCount: 1 } });
+                }
+            }
+        },
+
+        'payment_intent.payment_failed': async (paymentIntent) => {
+            const bookingId = paymentIntent.metadata?.bookingId;
+            if (!bookingId || !ObjectId.isValid(bookingId)) {
+                return;
+            }
+            const booking = await bookingsCollection.findOneAndUpdate(
+                { _id: new ObjectId(bookingId) },
+                {
+                    $set: {
+                        paymentStatus: 'failed',
+                        paymentIntentId: paymentIntent.id,
+                        paymentError: paymentIntent.last_payment_error?.message || null,
+                    }
+                }
+            );
+            // The next checkout reserves the coupon again
+            if (booking) {
+                await releaseCoupon(booking);
+            }
+        },
+
+        'charge.refunded': async (charge) => {
+            const paymentIntentId = typeof charge.payment_intent === 'string'
+                ? charge.payment_intent
+                : charge.payment_intent?.id;
+            if (!paymentIntentId) {
+                return;
+            }
+            const status = charge.refunded ? 'refunded' : 'partially_refunded';
+            const payment = await paymentCollection.findOneAndUpdate(
+                { paymentIntentId, type: { $ne: 'refund' } },
+                { $set: { status, amountRefunded: fromMinorUnits(charge.amount_refunded, charge.currency), refundedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            if (payment?.bookingId && ObjectId.isValid(payment.bookingId)) {
+                await bookingsCollection.updateOne(
+                    { _id: new ObjectId(payment.bookingId) },
+                    { $set: { paymentStatus: status } }
+                );
+            }
+        },
+    };
+
+    // Stripe webhook endpoint; the only place that records payments and marks bookings as Paid
+    app.post('/webhooks/stripe', async (req, res, next) => {
+        let event;
+        try {
+            event = req.app.locals.stripe.webhooks.constructEvent(
+                req.rawBody,
+                req.headers['stripe-signature'],
+                process.env.STRIPE_WEBHOOK_SECRET
+            );
+        } catch (error) {
+            return sendError(res, 400, `Webhook signature verification failed: ${error.message}`);
+        }
+
+        const handler = stripeEventHandlers[event.type];
+        if (!handler) {
+            return res.status(200).json({ received: true, ignored: true });
+        }
+
+        // Claim the event ID first so retries and duplicate deliveries are processed once
+        try {
+            await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, receivedAt: clock.now() });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(200).json({ received: true, duplicate: true });
+            }
+            return next(error);
+        }
+
+        try {
+            await handler(event.data.object);
+            await stripeEventsCollection.updateOne({ _id: event.id }, { $set: { processedAt: clock.now() } });
+            res.status(200).json({ received: true });
+        } catch (error) {
+            // Release the claim so Stripe's retry gets another go
+            await stripeEventsCollection.deleteOne({ _id: event.id }).catch(() => {});
+            logger.error('Error handling Stripe event', { requestId: req.id, eventId: event.id, error });
+            next(error);
+        }
+    });
+
+    // Endpoint to look up the payment recorded for a payment intent (written by the Stripe webhook)
+    app.post('/payments', verifyToken, validate({
+        body: { paymentIntentId: { type: 'string', max: 255 }, transactionId: { type: 'string', max: 255 } },
+    }), async (req, res, next) => {
+        const paymentIntentId = req.body.paymentIntentId || req.body.transactionId;
+        if (!paymentIntentId) {
+            return sendError(res, 400, 'paymentIntentId is required');
+        }
+        try {
+            const payment = await paymentCollection.findOne({ paymentIntentId, type: { $ne: 'refund' } });
+            if (payment && payment.email !== req.decoded.email) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            if (!payment) {
+                // Stripe has not delivered the event yet; the client can poll
+                return res.status(202).json({ pending: true });
+            }
+            res.send({ pending: false, paymentResult: payment });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Get Payments for User
+    app.get('/payments/:email', verifyToken, validate({
+        params: { email: { type: 'email', required: true, notFound: 'User not found' } },
+    }), verifyOwner(req => req.params.email), async (req, res, next) => {
+        const query = { email: req.params.email };
+        try {
+            const result = await paymentCollection.find(query).toArray();
+            res.send(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerPaymentRoutes,
+};
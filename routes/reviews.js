@@ -0,0 +1,211 @@
+// Reviews of guides left after a completed tour.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+const { guideBookingsQuery } = require('../services/guides');
+
+// Review fields; ratings sent as form strings are accepted and stored as numbers
+const REVIEW_BODY = {
+    rating: { type: 'integer', min: 1, max: 5 },
+    comment: { type: 'string', nullable: true, max: 2000 },
+};
+
+const registerReviewRoutes = (app, ctx) => {
+    const {
+        userCollection,
+        packagesCollection,
+        bookingsCollection,
+        reviewsCollection,
+        clock,
+        verifyRole,
+        verifyAdmin,
+    } = ctx;
+
+    // Recompute the rating summary stored on a document from its visible reviews
+    const refreshRatingSummary = async (collection, field, id) => {
+        const [stats] = await reviewsCollection.aggregate([
+            { $match: { [field]: id, hidden: { $ne: true } } },
+            { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+        ]).toArray();
+        await collection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+                $set: {
+                    averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+                    reviewCount: stats ? stats.reviewCount : 0,
+                }
+            }
+        );
+    };
+
+    const refreshReviewAggregates = async (review) => {
+        await refreshRatingSummary(userCollection, 'guideId', review.guideId);
+        if (review.packageId && ObjectId.isValid(review.packageId)) {
+            await refreshRatingSummary(packagesCollection, 'packageId', review.packageId);
+        }
+    };
+
+    // Endpoint for a tourist to review a guide after a completed tour with them (one review per booking)
+    app.post('/api/guides/:id/review', verifyToken, verifyRole('tourist'), validate({
+        params: { id: objectIdParam('Guide not found') },
+        body: {
+            ...REVIEW_BODY,
+            rating: { ...REVIEW_BODY.rating, required: true },
+            bookingId: { type: 'objectId', required: true },
+        },
+    }), async (req, res, next) => {
+        const guideId = req.params.id;
+        const { email } = req.decoded;
+        const { rating, comment, bookingId } = req.body;
+
+        try {
+            const guide = await userCollection.findOne({ _id: new ObjectId(guideId), role: 'tourguide' });
+            if (!guide) {
+                return sendError(res, 404, 'Guide not found');
+            }
+
+            // Reviews need a completed booking of the tourist's with this guide; the unique index on
+            // bookingId keeps it to one review per booking
+            const booking = await bookingsCollection.findOne({
+                ...guideBookingsQuery(guide),
+                _id: new ObjectId(bookingId),
+                email,
+                status: BOOKING_STATUS.COMPLETED,
+            });
+            if (!booking) {
+                return sendError(res, 403, 'Only tourists with a completed tour with this guide can review them');
+            }
+
+            const now = clock.now();
+            const review = {
+                guideId: String(guide._id),
+                bookingId: String(booking._id),
+                packageId: booking.packageId,
+                authorEmail: email,
+                authorName: req.user.name || null,
+                authorPhotoURL: req.user.photoURL || null,
+                rating: Number(rating),
+                comment: comment || '',
+                hidden: false,
+                createdAt: now,
+                updatedAt: now,
+            };
+            try {
+                await reviewsCollection.insertOne(review);
+            } catch (error) {
+                if (error.code === 11000) {
+                    return sendError(res, 409, 'You have already reviewed this tour');
+                }
+                throw error;
+            }
+            await refreshReviewAggregates(review);
+
+            res.status(201).json({ message: 'Review added successfully', review });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch the visible reviews of a guide
+    app.get('/api/guides/:id/reviews', validate({
+        params: { id: objectIdParam('Guide not found') },
+        query: PAGE_QUERY,
+    }), async (req, res, next) => {
+        const guideId = req.params.id;
+
+        try {
+            const result = await paginate(reviewsCollection, {
+                pipeline: [{ $match: { guideId, hidden: { $ne: true } } }],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    rating: { expr: '$rating', fallback: 0, order: 'desc' },
+                },
+                defaultSort: 'newest',
+                projection: { authorEmail: 0, hiddenReason: 0, hiddenBy: 0 },
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for the author to edit their review
+    app.patch('/api/reviews/:id', verifyToken, validate({
+        params: { id: objectIdParam('Review not found') },
+        body: REVIEW_BODY,
+    }), async (req, res, next) => {
+        const { id } = req.params;
+        const { rating, comment } = req.body;
+
+        try {
+            const review = await reviewsCollection.findOne({ _id: new ObjectId(id) });
+            if (!review) {
+                return sendError(res, 404, 'Review not found');
+            }
+            if (review.authorEmail !== req.decoded.email) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const updates = { updatedAt: clock.now() };
+            if (rating != null && rating !== '') updates.rating = Number(rating);
+            if (comment !== undefined) updates.comment = comment || '';
+            const updated = await reviewsCollection.findOneAndUpdate(
+                { _id: review._id },
+                { $set: updates },
+                { returnDocument: 'after' }
+            );
+            await refreshReviewAggregates(updated);
+
+            res.status(200).json({ message: 'Review updated successfully', review: updated });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for admins to hide or restore a review
+    app.patch('/api/reviews/:id/moderation', verifyToken, verifyAdmin, validate({
+        params: { id: objectIdParam('Review not found') },
+        body: { hidden: { type: 'boolean', required: true }, reason: { type: 'string', max: 1000 } },
+    }), async (req, res, next) => {
+        const { id } = req.params;
+        const { hidden, reason } = req.body;
+        if (typeof hidden !== 'boolean') {
+            return sendError(res, 400, 'hidden must be true or false');
+        }
+
+        try {
+            const updated = await reviewsCollection.findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                {
+                    $set: {
+                        hidden,
+                        hiddenReason: hidden ? reason || null : null,
+                        hiddenBy: hidden ? req.decoded.email : null,
+                        moderatedAt: clock.now(),
+                    }
+                },
+                { returnDocument: 'after' }
+            );
+            if (!updated) {
+                return sendError(res, 404, 'Review not found');
+            }
+            await refreshReviewAggregates(updated);
+
+            res.status(200).json({ message: hidden ? 'Review hidden' : 'Review restored', review: updated });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerReviewRoutes,
+};
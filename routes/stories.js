@@ -0,0 +1,494 @@
+// Tourist stories with photos, likes and threaded comments.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { ImageValidationError } = require('../storage');
+const {
+    MAX_STORY_TITLE_LENGTH,
+    MAX_STORY_EXCERPT_LENGTH,
+    MAX_STORY_CONTENT_LENGTH,
+    MAX_COMMENT_LENGTH,
+    parseTextFields,
+} = require('../lib/content');
+const { isPageRequested, paginate } = require('../lib/pagination');
+const { objectIdParam, PAGE_QUERY } = require('../lib/schemas');
+const { verifyToken, readOptionalToken } = require('../middleware/auth');
+const { uploadImages, parseRemoveImages } = require('../middleware/uploads');
+
+const STORY_SORTS = {
+    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+    popular: { expr: { $add: [{ $ifNull: ['$likeCount', 0] }, { $ifNull: ['$commentCount', 0] }] }, fallback: 0, order: 'desc' },
+};
+
+const STORY_PARAMS = { params: { id: objectIdParam('Story not found') } };
+
+const STORY_COMMENT_PARAMS = { params: { ...STORY_PARAMS.params, commentId: objectIdParam('Comment not found') } };
+
+// The fields readers see of a comment: commenters' emails and who deleted a comment stay private
+const toPublicComment = (comment, author) => ({
+    _id: comment._id,
+    parentId: comment.parentId,
+    body: comment.body,
+    deleted: comment.deleted,
+    authorName: author?.name ?? null,
+    authorPhotoURL: author?.photoURL ?? null,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt ?? null,
+});
+
+const registerStoryRoutes = (app, ctx) => {
+    const {
+        userCollection,
+        storiesCollection,
+        storyCommentsCollection,
+        packagesCollection,
+        clock,
+        verifyAdmin,
+        findAuthorsByEmail,
+        isAdminEmail,
+        storeUploadedImages,
+    } = ctx;
+
+    // Check story fields; with partial set, only the fields present are checked.
+    // Returns { fields } or { error }.
+    const parseStoryFields = async (body, partial = false) => {
+        const { fields, error } = parseTextFields(body, [
+            ['title', MAX_STORY_TITLE_LENGTH, true],
+            ['content', MAX_STORY_CONTENT_LENGTH, true],
+            ['excerpt', MAX_STORY_EXCERPT_LENGTH, false],
+        ], partial);
+        if (error) {
+            return { error };
+        }
+
+        if (body.packageId !== undefined) {
+            if (body.packageId === '' || body.packageId === null) {
+                fields.packageId = null;
+            } else {
+                const packageDetails = await packagesCollection.findOne(
+                    { _id: new ObjectId(body.packageId) },
+                    { projection: { packageName: 1 } }
+                );
+                if (!packageDetails) {
+                    return { error: 'Package not found' };
+                }
+                fields.packageId = String(packageDetails._id);
+                fields.packageName = packageDetails.packageName;
+            }
+        }
+        return { fields };
+    };
+
+    // Replace the author details copied at submission time with the author's current name and photo.
+    // Who liked a story stays private; readers only get the count and whether they liked it.
+    const withCurrentAuthors = async (stories, viewerEmail) => {
+        const authorsByEmail = await findAuthorsByEmail(stories.map(story => story.email));
+        return stories.map(({ likedBy, ...story }) => {
+            const author = authorsByEmail.get(story.email);
+            return {
+                ...story,
+                posterName: author?.name ?? story.posterName,
+                posterPhotoURL: author?.photoURL ?? story.posterPhotoURL,
+                likeCount: story.likeCount || 0,
+                commentCount: story.commentCount || 0,
+                likedByMe: Boolean(viewerEmail && likedBy?.includes(viewerEmail)),
+            };
+        });
+    };
+
+    // Load a story the reader may see: hidden stories are only visible to their author and admins.
+    // Returns { story, isAdmin } or { status, error }.
+    const findVisibleStory = async (id, email) => {
+        const story = await storiesCollection.findOne({ _id: new ObjectId(id) });
+        if (!story) {
+            return { status: 404, error: 'Story not found' };
+        }
+        const isAdmin = await isAdminEmail(email);
+        if (story.hidden && story.email !== email && !isAdmin) {
+            return { status: 404, error: 'Story not found' };
+        }
+        return { story, isAdmin };
+    };
+
+    // Endpoint to handle story submission; photos go in the multipart field "images"
+    app.post('/api/story', verifyToken, uploadImages('images'), validate({
+        body: { packageId: { type: 'objectId', nullable: true } },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        try {
+            const parsed = await parseStoryFields(req.body);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+            const user = await userCollection.findOne({ email });
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+
+            const images = await storeUploadedImages(req.files, 'stories');
+            const newStory = {
+                email,
+                ...parsed.fields,
+                images,
+                // Kept as a fallback for readers; listings show the author's current details
+                posterName: user.name,
+                posterPhotoURL: user.photoURL,
+                likeCount: 0,
+                commentCount: 0,
+                likedBy: [],
+                hidden: false,
+                featured: false,
+                createdAt: clock.now()
+            };
+
+            await storiesCollection.insertOne(newStory);
+            const [story] = await withCurrentAuthors([newStory], email);
+            res.status(201).json({ message: 'Story submitted successfully', story });
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch stories. Filters: author (email), packageId, featured=true.
+    // Sorts: newest (default) or popular; page with ?page=, ?limit= or ?cursor=, otherwise all of them as a bare array.
+    app.get('/api/stories', readOptionalToken, validate({
+        query: {
+            ...PAGE_QUERY,
+            author: { type: 'email' },
+            packageId: { type: 'objectId' },
+            featured: { type: 'boolean' },
+        },
+    }), async (req, res, next) => {
+        const { author, packageId, featured } = req.query;
+        const email = req.decoded?.email;
+        try {
+            const match = {};
+            if (author) match.email = author;
+            if (packageId) match.packageId = packageId;
+            if (featured === 'true') match.featured = true;
+            // Authors still see their own hidden stories when listing them
+            if (!(author && author === email) && !(await isAdminEmail(email))) {
+                match.hidden = { $ne: true };
+            }
+
+            const paged = isPageRequested(req.query);
+            const result = await paginate(storiesCollection, {
+                pipeline: [{ $match: match }],
+                sorts: STORY_SORTS,
+                defaultSort: 'newest',
+                query: req.query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            result.items = await withCurrentAuthors(result.items, email);
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch a single story by ID
+    app.get('/api/stories/:id', readOptionalToken, validate(STORY_PARAMS), async (req, res, next) => {
+        const email = req.decoded?.email;
+        try {
+            const found = await findVisibleStory(req.params.id, email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const [story] = await withCurrentAuthors([found.story], email);
+            res.status(200).json(story);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for authors to edit their story. New photos are appended;
+    // removeImages (array or JSON array of image keys) drops existing ones.
+    app.patch('/api/stories/:id', verifyToken, uploadImages('images'), validate({
+        ...STORY_PARAMS,
+        body: { packageId: { type: 'objectId', nullable: true }, removeImages: { type: 'list' } },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { id } = req.params;
+        const { removeImages, error: removeImagesError } = parseRemoveImages(req.body.removeImages);
+        if (removeImagesError) {
+            return sendError(res, 400, removeImagesError);
+        }
+
+        try {
+            const parsed = await parseStoryFields(req.body, true);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+            const existing = await storiesCollection.findOne({ _id: new ObjectId(id) });
+            if (!existing) {
+                return sendError(res, 404, 'Story not found');
+            }
+            if (existing.email !== email) {
+                return sendError(res, 403, 'forbidden access');
+            }
+
+            const updates = { ...parsed.fields };
+            if (req.files?.length > 0 || removeImages.length > 0) {
+                const added = await storeUploadedImages(req.files, 'stories');
+                const kept = (existing.images || []).filter(image => !removeImages.includes(image?.key));
+                updates.images = [...kept, ...added];
+            }
+            if (Object.keys(updates).length === 0) {
+                return sendError(res, 400, 'Nothing to update');
+            }
+
+            const updated = await storiesCollection.findOneAndUpdate(
+                { _id: existing._id },
+                { $set: { ...updates, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            const [story] = await withCurrentAuthors([updated], email);
+            res.status(200).json({ message: 'Story updated successfully', story });
+        } catch (error) {
+            if (error instanceof ImageValidationError) {
+                return sendError(res, 400, error.message);
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint for authors (or admins) to delete a story along with its comments
+    app.delete('/api/stories/:id', verifyToken, validate(STORY_PARAMS), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { id } = req.params;
+        try {
+            const story = await storiesCollection.findOne({ _id: new ObjectId(id) });
+            if (!story) {
+                return sendError(res, 404, 'Story not found');
+            }
+            if (story.email !== email && !(await isAdminEmail(email))) {
+                return sendError(res, 403, 'forbidden access');
+            }
+            await storiesCollection.deleteOne({ _id: story._id });
+            await storyCommentsCollection.deleteMany({ storyId: id });
+            res.status(200).json({ message: 'Story deleted successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for admins to hide/restore or feature/unfeature a story
+    app.patch('/api/stories/:id/moderation', verifyToken, verifyAdmin, validate({
+        ...STORY_PARAMS,
+        body: {
+            hidden: { type: 'boolean' },
+            featured: { type: 'boolean' },
+            reason: { type: 'string', max: 1000 },
+        },
+    }), async (req, res, next) => {
+        const { id } = req.params;
+        const { hidden, featured, reason } = req.body;
+        if (hidden === undefined && featured === undefined) {
+            return sendError(res, 400, 'Send hidden and/or featured');
+        }
+        if ((hidden !== undefined && typeof hidden !== 'boolean') || (featured !== undefined && typeof featured !== 'boolean')) {
+            return sendError(res, 400, 'hidden and featured must be true or false');
+        }
+
+        const now = clock.now();
+        const updates = { updatedAt: now };
+        if (hidden !== undefined) {
+            updates.hidden = hidden;
+            updates.moderation = { by: req.decoded.email, reason: reason || null, at: now };
+        }
+        if (featured !== undefined) {
+            updates.featured = featured;
+            updates.featuredAt = featured ? now : null;
+        }
+
+        try {
+            const updated = await storiesCollection.findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: updates },
+                { returnDocument: 'after' }
+            );
+            if (!updated) {
+                return sendError(res, 404, 'Story not found');
+            }
+            const [story] = await withCurrentAuthors([updated], req.decoded.email);
+            res.status(200).json({ message: 'Story moderated', story });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Like or unlike a story. The filter on likedBy makes repeated calls no-ops so likeCount stays exact.
+    const setStoryLike = (liked) => async (req, res, next) => {
+        const { email } = req.decoded;
+        try {
+            const found = await findVisibleStory(req.params.id, email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const update = liked
+                ? { $addToSet: { likedBy: email }, $inc: { likeCount: 1 } }
+                : { $pull: { likedBy: email }, $inc: { likeCount: -1 } };
+            await storiesCollection.updateOne(
+                { _id: found.story._id, likedBy: liked ? { $ne: email } : email },
+                update
+            );
+            const story = await storiesCollection.findOne({ _id: found.story._id }, { projection: { likeCount: 1 } });
+            res.status(200).json({ liked, likeCount: story?.likeCount || 0 });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // Endpoints to like and unlike a story
+    app.post('/api/stories/:id/like', verifyToken, validate(STORY_PARAMS), setStoryLike(true));
+
+    app.delete('/api/stories/:id/like', verifyToken, validate(STORY_PARAMS), setStoryLike(false));
+
+    // Endpoint to fetch a story's comments. Top-level comments are paginated (oldest first);
+    // each carries its whole reply thread, which clients nest using parentId.
+    app.get('/api/stories/:id/comments', readOptionalToken, validate({
+        ...STORY_PARAMS,
+        query: PAGE_QUERY,
+    }), async (req, res, next) => {
+        try {
+            const found = await findVisibleStory(req.params.id, req.decoded?.email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const storyId = String(found.story._id);
+            const result = await paginate(storyCommentsCollection, {
+                pipeline: [{ $match: { storyId, parentId: null } }],
+                sorts: {
+                    oldest: { expr: '$createdAt', fallback: new Date(0), order: 'asc' },
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                },
+                defaultSort: 'oldest',
+                query: req.query,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            const replies = await storyCommentsCollection
+                .find({ storyId, rootId: { $in: result.items.map(comment => String(comment._id)) } })
+                .sort({ createdAt: 1 })
+                .toArray();
+            const authorsByEmail = await findAuthorsByEmail([...result.items, ...replies].map(comment => comment.email));
+            const toPublic = (comment) => toPublicComment(comment, comment.deleted ? null : authorsByEmail.get(comment.email));
+            result.items = result.items.map(comment => ({
+                ...toPublic(comment),
+                replies: replies.filter(reply => reply.rootId === String(comment._id)).map(toPublic),
+            }));
+            res.status(200).json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to comment on a story; send parentId to reply to another comment
+    app.post('/api/stories/:id/comments', verifyToken, validate({
+        ...STORY_PARAMS,
+        body: {
+            body: { type: 'string', required: true, min: 1, max: MAX_COMMENT_LENGTH },
+            parentId: { type: 'objectId' },
+        },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { parentId } = req.body;
+        const body = req.body.body.trim();
+
+        try {
+            const found = await findVisibleStory(req.params.id, email);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const storyId = String(found.story._id);
+
+            let parent = null;
+            if (parentId) {
+                parent = await storyCommentsCollection.findOne({ _id: new ObjectId(parentId), storyId });
+                if (!parent) {
+                    return sendError(res, 400, 'parentId must be a comment on this story');
+                }
+            }
+
+            const comment = {
+                storyId,
+                parentId: parent ? String(parent._id) : null,
+                rootId: parent ? (parent.rootId || String(parent._id)) : null,
+                email,
+                body,
+                deleted: false,
+                createdAt: clock.now(),
+            };
+            await storyCommentsCollection.insertOne(comment);
+            await storiesCollection.updateOne({ _id: found.story._id }, { $inc: { commentCount: 1 } });
+            res.status(201).json(comment);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Load a comment on a story for its author (or an admin when allowAdmin is set); returns { comment } or { status, error }
+    const findOwnStoryComment = async (req, allowAdmin) => {
+        const { id, commentId } = req.params;
+        const comment = await storyCommentsCollection.findOne({ _id: new ObjectId(commentId), storyId: id });
+        if (!comment || comment.deleted) {
+            return { status: 404, error: 'Comment not found' };
+        }
+        if (comment.email !== req.decoded.email && !(allowAdmin && await isAdminEmail(req.decoded.email))) {
+            return { status: 403, error: 'forbidden access' };
+        }
+        return { comment };
+    };
+
+    // Endpoint for commenters to edit their comment
+    app.patch('/api/stories/:id/comments/:commentId', verifyToken, validate({
+        ...STORY_COMMENT_PARAMS,
+        body: { body: { type: 'string', required: true, min: 1, max: MAX_COMMENT_LENGTH } },
+    }), async (req, res, next) => {
+        const body = req.body.body.trim();
+        try {
+            const found = await findOwnStoryComment(req, false);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            const updated = await storyCommentsCollection.findOneAndUpdate(
+                { _id: found.comment._id },
+                { $set: { body, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            res.status(200).json(updated);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for commenters (or admins) to delete a comment. Its text is removed but the
+    // comment stays as a placeholder so replies keep their place in the thread.
+    app.delete('/api/stories/:id/comments/:commentId', verifyToken, validate(STORY_COMMENT_PARAMS), async (req, res, next) => {
+        try {
+            const found = await findOwnStoryComment(req, true);
+            if (found.error) {
+                return sendError(res, found.status, found.error);
+            }
+            await storyCommentsCollection.updateOne(
+                { _id: found.comment._id },
+                { $set: { body: null, deleted: true, deletedBy: req.decoded.email, deletedAt: clock.now() } }
+            );
+            await storiesCollection.updateOne({ _id: new ObjectId(req.params.id) }, { $inc: { commentCount: -1 } });
+            res.status(200).json({ message: 'Comment deleted' });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerStoryRoutes,
+};
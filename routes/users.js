@@ -0,0 +1,347 @@
+// User accounts, profiles and the public tour guide list.
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { parseQueryPoint, parseGuideRegions } = require('../lib/geo');
+const { escapeRegex, isPageRequested, paginate } = require('../lib/pagination');
+const { PAGE_QUERY } = require('../lib/schemas');
+const { verifyFirebaseToken, verifyToken } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/uploads');
+
+// Guide profile fields set through POST /api/profile, besides regions
+const GUIDE_PROFILE_FIELDS = ['bio', 'experience', 'contact', 'education', 'skills'];
+
+const registerUserRoutes = (app, ctx) => {
+    const {
+        userCollection,
+        packagesCollection,
+        clock,
+        verifyRole,
+        verifyAdmin,
+        verifyOwner,
+        storeUploadedImages,
+        deleteUnreferencedImages,
+        exportUserData,
+        countActiveBookings,
+        deleteAccount,
+    } = ctx;
+
+    const findSignedInUser = (req) => userCollection.findOne({ email: req.decoded.email });
+
+    // Endpoint to fetch user profile based on email
+    app.get('/api/profile', verifyToken, validate({
+        query: { email: { type: 'email', required: true } },
+    }), verifyOwner(req => req.query.email), async (req, res, next) => {
+        try {
+            const email = req.query.email;
+            const user = await userCollection.findOne({ email });
+            if (user) {
+                res.status(200).json(user);
+            } else {
+                sendError(res, 404, 'User not found');
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for any signed-in user to edit their own name and photo.
+    // Multipart: name, avatar (one image file), removePhoto=true to clear the photo.
+    app.patch('/api/profile', verifyToken, uploadImages('avatar'), validate({
+        body: {
+            name: { type: 'string', min: 1, max: 100 },
+            removePhoto: { type: 'boolean' },
+        },
+    }), async (req, res, next) => {
+        if (req.files?.length > 1) {
+            return sendError(res, 400, 'Only one avatar image is allowed');
+        }
+        const updates = {};
+        if (req.body.name !== undefined) {
+            updates.name = req.body.name.trim();
+            if (!updates.name) {
+                return sendError(res, 400, 'name cannot be empty');
+            }
+        }
+        if (String(req.body.removePhoto) === 'true') {
+            updates.photoURL = null;
+            updates.avatar = null;
+        }
+
+        const avatarReference = key => ({ 'avatar.key': key });
+        let avatar = null;
+        try {
+            [avatar] = await storeUploadedImages(req.files, 'avatars');
+            if (avatar) {
+                updates.photoURL = avatar.url;
+                updates.avatar = avatar;
+            }
+            if (Object.keys(updates).length === 0) {
+                return sendError(res, 400, 'Nothing to update');
+            }
+            updates.updatedAt = clock.now();
+            const previous = await userCollection.findOneAndUpdate(
+                { email: req.decoded.email },
+                { $set: updates },
+                { returnDocument: 'before' }
+            );
+            if (!previous) {
+                await deleteUnreferencedImages(avatar ? [avatar] : [], userCollection, avatarReference);
+                return sendError(res, 404, 'User not found');
+            }
+            // A replaced or removed photo is deleted unless another user has the same file
+            if (updates.avatar !== undefined && previous.avatar) {
+                await deleteUnreferencedImages([previous.avatar], userCollection, avatarReference);
+            }
+            res.status(200).json({ success: true, message: 'Profile updated', user: { ...previous, ...updates } });
+        } catch (error) {
+            if (avatar) {
+                await deleteUnreferencedImages([avatar], userCollection, avatarReference).catch(() => {});
+            }
+            next(error);
+        }
+    });
+
+    // Endpoint to download everything stored about the signed-in user as a JSON file
+    app.get('/api/profile/export', verifyToken, async (req, res, next) => {
+        try {
+            const user = await findSignedInUser(req);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            const data = await exportUserData(user);
+            const day = data.exportedAt.toISOString().slice(0, 10);
+            res.attachment(`epicescape-data-${day}.json`);
+            res.status(200).json(data);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint for the signed-in user to delete their account; confirmEmail must repeat their email.
+    // Not possible while they have upcoming bookings. The Firebase login itself is deleted by the client.
+    app.delete('/api/profile', verifyToken, validate({
+        body: { confirmEmail: { type: 'email', required: true } },
+    }), async (req, res, next) => {
+        if (req.body.confirmEmail !== req.decoded.email) {
+            return sendError(res, 400, 'confirmEmail must match your account email');
+        }
+        try {
+            const user = await findSignedInUser(req);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+            const activeBookings = await countActiveBookings(user.email);
+            if (activeBookings > 0) {
+                return sendError(res, 409, `Cancel or finish your ${activeBookings} upcoming booking(s) before deleting your account`, {
+                    code: 'ACTIVE_BOOKINGS',
+                });
+            }
+            const kept = await deleteAccount(user);
+            res.status(200).json({ success: true, message: 'Account deleted', ...kept });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to register user and save to database first
+    app.post('/register', verifyFirebaseToken, validate({
+        body: { idToken: { type: 'string', max: 4096 }, name: { type: 'string', max: 100 }, photoURL: { type: 'string', max: 2048 } },
+    }), async (req, res, next) => {
+        const { email } = req.firebaseUser;
+        const { name, photoURL } = req.body;
+
+        // Everyone starts as a tourist; guides are approved through guide applications and admins are set by admins
+        const newUser = {
+            email,
+            name: name || req.firebaseUser.name || null,
+            photoURL: photoURL || req.firebaseUser.picture || null,
+            role: 'tourist',
+            createdAt: clock.now(),
+        };
+
+        try {
+            // Check if the user already exists
+            const existingUser = await userCollection.findOne({ email });
+            if (existingUser) {
+                return sendError(res, 400, 'User already exists');
+            }
+
+            // Save the user to the database
+            const result = await userCollection.insertOne(newUser);
+            if (result.insertedId) {
+                res.status(201).json({ success: true, message: 'User registered successfully', user: newUser });
+            } else {
+                throw new Error('Error inserting user to database');
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to check if a user exists by email
+    app.get('/users', verifyToken, validate({
+        query: { email: { type: 'email', required: true } },
+    }), verifyOwner(req => req.query.email), async (req, res, next) => {
+        const { email } = req.query;
+        try {
+            const user = await userCollection.findOne({ email });
+            if (user) {
+                res.status(200).json({ exists: true, user });
+            } else {
+                res.status(200).json({ exists: false });
+            }
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to handle guide info submission; only approved guides have a guide profile.
+    // regions ([{ name, location, radiusKm }]) are the areas the guide works in, matched against tour locations.
+    app.post('/api/profile', verifyToken, verifyRole('tourguide'), validate({
+        body: {
+            bio: { type: 'string', max: 5000 },
+            experience: { type: 'any' },
+            contact: { type: 'string', max: 200 },
+            education: { type: 'string', max: 1000 },
+            skills: { type: 'list' },
+            regions: { type: 'any' },
+        },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        // Only the fields sent are changed, so a partial submission keeps the rest of the profile
+        const updates = {};
+        for (const field of GUIDE_PROFILE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+        if (req.body.regions !== undefined) {
+            const result = parseGuideRegions(req.body.regions);
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            updates.regions = result.regions;
+            updates.serviceAreas = result.serviceAreas;
+        }
+        if (Object.keys(updates).length === 0) {
+            return sendError(res, 400, 'Nothing to update');
+        }
+        try {
+            await userCollection.updateOne({ email }, {
+                $set: updates
+            });
+            res.status(200).json({ message: 'Guide info submitted successfully' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch guides information.
+    // Query: search, lng and lat or packageId (only guides whose regions cover that point or the package's location).
+    // Paged with page, limit or cursor; otherwise every match comes back as a bare array.
+    app.get('/api/guides', validate({
+        query: {
+            ...PAGE_QUERY,
+            search: { type: 'string', max: 100 },
+            lng: { type: 'number', min: -180, max: 180 },
+            lat: { type: 'number', min: -90, max: 90 },
+            packageId: { type: 'objectId' },
+        },
+    }), async (req, res, next) => {
+        const match = { role: 'tourguide' };
+        if (req.query.search) {
+            match.name = { $regex: escapeRegex(req.query.search), $options: 'i' };
+        }
+        const origin = parseQueryPoint(req.query);
+        if (origin.error) {
+            return sendError(res, 400, origin.error);
+        }
+
+        try {
+            let point = origin.point;
+            if (req.query.packageId) {
+                const packageDetails = await packagesCollection.findOne({ _id: new ObjectId(req.query.packageId) }, { projection: { location: 1 } });
+                if (!packageDetails) {
+                    return sendError(res, 404, 'Package not found');
+                }
+                if (!packageDetails.location) {
+                    return sendError(res, 400, 'Package has no location');
+                }
+                point = packageDetails.location;
+            }
+            if (point) {
+                match.serviceAreas = { $geoIntersects: { $geometry: point } };
+            }
+
+            const paged = isPageRequested(req.query);
+            const result = await paginate(userCollection, {
+                pipeline: [{ $match: match }],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    name: { expr: '$name', fallback: '', order: 'asc' },
+                    rating: { expr: '$averageRating', fallback: 0, order: 'desc' },
+                },
+                defaultSort: 'newest',
+                projection: { blockedDates: 0, reviews: 0, serviceAreas: 0 },
+                query: req.query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch all users with search and filter; paged like /api/guides
+    app.get('/api/users', verifyToken, verifyAdmin, validate({
+        query: {
+            ...PAGE_QUERY,
+            search: { type: 'string', max: 100 },
+            role: { type: 'string', enum: ['tourist', 'tourguide', 'admin'] },
+        },
+    }), async (req, res, next) => {
+        const { search, role } = req.query;
+        let query = {};
+
+        if (search) {
+            const pattern = escapeRegex(search);
+            query.$or = [
+                { name: { $regex: pattern, $options: 'i' } },
+                { email: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        if (role) {
+            query.role = role;
+        }
+
+        try {
+            const paged = isPageRequested(req.query);
+            const result = await paginate(userCollection, {
+                pipeline: [{ $match: query }],
+                sorts: {
+                    newest: { expr: '$createdAt', fallback: new Date(0), order: 'desc' },
+                    name: { expr: '$name', fallback: '', order: 'asc' },
+                    email: { expr: '$email', fallback: '', order: 'asc' },
+                },
+                defaultSort: 'newest',
+                query: req.query,
+                all: !paged,
+            });
+            if (result.error) {
+                return sendError(res, 400, result.error);
+            }
+            res.status(200).json(paged ? result : result.items);
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerUserRoutes,
+};
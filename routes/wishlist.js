@@ -0,0 +1,329 @@
+// Packages a tourist has saved for later, organised into named lists. Every user has a default list,
+// created on first use, which holds the items saved without a listId. A list can be shared read-only
+// through a link carrying its shareToken.
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../errors');
+const { validate } = require('../validation');
+const { DEFAULT_CURRENCY } = require('../lib/money');
+const { PACKAGE_STATUS, isPackagePublished } = require('../lib/packages');
+const { objectIdParam } = require('../lib/schemas');
+const { verifyToken } = require('../middleware/auth');
+
+const MAX_WISHLISTS = 20;
+const DEFAULT_WISHLIST_NAME = 'Wishlist';
+
+const LIST_NAME_RULE = { type: 'string', required: true, min: 1, max: 60 };
+const LIST_PARAMS = { params: { id: objectIdParam('Wishlist not found') } };
+
+// The package fields a wishlist shows
+const PACKAGE_SUMMARY_PROJECTION = { packageName: 1, type: 1, price: 1, currency: 1, pricing: 1, images: 1, status: 1 };
+
+const toPackageSummary = (packageDetails) => ({
+    _id: packageDetails._id,
+    packageName: packageDetails.packageName,
+    type: packageDetails.type,
+    price: Number(packageDetails.price),
+    currency: packageDetails.currency || DEFAULT_CURRENCY,
+    pricing: packageDetails.pricing || null,
+    images: (packageDetails.images || []).slice(0, 1),
+    status: packageDetails.status || PACKAGE_STATUS.PUBLISHED,
+});
+
+// How the package price moved since the item was saved; null when it has not (or was saved before prices were kept)
+const getPriceChange = (savedPrice, currentPrice) => {
+    if (!Number.isFinite(savedPrice) || !Number.isFinite(currentPrice) || savedPrice === currentPrice) {
+        return null;
+    }
+    return {
+        savedPrice,
+        currentPrice,
+        difference: Math.round((currentPrice - savedPrice) * 100) / 100,
+        direction: currentPrice < savedPrice ? 'down' : 'up',
+    };
+};
+
+// Items of the default list are stored without a listId, like those saved before lists existed
+const listItemsFilter = (list) => ({ email: list.email, listId: list.isDefault ? null : String(list._id) });
+
+const registerWishlistRoutes = (app, ctx) => {
+    const { wishlistCollection, wishlistListsCollection, packagesCollection, userCollection, clock, verifyOwner } = ctx;
+
+    const ensureDefaultList = async (email) => {
+        const upsertDefault = () => wishlistListsCollection.findOneAndUpdate(
+            { email, isDefault: true },
+            { $setOnInsert: { name: DEFAULT_WISHLIST_NAME, shareToken: null, createdAt: clock.now() } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        try {
+            return await upsertDefault();
+        } catch (error) {
+            // A concurrent request created it first
+            if (error.code === 11000) {
+                return upsertDefault();
+            }
+            throw error;
+        }
+    };
+
+    // Find one of the user's lists by ID; a missing listId means the default list. Returns the list or null.
+    const findOwnList = async (email, listId) => {
+        if (!listId) {
+            return ensureDefaultList(email);
+        }
+        return wishlistListsCollection.findOne({ _id: new ObjectId(listId), email });
+    };
+
+    // Join items with their packages. Items whose package was deleted are left out (scripts/prune-wishlists.js
+    // removes them); archived and draft packages stay listed as unavailable.
+    const withPackageDetails = async (items) => {
+        const packageIds = [...new Set(items.map(item => item.packageId))].filter(id => ObjectId.isValid(id));
+        const packages = await packagesCollection
+            .find({ _id: { $in: packageIds.map(id => new ObjectId(id)) } }, { projection: PACKAGE_SUMMARY_PROJECTION })
+            .toArray();
+        const packagesById = new Map(packages.map(packageDetails => [String(packageDetails._id), packageDetails]));
+        return items
+            .filter(item => packagesById.has(String(item.packageId)))
+            .map(item => {
+                const packageDetails = packagesById.get(String(item.packageId));
+                return {
+                    ...item,
+                    package: toPackageSummary(packageDetails),
+                    available: isPackagePublished(packageDetails),
+                    priceChange: getPriceChange(item.savedPrice, Number(packageDetails.price)),
+                };
+            });
+    };
+
+    // Add to wishlist; listId picks a named list (default: the user's default list)
+    app.post('/api/wishlist', verifyToken, validate({
+        body: {
+            packageId: { type: 'objectId', required: true },
+            listId: { type: 'objectId' },
+        },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { packageId } = req.body;
+
+        try {
+            const list = await findOwnList(email, req.body.listId);
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            const packageDetails = await packagesCollection.findOne({ _id: new ObjectId(packageId) }, { projection: { price: 1, status: 1 } });
+            if (!packageDetails || packageDetails.status === PACKAGE_STATUS.DRAFT) {
+                return sendError(res, 404, 'Package not found');
+            }
+
+            const itemFilter = { ...listItemsFilter(list), packageId };
+            const wishlistItem = await wishlistCollection.findOne(itemFilter);
+            if (wishlistItem) {
+                return sendError(res, 400, 'Package already in wishlist');
+            }
+
+            // The price at saving time, so later price changes can be flagged
+            const savedPrice = Number(packageDetails.price);
+            await wishlistCollection.insertOne({
+                ...itemFilter,
+                savedPrice: Number.isFinite(savedPrice) ? savedPrice : null,
+                createdAt: clock.now(),
+            });
+            res.status(201).json({ message: 'Package added to wishlist' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Remove from wishlist; from the given list, or from every list when listId is left out
+    app.delete('/api/wishlist', verifyToken, validate({
+        body: {
+            packageId: { type: 'objectId', required: true },
+            listId: { type: 'objectId' },
+        },
+    }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const { packageId, listId } = req.body;
+
+        try {
+            let filter = { email, packageId };
+            if (listId) {
+                const list = await findOwnList(email, listId);
+                if (!list) {
+                    return sendError(res, 404, 'Wishlist not found');
+                }
+                filter = { ...listItemsFilter(list), packageId };
+            }
+            const result = await wishlistCollection.deleteMany(filter);
+            if (result.deletedCount === 0) {
+                return sendError(res, 404, 'Package not found in wishlist');
+            }
+
+            res.status(200).json({ message: 'Package removed from wishlist' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to fetch wishlist for a specific user, newest first, with package summaries and price changes.
+    // Query: listId (default: items from every list)
+    app.get('/api/wishlist/:email', verifyToken, validate({
+        params: { email: { type: 'email', required: true, notFound: 'User not found' } },
+        query: { listId: { type: 'objectId' } },
+    }), verifyOwner(req => req.params.email), async (req, res, next) => {
+        const email = req.params.email;
+
+        try {
+            let filter = { email };
+            if (req.query.listId) {
+                const list = await findOwnList(email, req.query.listId);
+                if (!list) {
+                    return sendError(res, 404, 'Wishlist not found');
+                }
+                filter = listItemsFilter(list);
+            }
+            const wishlistItems = await wishlistCollection.find(filter).sort({ createdAt: -1 }).toArray();
+            res.status(200).json(await withPackageDetails(wishlistItems));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to list the signed-in user's wishlists with their item counts
+    app.get('/api/wishlists', verifyToken, async (req, res, next) => {
+        const { email } = req.decoded;
+        try {
+            await ensureDefaultList(email);
+            const lists = await wishlistListsCollection.find({ email }).sort({ isDefault: -1, createdAt: 1 }).toArray();
+            const counts = await wishlistCollection.aggregate([
+                { $match: { email } },
+                { $group: { _id: '$listId', count: { $sum: 1 } } },
+            ]).toArray();
+            const countsByList = new Map(counts.map(({ _id, count }) => [_id, count]));
+            res.status(200).json(lists.map(list => ({
+                ...list,
+                itemCount: countsByList.get(list.isDefault ? null : String(list._id)) || 0,
+            })));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to create a named wishlist
+    app.post('/api/wishlists', verifyToken, validate({ body: { name: LIST_NAME_RULE } }), async (req, res, next) => {
+        const { email } = req.decoded;
+        const name = req.body.name.trim();
+        try {
+            await ensureDefaultList(email);
+            if (await wishlistListsCollection.countDocuments({ email }) >= MAX_WISHLISTS) {
+                return sendError(res, 400, `You can have at most ${MAX_WISHLISTS} wishlists`);
+            }
+            const now = clock.now();
+            const list = { email, name, isDefault: false, shareToken: null, createdAt: now, updatedAt: now };
+            await wishlistListsCollection.insertOne(list);
+            res.status(201).json({ success: true, message: 'Wishlist created', list });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to rename a wishlist
+    app.patch('/api/wishlists/:id', verifyToken, validate({ ...LIST_PARAMS, body: { name: LIST_NAME_RULE } }), async (req, res, next) => {
+        const name = req.body.name.trim();
+        try {
+            const list = await wishlistListsCollection.findOneAndUpdate(
+                { _id: new ObjectId(req.params.id), email: req.decoded.email },
+                { $set: { name, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            res.status(200).json({ success: true, message: 'Wishlist renamed', list });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to delete a named wishlist and the items in it; the default list cannot be deleted
+    app.delete('/api/wishlists/:id', verifyToken, validate(LIST_PARAMS), async (req, res, next) => {
+        try {
+            const list = await findOwnList(req.decoded.email, req.params.id);
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            if (list.isDefault) {
+                return sendError(res, 400, 'The default wishlist cannot be deleted');
+            }
+            await wishlistCollection.deleteMany(listItemsFilter(list));
+            await wishlistListsCollection.deleteOne({ _id: list._id });
+            res.status(200).json({ success: true, message: 'Wishlist deleted' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to turn on the read-only share link of a wishlist; sharing again keeps the same link
+    app.post('/api/wishlists/:id/share', verifyToken, validate(LIST_PARAMS), async (req, res, next) => {
+        try {
+            const list = await wishlistListsCollection.findOneAndUpdate(
+                { _id: new ObjectId(req.params.id), email: req.decoded.email, shareToken: null },
+                { $set: { shareToken: crypto.randomBytes(16).toString('base64url'), updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            ) || await findOwnList(req.decoded.email, req.params.id);
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            res.status(200).json({ success: true, shareToken: list.shareToken, sharePath: `/api/shared/wishlists/${list.shareToken}` });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to turn off a wishlist's share link; links handed out stop working
+    app.delete('/api/wishlists/:id/share', verifyToken, validate(LIST_PARAMS), async (req, res, next) => {
+        try {
+            const list = await wishlistListsCollection.findOneAndUpdate(
+                { _id: new ObjectId(req.params.id), email: req.decoded.email },
+                { $set: { shareToken: null, updatedAt: clock.now() } },
+                { returnDocument: 'after' }
+            );
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            res.status(200).json({ success: true, message: 'Wishlist is no longer shared' });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Endpoint to view a shared wishlist; shows the owner's name but not their email or saved prices.
+    // Only published packages are listed, so a link cannot be used to read drafts or archived packages.
+    app.get('/api/shared/wishlists/:token', validate({
+        params: { token: { type: 'string', required: true, max: 100, notFound: 'Wishlist not found' } },
+    }), async (req, res, next) => {
+        try {
+            const list = await wishlistListsCollection.findOne({ shareToken: req.params.token });
+            if (!list) {
+                return sendError(res, 404, 'Wishlist not found');
+            }
+            const owner = await userCollection.findOne({ email: list.email }, { projection: { name: 1, photoURL: 1 } });
+            const items = await wishlistCollection.find(listItemsFilter(list)).sort({ createdAt: -1 }).toArray();
+            res.status(200).json({
+                name: list.name,
+                ownerName: owner?.name || null,
+                ownerPhotoURL: owner?.photoURL || null,
+                items: (await withPackageDetails(items)).filter(item => item.available).map(item => ({
+                    packageId: item.packageId,
+                    createdAt: item.createdAt,
+                    package: item.package,
+                })),
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports = {
+    registerWishlistRoutes,
+};
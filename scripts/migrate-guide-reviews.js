@@ -0,0 +1,99 @@
+// One-off migration: move reviews embedded in guide user documents (the old `reviews` array) into the
+// reviews collection, then refresh each guide's rating summary. Old reviews were not tied to a booking,
+// so each gets a `legacy:<guideId>:<index>` key in bookingId; that keeps the unique bookingId index
+// satisfied and makes re-running the migration safe.
+// Usage: npm run migrate:reviews [-- --dry-run]
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Old reviews took rating and comment straight from the request body
+const toReview = (guide, legacyReview, index, author) => {
+    const rating = Number(legacyReview?.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return null;
+    }
+    const createdAt = legacyReview.date ? new Date(legacyReview.date) : null;
+    const date = createdAt && !isNaN(createdAt) ? createdAt : new Date();
+    return {
+        guideId: String(guide._id),
+        bookingId: `legacy:${guide._id}:${index}`,
+        packageId: null,
+        authorEmail: legacyReview.email || null,
+        authorName: author?.name || null,
+        authorPhotoURL: author?.photoURL || null,
+        rating,
+        comment: typeof legacyReview.comment === 'string' ? legacyReview.comment.slice(0, 2000) : '',
+        hidden: false,
+        legacy: true,
+        createdAt: date,
+        updatedAt: date,
+    };
+};
+
+async function migrate() {
+    const uri = process.env.MONGODB_URI;
+    if (!uri) {
+        console.error('MONGODB_URI is not defined in the .env file');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(uri);
+    await client.connect();
+    const db = client.db(process.env.MONGODB_DB || 'test');
+    const userCollection = db.collection('users');
+    const reviewsCollection = db.collection('reviews');
+
+    let migrated = 0;
+    let skipped = 0;
+    let failed = 0;
+    const cursor = userCollection.find({ role: 'tourguide', 'reviews.0': { $exists: true } });
+    for await (const guide of cursor) {
+        try {
+            const reviews = [];
+            for (const [index, legacyReview] of guide.reviews.entries()) {
+                const author = legacyReview?.email
+                    ? await userCollection.findOne({ email: legacyReview.email }, { projection: { name: 1, photoURL: 1 } })
+                    : null;
+                const review = toReview(guide, legacyReview, index, author);
+                if (review) {
+                    reviews.push(review);
+                } else {
+                    skipped++;
+                }
+            }
+
+            if (!dryRun) {
+                for (const review of reviews) {
+                    await reviewsCollection.updateOne({ bookingId: review.bookingId }, { $setOnInsert: review }, { upsert: true });
+                }
+                const [stats] = await reviewsCollection.aggregate([
+                    { $match: { guideId: String(guide._id), hidden: { $ne: true } } },
+                    { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } },
+                ]).toArray();
+                await userCollection.updateOne({ _id: guide._id }, {
+                    $set: {
+                        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+                        reviewCount: stats ? stats.reviewCount : 0,
+                    },
+                    $unset: { reviews: '' },
+                });
+            }
+            migrated += reviews.length;
+            console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${reviews.length} review(s) for guide ${guide._id}`);
+        } catch (error) {
+            failed++;
+            console.error(`Failed to migrate reviews of guide ${guide._id}:`, error.message);
+        }
+    }
+
+    console.log(`Done: ${migrated} review(s) migrated, ${skipped} without a valid rating skipped, ${failed} guide(s) failed`);
+    await client.close();
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+migrate().catch((error) => {
+    console.error('Migration failed', error);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+// One-off migration: move image buffers embedded in package documents into file storage.
+// Usage: npm run migrate:images [-- --dry-run]
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { createStorageFromEnv, imageUrl, saveImage } = require('../storage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Embedded images come back from the driver as BSON Binary values
+const toBuffer = (image) => {
+    if (Buffer.isBuffer(image)) {
+        return image;
+    }
+    if (image && image._bsontype === 'Binary') {
+        return Buffer.from(image.buffer);
+    }
+    return null;
+};
+
+async function migrate() {
+    const uri = process.env.MONGODB_URI;
+    if (!uri) {
+        console.error('MONGODB_URI is not defined in the .env file');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(uri);
+    await client.connect();
+    const packagesCollection = client.db(process.env.MONGODB_DB || 'test').collection('packages');
+    const storage = createStorageFromEnv();
+
+    let migrated = 0;
+    let failed = 0;
+    const cursor = packagesCollection.find({ 'images.0': { $exists: true } });
+    for await (const pkg of cursor) {
+        if (!pkg.images.some(image => toBuffer(image))) {
+            continue;
+        }
+
+        try {
+            const images = [];
+            for (const image of pkg.images) {
+                const buffer = toBuffer(image);
+                if (!buffer) {
+                    images.push(image); // already migrated
+                    continue;
+                }
+                const saved = dryRun
+                    ? { key: '(dry run)', thumbnailKey: '(dry run)' }
+                    : await saveImage(storage, buffer, { prefix: 'packages' });
+                images.push({ ...saved, url: imageUrl(saved.key), thumbnailUrl: imageUrl(saved.thumbnailKey) });
+            }
+
+            if (!dryRun) {
+                await packagesCollection.updateOne({ _id: pkg._id }, { $set: { images } });
+            }
+            migrated++;
+            console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${images.length} image(s) for package ${pkg._id}`);
+        } catch (error) {
+            failed++;
+            console.error(`Failed to migrate package ${pkg._id}:`, error.message);
+        }
+    }
+
+    console.log(`Done: ${migrated} package(s) migrated, ${failed} failed`);
+    await client.close();
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+migrate().catch((error) => {
+    console.error('Migration failed', error);
+    process.exit(1);
+});
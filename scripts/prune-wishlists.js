@@ -0,0 +1,41 @@
+// Periodic clean-up: remove wishlist items whose package no longer exists. Packages are archived rather than
+// deleted through the API, so these only appear after packages are removed from the database directly.
+// Usage: npm run prune:wishlists [-- --dry-run]
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function prune() {
+    const uri = process.env.MONGODB_URI;
+    if (!uri) {
+        console.error('MONGODB_URI is not defined in the .env file');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(uri);
+    await client.connect();
+    const db = client.db(process.env.MONGODB_DB || 'test');
+    const wishlistCollection = db.collection('wishlist');
+    const packagesCollection = db.collection('packages');
+
+    const packageIds = await wishlistCollection.distinct('packageId');
+    const validIds = packageIds.filter(id => ObjectId.isValid(id));
+    const existing = await packagesCollection
+        .find({ _id: { $in: validIds.map(id => new ObjectId(id)) } }, { projection: { _id: 1 } })
+        .toArray();
+    const existingIds = new Set(existing.map(packageDetails => String(packageDetails._id)));
+    const missingIds = packageIds.filter(id => !existingIds.has(String(id)));
+
+    const filter = { packageId: { $in: missingIds } };
+    const count = dryRun
+        ? await wishlistCollection.countDocuments(filter)
+        : (await wishlistCollection.deleteMany(filter)).deletedCount;
+    console.log(`Done: ${dryRun ? 'would remove' : 'removed'} ${count} item(s) for ${missingIds.length} missing package(s)`);
+    await client.close();
+}
+
+prune().catch((error) => {
+    console.error('Pruning failed', error);
+    process.exit(1);
+});
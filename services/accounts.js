@@ -0,0 +1,200 @@
+// Exporting and deleting a user's account data. Deleting an account removes what is only about the user,
+// anonymises what other people's content hangs off (comments, replies, reviews, messages), and keeps
+// payments and paid bookings, which are financial records we have to keep, without names on them.
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { toUtcDay } = require('../lib/dates');
+const { deleteUnreferencedImages } = require('./files');
+const { guideBookingsQuery } = require('./guides');
+
+// Bookings that still have to happen; accounts with any of these cannot be deleted yet
+const ACTIVE_BOOKING_STATUSES = [BOOKING_STATUS.IN_REVIEW, BOOKING_STATUS.ACCEPTED, BOOKING_STATUS.PAID];
+
+const DELETED_USER_NAME = 'Deleted user';
+
+// Stands in for the email on anonymised records; unique per account but tied to nothing once the user is gone
+const anonymousEmail = (user) => `deleted-${user._id}@deleted.invalid`;
+
+const createAccountService = ({
+    userCollection,
+    storiesCollection,
+    storyCommentsCollection,
+    packagesCollection,
+    wishlistCollection,
+    wishlistListsCollection,
+    bookingsCollection,
+    paymentCollection,
+    communityCollection,
+    communityRepliesCollection,
+    blogCollection,
+    reviewsCollection,
+    notificationsCollection,
+    guideApplicationsCollection,
+    messagesCollection,
+    refreshTokensCollection,
+    imageStorage,
+    clock,
+}) => {
+    // Everything stored about a user, for the data export
+    const exportUserData = async (user) => {
+        const { email } = user;
+        const find = (collection, filter, projection) => collection
+            .find(filter, projection ? { projection } : {})
+            .sort({ createdAt: 1 })
+            .toArray();
+        const [
+            stories,
+            storyComments,
+            communityPosts,
+            communityReplies,
+            bookings,
+            guidedBookings,
+            payments,
+            wishlist,
+            wishlists,
+            reviews,
+            messages,
+            notifications,
+            guideApplications,
+            sessions,
+        ] = await Promise.all([
+            find(storiesCollection, { email }, { likedBy: 0 }),
+            find(storyCommentsCollection, { email }),
+            find(communityCollection, { email }),
+            find(communityRepliesCollection, { email }),
+            find(bookingsCollection, { email }),
+            find(bookingsCollection, { guideEmail: email }, { email: 0, touristName: 0, participants: 0 }),
+            paymentCollection.find({ email }).sort({ date: 1 }).toArray(),
+            find(wishlistCollection, { email }),
+            find(wishlistListsCollection, { email }),
+            find(reviewsCollection, { authorEmail: email }),
+            find(messagesCollection, { senderEmail: email }),
+            find(notificationsCollection, { email }),
+            find(guideApplicationsCollection, { email }),
+            find(refreshTokensCollection, { email }, { tokenHash: 0, replacedBy: 0 }),
+        ]);
+        return {
+            exportedAt: clock.now(),
+            profile: user,
+            stories,
+            storyComments,
+            communityPosts,
+            communityReplies,
+            bookings,
+            guidedBookings,
+            payments,
+            wishlist,
+            wishlists,
+            reviews,
+            messages,
+            notifications,
+            guideApplications,
+            sessions,
+        };
+    };
+
+    // Bookings, as tourist or guide, that block deleting the account; resolves to their count. Legacy bookings
+    // have no endDate (and may keep dates as strings), so the end is worked out here as findGuideCommitments does;
+    // a booking without any date counts as active.
+    const countActiveBookings = async (email) => {
+        const today = toUtcDay(clock.now());
+        const bookings = await bookingsCollection.find(
+            { $or: [{ email }, { guideEmail: email }], status: { $in: ACTIVE_BOOKING_STATUSES } },
+            { projection: { startDate: 1, endDate: 1 } }
+        ).toArray();
+        return bookings.filter(booking => {
+            const end = toUtcDay(booking.endDate || booking.startDate);
+            return !end || end >= today;
+        }).length;
+    };
+
+    // Remove or anonymise the user's data everywhere, then the user
+    const deleteAccount = async (user) => {
+        const { email } = user;
+        const anonymous = anonymousEmail(user);
+        const now = clock.now();
+
+        // Bookings with a payment are financial records and stay, without the names of the user and their
+        // travellers; the rest go, with their messages
+        const payments = await paymentCollection.find({ email }, { projection: { bookingId: 1 } }).toArray();
+        const paidBookingIds = [...new Set(payments.map(payment => String(payment.bookingId)))];
+        const bookings = await bookingsCollection.find({ email }, { projection: { _id: 1, participants: 1 } }).toArray();
+        const unpaidBookings = bookings.filter(booking => !paidBookingIds.includes(String(booking._id)));
+        await messagesCollection.deleteMany({ bookingId: { $in: unpaidBookings.map(booking => String(booking._id)) } });
+        await bookingsCollection.deleteMany({ _id: { $in: unpaidBookings.map(booking => booking._id) } });
+        for (const booking of bookings.filter(booking => paidBookingIds.includes(String(booking._id)))) {
+            await bookingsCollection.updateOne({ _id: booking._id }, {
+                $set: {
+                    touristName: DELETED_USER_NAME,
+                    participants: (booking.participants || [])
+                        .map((participant, index) => ({ ...participant, name: `Participant ${index + 1}` })),
+                },
+            });
+        }
+
+        // Tours the user guided stay on the tourists' bookings, without the guide's name or address.
+        // Legacy bookings name their guide by name, so those are only matched for current guides.
+        const guidedQuery = user.role === 'tourguide'
+            ? { $or: [guideBookingsQuery(user), { guideEmail: email }] }
+            : { $or: [{ guideId: String(user._id) }, { guideEmail: email }] };
+        await bookingsCollection.updateMany(guidedQuery, { $set: { guide: DELETED_USER_NAME, guideEmail: anonymous } });
+
+        // Other participants keep the thread, without the user's words or address
+        await messagesCollection.updateMany(
+            { senderEmail: email },
+            { $set: { senderEmail: anonymous, body: null, redacted: true } }
+        );
+        await messagesCollection.updateMany({ readBy: email }, { $pull: { readBy: email } });
+
+        // Stories are the user's own; comments and likes elsewhere are taken off other people's stories
+        const stories = await storiesCollection.find({ email }, { projection: { _id: 1, images: 1 } }).toArray();
+        await storyCommentsCollection.deleteMany({ storyId: { $in: stories.map(story => String(story._id)) } });
+        await storiesCollection.deleteMany({ email });
+        await deleteUnreferencedImages(
+            imageStorage,
+            stories.flatMap(story => story.images || []),
+            storiesCollection,
+            key => ({ 'images.key': key })
+        );
+        await storyCommentsCollection.updateMany(
+            { email },
+            { $set: { email: anonymous, body: null, deleted: true, deletedBy: anonymous, deletedAt: now } }
+        );
+        await storiesCollection.updateMany({ likedBy: email }, { $pull: { likedBy: email }, $inc: { likeCount: -1 } });
+
+        // Posts, replies and reviews others have read or answered stay, without the author
+        await communityCollection.updateMany({ email }, { $set: { email: anonymous } });
+        await communityRepliesCollection.updateMany({ email }, { $set: { email: anonymous } });
+        await blogCollection.updateMany({ authorEmail: email }, { $set: { authorEmail: anonymous, authorName: DELETED_USER_NAME } });
+        await reviewsCollection.updateMany(
+            { authorEmail: email },
+            { $set: { authorEmail: anonymous, authorName: DELETED_USER_NAME, authorPhotoURL: null } }
+        );
+
+        await packagesCollection.updateMany({ guide: email }, { $set: { guide: null } });
+        await wishlistCollection.deleteMany({ email });
+        await wishlistListsCollection.deleteMany({ email });
+        await notificationsCollection.deleteMany({ email });
+
+        // Supporting documents (ID scans, certificates) have random keys that nothing else points to
+        const applications = await guideApplicationsCollection
+            .find({ email }, { projection: { documents: 1 } })
+            .toArray();
+        for (const document of applications.flatMap(application => application.documents || [])) {
+            if (document?.key) {
+                await imageStorage.delete(document.key);
+            }
+        }
+        await guideApplicationsCollection.deleteMany({ email });
+        await refreshTokensCollection.deleteMany({ email });
+        await userCollection.deleteOne({ _id: user._id });
+        await deleteUnreferencedImages(imageStorage, user.avatar ? [user.avatar] : [], userCollection, key => ({ 'avatar.key': key }));
+
+        return { keptPayments: payments.length, keptBookings: paidBookingIds.length };
+    };
+
+    return { exportUserData, countActiveBookings, deleteAccount };
+};
+
+module.exports = {
+    createAccountService,
+};
@@ -0,0 +1,82 @@
+// Booking status changes and departure seat holds.
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { toUtcDay } = require('../lib/dates');
+const { releaseReservedCoupon } = require('./coupons');
+
+// Bookings give their seats and coupon use back when they end in one of these states
+const RELEASING_STATUSES = [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED];
+
+const createBookingService = ({ bookingsCollection, departuresCollection, couponsCollection, events, clock }) => {
+    // Move a booking to nextStatus and record the change in its status history.
+    // The update is conditional on the current status, so a concurrent change makes this return null.
+    const transitionBooking = async (booking, nextStatus, actor, extra = {}) => {
+        const historyEntry = {
+            from: booking.status,
+            to: nextStatus,
+            actor: { email: actor.email, role: actor.role },
+            reason: actor.reason || null,
+            at: clock.now(),
+        };
+        const updated = await bookingsCollection.findOneAndUpdate(
+            { _id: booking._id, status: booking.status },
+            {
+                $set: { ...extra, status: nextStatus, updatedAt: historyEntry.at },
+                $push: { statusHistory: historyEntry },
+            },
+            { returnDocument: 'after' }
+        );
+        if (updated && updated.participantCount && RELEASING_STATUSES.includes(nextStatus)) {
+            await releaseSeats(updated);
+        }
+        if (updated && updated.reservedCouponCode && RELEASING_STATUSES.includes(nextStatus)) {
+            await releaseReservedCoupon({ bookingsCollection, couponsCollection }, updated);
+        }
+        if (updated) {
+            events.emit('booking.status_changed', {
+                booking: updated,
+                from: historyEntry.from,
+                to: nextStatus,
+                actor: historyEntry.actor,
+                reason: historyEntry.reason,
+            });
+        }
+        return updated;
+    };
+
+    // Hold seats on a departure. The conditional upsert against the unique (packageId, date)
+    // index makes this atomic: when the departure is full the filter misses, the insert collides
+    // and the reservation is refused. Returns true when the seats were taken.
+    const reserveSeats = async (packageDetails, day, seats) => {
+        const capacity = packageDetails.capacityPerDeparture;
+        if (!capacity) {
+            return true;
+        }
+        if (seats > capacity) {
+            return false;
+        }
+        try {
+            await departuresCollection.updateOne(
+                { packageId: String(packageDetails._id), date: day, booked: { $lte: capacity - seats } },
+                { $inc: { booked: seats }, $set: { capacity, updatedAt: clock.now() } },
+                { upsert: true }
+            );
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    const releaseSeats = (booking) => departuresCollection.updateOne(
+        { packageId: String(booking.packageId), date: toUtcDay(booking.startDate), booked: { $gte: booking.participantCount } },
+        { $inc: { booked: -booking.participantCount }, $set: { updatedAt: clock.now() } }
+    );
+
+    return { transitionBooking, reserveSeats, releaseSeats };
+};
+
+module.exports = {
+    createBookingService,
+};
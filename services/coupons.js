@@ -0,0 +1,95 @@
+// Discount coupons applied at payment time.
+const { toMinorUnits } = require('../lib/money');
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Discount in minor units for a coupon applied to an amount in minor units
+const calculateDiscount = (coupon, amount, currency) => {
+    const discount = coupon.type === 'percentage'
+        ? Math.round(amount * coupon.value / 100)
+        : toMinorUnits(coupon.value, currency);
+    return Math.min(discount, amount);
+};
+
+// Give back the coupon use a booking holds. Clearing the booking's reservedCouponCode is conditional,
+// so concurrent releases (a cancel racing a failed payment) only give it back once.
+const releaseReservedCoupon = async ({ bookingsCollection, couponsCollection }, booking) => {
+    const code = booking.reservedCouponCode;
+    if (!code) {
+        return false;
+    }
+    const released = await bookingsCollection.findOneAndUpdate(
+        { _id: booking._id, reservedCouponCode: code },
+        { $set: { reservedCouponCode: null } }
+    );
+    if (!released) {
+        return false;
+    }
+    await couponsCollection.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return true;
+};
+
+// A booking holding a coupon use has reservedCouponCode set; usedCount counts those uses, taken when
+// checkout starts and given back when the payment fails or the booking is cancelled or rejected.
+const createCouponService = ({ bookingsCollection, couponsCollection, clock }) => {
+    // Look up a coupon and check it can be applied to the booking; returns { coupon } or { error }
+    const findApplicableCoupon = async (code, booking, currency) => {
+        const coupon = await couponsCollection.findOne({ code: normalizeCouponCode(code) });
+        if (!coupon || coupon.active === false) {
+            return { error: 'Invalid coupon code' };
+        }
+        if (coupon.expiresAt && new Date(coupon.expiresAt) <= clock.now()) {
+            return { error: 'Coupon has expired' };
+        }
+        // The booking's own reservation already counts towards the limit
+        if (coupon.maxUses != null && booking.reservedCouponCode !== coupon.code && (coupon.usedCount || 0) >= coupon.maxUses) {
+            return { error: 'Coupon usage limit reached' };
+        }
+        if (Array.isArray(coupon.packageIds) && coupon.packageIds.length > 0 && !coupon.packageIds.includes(String(booking.packageId))) {
+            return { error: 'Coupon does not apply to this package' };
+        }
+        // Fixed amounts only mean something in their own currency; older coupons without one never apply
+        if (coupon.type === 'fixed' && coupon.currency !== currency) {
+            return { error: 'Coupon does not apply to this currency' };
+        }
+        return { coupon };
+    };
+
+    // Take one use of the coupon for the booking, giving back one it holds for another coupon.
+    // The increment is conditional on the limit, so concurrent checkouts cannot go past maxUses.
+    // Returns false when the coupon has run out or the booking holds another coupon.
+    const reserveCoupon = async (booking, coupon) => {
+        if (booking.reservedCouponCode === coupon.code) {
+            return true;
+        }
+        await releaseCoupon(booking);
+        const limit = coupon.maxUses != null ? { usedCount: { $lt: coupon.maxUses } } : {};
+        const taken = await couponsCollection.updateOne({ _id: coupon._id, ...limit }, { $inc: { usedCount: 1 } });
+        if (taken.modifiedCount === 0) {
+            return false;
+        }
+        const claimed = await bookingsCollection.updateOne(
+            { _id: booking._id, reservedCouponCode: null },
+            { $set: { reservedCouponCode: coupon.code } }
+        );
+        if (claimed.modifiedCount === 0) {
+            // A concurrent checkout for this booking reserved first; give this use back, and go ahead
+            // only if what it reserved is this coupon
+            await couponsCollection.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+            const current = await bookingsCollection.findOne({ _id: booking._id }, { projection: { reservedCouponCode: 1 } });
+            return current?.reservedCouponCode === coupon.code;
+        }
+        return true;
+    };
+
+    const releaseCoupon = (booking) => releaseReservedCoupon({ bookingsCollection, couponsCollection }, booking);
+
+    return { findApplicableCoupon, reserveCoupon, releaseCoupon };
+};
+
+module.exports = {
+    normalizeCouponCode,
+    calculateDiscount,
+    releaseReservedCoupon,
+    createCouponService,
+};
@@ -0,0 +1,53 @@
+// Saving uploaded files to the configured file storage.
+const { imageUrl, saveDocument, saveImage } = require('../storage');
+
+// Images are stored under content hashes, so another document may hold the same file;
+// delete the files of those images nothing references any more (filter matches a referencing document)
+const deleteUnreferencedImages = async (imageStorage, images, collection, filterForKey) => {
+    for (const image of images) {
+        if (image?.key && await collection.countDocuments(filterForKey(image.key)) === 0) {
+            await imageStorage.delete(image.key);
+            if (image.thumbnailKey) {
+                await imageStorage.delete(image.thumbnailKey);
+            }
+        }
+    }
+};
+
+const createFileService = ({ clock, imageStorage }) => {
+    // Store uploaded images and return the references saved on the document
+    const storeUploadedImages = async (files, prefix) => {
+        const images = [];
+        for (const file of files || []) {
+            const saved = await saveImage(imageStorage, file.buffer, { prefix });
+            images.push({
+                ...saved,
+                url: imageUrl(saved.key),
+                thumbnailUrl: imageUrl(saved.thumbnailKey),
+            });
+        }
+        return images;
+    };
+
+    const storeUploadedDocuments = async (files) => {
+        const documents = [];
+        for (const file of files || []) {
+            documents.push({
+                ...await saveDocument(imageStorage, file.buffer, { prefix: 'guide-documents', originalName: file.originalname }),
+                uploadedAt: clock.now(),
+            });
+        }
+        return documents;
+    };
+
+    return {
+        storeUploadedImages,
+        storeUploadedDocuments,
+        deleteUnreferencedImages: (...args) => deleteUnreferencedImages(imageStorage, ...args),
+    };
+};
+
+module.exports = {
+    deleteUnreferencedImages,
+    createFileService,
+};
@@ -0,0 +1,87 @@
+// Tour guides and the calendar they can be booked on.
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { toUtcDay, addDays, formatDay } = require('../lib/dates');
+
+// Whether the guide's published calendar allows them to work on the given day
+const isDayInGuideCalendar = (guide, day) => {
+    const availability = guide.availability || {};
+    if (Array.isArray(availability.weekdays) && !availability.weekdays.includes(day.getUTCDay())) {
+        return false;
+    }
+    if (availability.availableFrom && day < toUtcDay(availability.availableFrom)) {
+        return false;
+    }
+    if (availability.availableUntil && day > toUtcDay(availability.availableUntil)) {
+        return false;
+    }
+    return !(guide.blockedDates || []).some(block => day >= toUtcDay(block.start) && day <= toUtcDay(block.end));
+};
+
+// Bookings assigned to a guide, by guide ID or the legacy guide field (email, name or ID)
+const guideBookingsQuery = (guide) => ({
+    $or: [
+        { guideId: String(guide._id) },
+        { guideId: { $exists: false }, guide: { $in: [guide.email, guide.name, String(guide._id)] } },
+    ],
+});
+
+const createGuideService = ({ userCollection, bookingsCollection }) => {
+    // Find a tour guide by user ID, email or name (bookings have historically used all three)
+    const findGuide = async (identifier) => {
+        if (!identifier) {
+            return null;
+        }
+        const alternatives = [{ email: identifier }, { name: identifier }];
+        if (ObjectId.isValid(identifier)) {
+            alternatives.unshift({ _id: new ObjectId(identifier) });
+        }
+        return userCollection.findOne({ role: 'tourguide', $or: alternatives });
+    };
+
+    // Bookings that hold the guide's time over [from, to]: accepted or paid. Legacy bookings may keep their
+    // dates as strings, which a date range cannot match, so those are fetched and compared here; the
+    // bookings returned always have startDate and endDate as UTC days.
+    const findGuideCommitments = async (guide, from, to, excludeBookingId) => {
+        const query = {
+            $and: [
+                guideBookingsQuery(guide),
+                { $or: [{ startDate: { $lt: addDays(to, 1) } }, { startDate: { $type: 'string' } }] },
+            ],
+            status: { $in: [BOOKING_STATUS.ACCEPTED, BOOKING_STATUS.PAID] },
+        };
+        if (excludeBookingId) {
+            query._id = { $ne: excludeBookingId };
+        }
+        const bookings = await bookingsCollection.find(query).toArray();
+        return bookings
+            .map(booking => ({
+                ...booking,
+                startDate: toUtcDay(booking.startDate),
+                endDate: toUtcDay(booking.endDate || booking.startDate),
+            }))
+            .filter(booking => booking.startDate && booking.startDate <= to && booking.endDate >= from);
+    };
+
+    // Check the guide can take a tour over [start, end]; returns an error message or null
+    const checkGuideAvailability = async (guide, start, end, excludeBookingId) => {
+        for (let day = start; day <= end; day = addDays(day, 1)) {
+            if (!isDayInGuideCalendar(guide, day)) {
+                return `Guide is not available on ${formatDay(day)}`;
+            }
+        }
+        const clashes = await findGuideCommitments(guide, start, end, excludeBookingId);
+        if (clashes.length > 0) {
+            return `Guide is already booked from ${formatDay(clashes[0].startDate)}`;
+        }
+        return null;
+    };
+
+    return { findGuide, findGuideCommitments, checkGuideAvailability };
+};
+
+module.exports = {
+    isDayInGuideCalendar,
+    guideBookingsQuery,
+    createGuideService,
+};
@@ -0,0 +1,28 @@
+// Booking message threads.
+
+const createMessageService = ({ messagesCollection }) => {
+    // Add each booking's count of messages the given user hasn't read
+    const attachUnreadCounts = async (bookings, email) => {
+        if (bookings.length === 0) {
+            return bookings;
+        }
+        const counts = await messagesCollection.aggregate([
+            {
+                $match: {
+                    bookingId: { $in: bookings.map(booking => String(booking._id)) },
+                    senderEmail: { $ne: email },
+                    readBy: { $ne: email },
+                },
+            },
+            { $group: { _id: '$bookingId', unread: { $sum: 1 } } },
+        ]).toArray();
+        const unreadByBooking = new Map(counts.map(count => [count._id, count.unread]));
+        return bookings.map(booking => ({ ...booking, unreadMessages: unreadByBooking.get(String(booking._id)) || 0 }));
+    };
+
+    return { attachUnreadCounts };
+};
+
+module.exports = {
+    createMessageService,
+};
@@ -0,0 +1,151 @@
+// Sign-in sessions: access tokens plus rotating refresh tokens. A refresh token is a random
+// string sent to the browser in an httpOnly cookie; only its SHA-256 hash is stored, together with the
+// device it was issued to. Every refresh replaces the token with a new one in the same family, so a
+// token that is presented again after being rotated means it was copied, and the whole family is revoked.
+// Access tokens are not tracked: revoking a session stops it being refreshed, and role checks read the
+// stored user anyway (see middleware/auth.js).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { DAY_MS } = require('../lib/dates');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// The cookie is only sent to the /auth routes; set REFRESH_COOKIE_SAMESITE=none when the client app is on another site
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.REFRESH_COOKIE_SECURE !== 'false',
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+    path: '/auth',
+});
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Device details kept with each refresh token so users can tell their sessions apart
+const deviceFromRequest = (req) => ({
+    userAgent: String(req.get('user-agent') || '').slice(0, 300) || null,
+    ip: req.ip || null,
+});
+
+const createSessionService = ({ userCollection, refreshTokensCollection, clock, logger }) => {
+    const signAccessToken = ({ email, uid, role }) => jwt.sign(
+        { email, uid, role: role || null },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    // Store a refresh token; createdAt is when the session (token family) started
+    const insertRefreshToken = async (token, { email, uid, familyId, device, createdAt }) => {
+        const now = clock.now();
+        await refreshTokensCollection.insertOne({
+            tokenHash: hashToken(token),
+            familyId,
+            email,
+            uid: uid || null,
+            device,
+            createdAt: createdAt || now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+            revokedAt: null,
+            revokedReason: null,
+            replacedBy: null,
+        });
+        return token;
+    };
+
+    // Start a new session (token family) for a user who just signed in; resolves to the refresh token
+    const startSession = ({ email, uid }, req) => insertRefreshToken(generateToken(), {
+        email,
+        uid,
+        familyId: crypto.randomUUID(),
+        device: deviceFromRequest(req),
+    });
+
+    const revokeFamily = (familyId, reason) => refreshTokensCollection.updateMany(
+        { familyId, revokedAt: null },
+        { $set: { revokedAt: clock.now(), revokedReason: reason } }
+    );
+
+    // Exchange a refresh token for a new one and a fresh access token.
+    // Returns { refreshToken, accessToken } or { error } with 'invalid' or 'reused'.
+    const refreshSession = async (token, req) => {
+        if (!token) {
+            return { error: 'invalid' };
+        }
+        const tokenHash = hashToken(token);
+        const stored = await refreshTokensCollection.findOne({ tokenHash });
+        if (!stored) {
+            return { error: 'invalid' };
+        }
+        if (stored.revokedAt) {
+            if (stored.revokedReason !== 'rotated') {
+                return { error: 'invalid' };
+            }
+            await revokeFamily(stored.familyId, 'reused');
+            logger.warn('Refresh token reused; session revoked', { email: stored.email, familyId: stored.familyId });
+            return { error: 'reused' };
+        }
+        if (stored.expiresAt <= clock.now()) {
+            return { error: 'invalid' };
+        }
+        const user = await userCollection.findOne({ email: stored.email });
+        if (!user) {
+            await revokeFamily(stored.familyId, 'user_missing');
+            return { error: 'invalid' };
+        }
+
+        const refreshToken = generateToken();
+        const rotated = await refreshTokensCollection.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: clock.now(), revokedReason: 'rotated', replacedBy: hashToken(refreshToken) } }
+        );
+        if (!rotated) {
+            // Another request rotated the same token first
+            await revokeFamily(stored.familyId, 'reused');
+            return { error: 'reused' };
+        }
+        await insertRefreshToken(refreshToken, {
+            email: stored.email,
+            uid: stored.uid,
+            familyId: stored.familyId,
+            device: deviceFromRequest(req),
+            createdAt: stored.createdAt,
+        });
+        return {
+            refreshToken,
+            accessToken: signAccessToken({ email: user.email, uid: stored.uid, role: user.role }),
+        };
+    };
+
+    // Log out the session a refresh token belongs to
+    const endSession = async (token) => {
+        if (!token) {
+            return;
+        }
+        const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(token) });
+        if (stored) {
+            await revokeFamily(stored.familyId, 'logout');
+        }
+    };
+
+    // Log a user out on every device, e.g. after a role change; resolves to the number of tokens revoked
+    const revokeUserSessions = async (email, reason) => {
+        const result = await refreshTokensCollection.updateMany(
+            { email, revokedAt: null },
+            { $set: { revokedAt: clock.now(), revokedReason: reason } }
+        );
+        return result.modifiedCount;
+    };
+
+    return { signAccessToken, startSession, refreshSession, endSession, revokeUserSessions };
+};
+
+module.exports = {
+    REFRESH_COOKIE_NAME,
+    REFRESH_TOKEN_TTL_DAYS,
+    refreshCookieOptions,
+    createSessionService,
+};
@@ -0,0 +1,37 @@
+// Looking up users as authors and admins.
+
+const createUserService = ({ userCollection }) => {
+    // Current name and photo of each author, keyed by email
+    const findAuthorsByEmail = async (emails) => {
+        const authors = await userCollection
+            .find({ email: { $in: [...new Set(emails)] } }, { projection: { email: 1, name: 1, photoURL: 1 } })
+            .toArray();
+        return new Map(authors.map(author => [author.email, author]));
+    };
+
+    const isAdminEmail = async (email) => {
+        if (!email) {
+            return false;
+        }
+        const user = await userCollection.findOne({ email }, { projection: { role: 1 } });
+        return user?.role === 'admin';
+    };
+
+    // Show each post's author with their current name and photo; emailField names the author's email
+    const withAuthorDetails = async (docs, emailField = 'email') => {
+        const authorsByEmail = await findAuthorsByEmail(docs.map(doc => doc[emailField]).filter(Boolean));
+        return docs.map(doc => {
+            const author = authorsByEmail.get(doc[emailField]);
+            if (!author) {
+                return doc;
+            }
+            return { ...doc, authorName: author.name, authorPhotoURL: author.photoURL };
+        });
+    };
+
+    return { findAuthorsByEmail, isAdminEmail, withAuthorDetails };
+};
+
+module.exports = {
+    createUserService,
+};
@@ -0,0 +1,207 @@
+// File storage for uploads (package images, private documents): a local-disk backend and an S3-compatible backend
+// (AWS S3, MinIO, R2, ...). Pick one with IMAGE_STORAGE=local|s3.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const ALLOWED_IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+};
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+const ALLOWED_DOCUMENT_TYPES = {
+    'application/pdf': 'pdf',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+};
+const MAX_DOCUMENT_BYTES = Number(process.env.MAX_DOCUMENT_BYTES) || 10 * 1024 * 1024;
+const THUMBNAIL_WIDTH = 400;
+
+// Keys are used as paths on disk and in URLs, so only allow a safe subset
+const isValidKey = (key) => typeof key === 'string'
+    && /^[a-zA-Z0-9][a-zA-Z0-9/_.-]*$/.test(key)
+    && !key.split('/').includes('..');
+
+// Public URL of a stored image, served by routes/images.js
+const imageUrl = (key) => `${process.env.PUBLIC_URL || ''}/images/${key}`;
+
+const createLocalStorage = ({ root }) => {
+    const resolve = (key) => path.join(root, key);
+    return {
+        async put(key, body, contentType) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+            await fs.writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+        },
+        async get(key) {
+            try {
+                const filePath = resolve(key);
+                const [body, meta] = await Promise.all([
+                    fs.readFile(filePath),
+                    fs.readFile(`${filePath}.meta.json`, 'utf8').then(JSON.parse).catch(() => ({})),
+                ]);
+                return { body, contentType: meta.contentType || 'application/octet-stream' };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async delete(key) {
+            const filePath = resolve(key);
+            await fs.rm(filePath, { force: true });
+            await fs.rm(`${filePath}.meta.json`, { force: true });
+        },
+    };
+};
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+    const s3 = new S3Client({
+        region: region || 'us-east-1',
+        endpoint,
+        // Local stand-ins such as MinIO only support path-style bucket addressing
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    return {
+        async put(key, body, contentType) {
+            await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+        async get(key) {
+            try {
+                const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                const body = Buffer.from(await result.Body.transformToByteArray());
+                return { body, contentType: result.ContentType || 'application/octet-stream' };
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async delete(key) {
+            await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+};
+
+const createStorageFromEnv = (env = process.env) => {
+    if (env.IMAGE_STORAGE === 's3') {
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        });
+    }
+    return createLocalStorage({ root: path.resolve(env.UPLOAD_DIR || 'uploads') });
+};
+
+class FileValidationError extends Error {}
+class ImageValidationError extends FileValidationError {}
+
+// Check an uploaded image and store it with a thumbnail. Keys are content hashes,
+// so the same image is stored once and its URL can be cached forever.
+const saveImage = async (storage, buffer, { prefix = 'images' } = {}) => {
+    if (!buffer || buffer.length === 0) {
+        throw new ImageValidationError('Image is empty');
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw new ImageValidationError(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+
+    // Trust the decoded file, not the client-supplied mimetype
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new ImageValidationError('File is not a valid image');
+    }
+    const contentType = `image/${metadata.format === 'jpg' ? 'jpeg' : metadata.format}`;
+    const extension = ALLOWED_IMAGE_TYPES[contentType];
+    if (!extension) {
+        throw new ImageValidationError(`Unsupported image type: ${metadata.format}`);
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const key = `${prefix}/${hash}.${extension}`;
+    const thumbnailKey = `${prefix}/${hash}-thumb.webp`;
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    await storage.put(key, buffer, contentType);
+    await storage.put(thumbnailKey, thumbnail, 'image/webp');
+
+    return {
+        key,
+        thumbnailKey,
+        contentType,
+        size: buffer.length,
+        width: metadata.width,
+        height: metadata.height,
+    };
+};
+
+// Sniff the real type of an uploaded document from its first bytes
+const detectDocumentType = async (buffer) => {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'application/pdf';
+    }
+    try {
+        const { format } = await sharp(buffer).metadata();
+        return `image/${format === 'jpg' ? 'jpeg' : format}`;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Check and store a private document (e.g. a certificate scan). Keys are random so they
+// cannot be guessed; documents are only served through routes that check access.
+const saveDocument = async (storage, buffer, { prefix = 'documents', originalName } = {}) => {
+    if (!buffer || buffer.length === 0) {
+        throw new FileValidationError('Document is empty');
+    }
+    if (buffer.length > MAX_DOCUMENT_BYTES) {
+        throw new FileValidationError(`Document is larger than ${MAX_DOCUMENT_BYTES} bytes`);
+    }
+    const contentType = await detectDocumentType(buffer);
+    const extension = ALLOWED_DOCUMENT_TYPES[contentType];
+    if (!extension) {
+        throw new FileValidationError('Documents must be PDF, JPEG or PNG files');
+    }
+
+    const key = `${prefix}/${crypto.randomUUID()}.${extension}`;
+    await storage.put(key, buffer, contentType);
+    return {
+        key,
+        name: originalName ? path.basename(originalName) : path.basename(key),
+        contentType,
+        size: buffer.length,
+    };
+};
+
+module.exports = {
+    ALLOWED_IMAGE_TYPES,
+    MAX_IMAGE_BYTES,
+    ALLOWED_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    FileValidationError,
+    ImageValidationError,
+    isValidKey,
+    imageUrl,
+    createLocalStorage,
+    createS3Storage,
+    createStorageFromEnv,
+    saveImage,
+    saveDocument,
+};
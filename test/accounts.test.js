@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage, tokenFor } = require('./support/helpers');
+
+const createPng = (background) => sharp({
+    create: { width: 200, height: 200, channels: 3, background },
+}).png().toBuffer();
+
+test('profile photos', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, baseUrl, imageStorage, request } = ctx;
+    await seedUsers(ctx);
+    const users = db.collection('users');
+
+    const uploadAvatar = async (email, png) => {
+        const form = new FormData();
+        form.append('avatar', new Blob([png], { type: 'image/png' }), 'me.png');
+        const response = await fetch(`${baseUrl}/api/profile`, {
+            method: 'PATCH',
+            headers: { authorization: `Bearer ${tokenFor(email)}` },
+            body: form,
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const stored = async (image) => Boolean(await imageStorage.get(image.key)) && Boolean(await imageStorage.get(image.thumbnailKey));
+
+    await t.test('a new photo replaces the old file', async () => {
+        const first = await uploadAvatar('tourist@example.com', await createPng('#0a0'));
+        assert.equal(first.status, 200);
+        const { avatar } = first.body.user;
+        assert.equal(first.body.user.photoURL, avatar.url);
+        assert.equal(await stored(avatar), true);
+
+        const second = await uploadAvatar('tourist@example.com', await createPng('#00a'));
+        assert.equal(second.status, 200);
+        assert.equal(await stored(second.body.user.avatar), true);
+        assert.equal(await stored(avatar), false);
+    });
+
+    await t.test('removing the photo deletes its file unless someone else has the same one', async () => {
+        const png = await createPng('#a00');
+        const { body: { user: { avatar } } } = await uploadAvatar('tourist@example.com', png);
+        await uploadAvatar('guide@example.com', png);
+
+        const removed = await request('PATCH', '/api/profile', { as: 'tourist@example.com', body: { removePhoto: true } });
+        assert.equal(removed.status, 200);
+        assert.equal(removed.body.user.photoURL, null);
+        assert.equal((await users.findOne({ email: 'tourist@example.com' })).avatar, null);
+        assert.equal(await stored(avatar), true, 'the guide still uses it');
+
+        await request('PATCH', '/api/profile', { as: 'guide@example.com', body: { removePhoto: true } });
+        assert.equal(await stored(avatar), false);
+    });
+
+    await t.test('an upload for a user who is gone is not kept', async () => {
+        const png = await createPng('#aa0');
+        const missing = await uploadAvatar('nobody@example.com', png);
+        assert.equal(missing.status, 404);
+        // Images are stored under the hash of their content
+        const hash = crypto.createHash('sha256').update(png).digest('hex');
+        assert.equal(await imageStorage.get(`avatars/${hash}.png`), null);
+        assert.equal((await request('PATCH', '/api/profile', { as: 'admin@example.com', body: {} })).status, 400);
+    });
+});
+
+test('account data', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, request } = ctx;
+    const { guide } = await seedUsers(ctx);
+    const pkg = await createPackage(ctx);
+    const users = db.collection('users');
+    const bookings = db.collection('bookings');
+
+    await request('POST', '/jwt', { body: { idToken: 'tourist@example.com' } });
+    const { body: post } = await request('POST', '/api/community', { as: 'tourist@example.com', body: { title: 'Visa on arrival', body: 'Is it possible?' } });
+    await request('POST', '/api/wishlist', { as: 'tourist@example.com', body: { packageId: pkg._id } });
+    const booking = (status, startDate, fields = {}) => ({
+        packageId: String(pkg._id),
+        packageName: pkg.packageName,
+        guideId: String(guide._id),
+        guideEmail: guide.email,
+        email: 'tourist@example.com',
+        touristName: 'Tess Tourist',
+        participants: [{ name: 'Tess Tourist' }, { name: 'Tom Tourist' }],
+        status,
+        startDate: new Date(startDate),
+        endDate: new Date(startDate),
+        createdAt: new Date('2026-01-01T10:00:00Z'),
+        ...fields,
+    });
+    const { insertedIds } = await bookings.insertMany([
+        booking(BOOKING_STATUS.COMPLETED, '2026-02-01'),
+        booking(BOOKING_STATUS.CANCELLED, '2026-02-10'),
+        booking(BOOKING_STATUS.ACCEPTED, '2026-04-10'),
+    ]);
+    const [paidId, cancelledId, upcomingId] = Object.values(insertedIds);
+    await db.collection('payments').insertOne({
+        email: 'tourist@example.com',
+        bookingId: String(paidId),
+        amount: 120,
+        currency: 'usd',
+        date: new Date('2026-01-20T10:00:00Z'),
+    });
+
+    await t.test('the export is a dated JSON download of everything about the user', async () => {
+        const { status, headers, body } = await request('GET', '/api/profile/export', { as: 'tourist@example.com' });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /attachment; filename="epicescape-data-2026-03-01\.json"/);
+        assert.equal(body.profile.email, 'tourist@example.com');
+        assert.deepEqual(body.communityPosts.map(item => item.title), ['Visa on arrival']);
+        assert.equal(body.wishlist.length, 1);
+        assert.equal(body.bookings.length, 3);
+        assert.equal(body.payments[0].amount, 120);
+        assert.equal(body.sessions.length, 1);
+        assert.equal(body.sessions[0].tokenHash, undefined);
+
+        // A guide's export lists the tours they led without the tourists' details
+        const { body: guideData } = await request('GET', '/api/profile/export', { as: 'guide@example.com' });
+        assert.equal(guideData.guidedBookings.length, 3);
+        assert.equal(guideData.guidedBookings[0].touristName, undefined);
+        assert.equal(guideData.guidedBookings[0].email, undefined);
+        assert.equal((await request('GET', '/api/profile/export')).status, 401);
+    });
+
+    await t.test('deleting needs the account email repeated and no upcoming bookings', async () => {
+        const wrong = await request('DELETE', '/api/profile', { as: 'tourist@example.com', body: { confirmEmail: 'guide@example.com' } });
+        assert.equal(wrong.status, 400);
+        assert.equal((await request('DELETE', '/api/profile', { as: 'tourist@example.com', body: {} })).status, 400);
+
+        const blocked = await request('DELETE', '/api/profile', { as: 'tourist@example.com', body: { confirmEmail: 'tourist@example.com' } });
+        assert.equal(blocked.status, 409);
+        assert.equal(blocked.body.code, 'ACTIVE_BOOKINGS');
+        assert.equal((await request('DELETE', '/api/profile', { as: 'guide@example.com', body: { confirmEmail: 'guide@example.com' } })).status, 409);
+    });
+
+    await t.test('deleting removes the user, keeps paid bookings without names and anonymises shared content', async () => {
+        await bookings.updateOne({ _id: upcomingId }, { $set: { status: BOOKING_STATUS.CANCELLED } });
+        const user = await users.findOne({ email: 'tourist@example.com' });
+        const { status, body } = await request('DELETE', '/api/profile', { as: 'tourist@example.com', body: { confirmEmail: 'tourist@example.com' } });
+        assert.equal(status, 200);
+        assert.deepEqual(body, { success: true, message: 'Account deleted', keptPayments: 1, keptBookings: 1 });
+
+        assert.equal(await users.findOne({ email: 'tourist@example.com' }), null);
+        const paid = await bookings.findOne({ _id: paidId });
+        assert.equal(paid.touristName, 'Deleted user');
+        assert.deepEqual(paid.participants.map(participant => participant.name), ['Participant 1', 'Participant 2']);
+        assert.equal(await bookings.findOne({ _id: cancelledId }), null);
+        assert.equal(await db.collection('payments').countDocuments({ bookingId: String(paidId) }), 1);
+
+        const { body: kept } = await request('GET', `/api/community/${post._id}`);
+        assert.notEqual(kept.email, 'tourist@example.com');
+        assert.equal(kept.email, `deleted-${user._id}@deleted.invalid`);
+        assert.equal(await db.collection('wishlist').countDocuments({ email: 'tourist@example.com' }), 0);
+        assert.equal(await db.collection('refreshTokens').countDocuments({ email: 'tourist@example.com' }), 0);
+        assert.equal((await request('GET', '/api/profile/export', { as: 'tourist@example.com' })).status, 404);
+    });
+});
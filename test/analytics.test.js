@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage, tokenFor } = require('./support/helpers');
+
+const parseCsvLine = (line) => [...line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g)]
+    .map(([, value]) => (value.startsWith('"') ? value.slice(1, -1).replace(/""/g, '"') : value));
+
+test('admin analytics', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, request } = ctx;
+    const { guide } = await seedUsers(ctx);
+    const safari = await createPackage(ctx, { packageName: 'Sundarbans Safari', type: 'wildlife' });
+    const beach = await createPackage(ctx, { packageName: '=Cox "Beach", Walk', type: 'beach' });
+
+    const booking = (pkg, status, createdAt, fields = {}) => ({
+        _id: new ObjectId(),
+        packageId: String(pkg._id),
+        packageName: pkg.packageName,
+        guideId: String(guide._id),
+        guideEmail: guide.email,
+        email: 'tourist@example.com',
+        status,
+        createdAt: new Date(createdAt),
+        ...fields,
+    });
+    await db.collection('bookings').insertMany([
+        booking(safari, BOOKING_STATUS.PAID, '2026-01-05T10:00:00Z'),
+        booking(safari, BOOKING_STATUS.COMPLETED, '2026-01-06T10:00:00Z'),
+        booking(safari, BOOKING_STATUS.CANCELLED, '2026-01-07T10:00:00Z', { refund: { amount: 60 } }),
+        booking(safari, BOOKING_STATUS.REJECTED, '2026-01-08T10:00:00Z'),
+        booking(beach, BOOKING_STATUS.IN_REVIEW, '2026-02-01T10:00:00Z'),
+        booking(beach, BOOKING_STATUS.CANCELLED, '2026-02-02T10:00:00Z'),
+    ]);
+    await db.collection('payments').insertMany([
+        { type: 'payment', amount: 120, currency: 'usd', date: new Date('2026-01-05T10:00:00Z') },
+        { type: 'payment', amount: 120, currency: 'usd', date: new Date('2026-01-06T11:00:00Z') },
+        { type: 'refund', amount: 60, currency: 'usd', date: new Date('2026-01-07T10:00:00Z') },
+        // Older payments stored the price as a string and no currency
+        { price: '80', date: '2026-02-03T10:00:00Z' },
+    ]);
+    await db.collection('wishlist').insertMany([
+        { email: 'a@example.com', packageId: String(beach._id), createdAt: new Date('2026-01-01') },
+        { email: 'b@example.com', packageId: String(beach._id), createdAt: new Date('2026-01-02') },
+        { email: 'c@example.com', packageId: String(safari._id), createdAt: new Date('2026-01-03') },
+    ]);
+
+    const report = (name, query = '') => request('GET', `/api/admin/analytics/${name}${query}`, { as: 'admin@example.com' });
+
+    await t.test('revenue is summed per period net of refunds', async () => {
+        const { status, body } = await report('revenue', '?interval=month');
+        assert.equal(status, 200);
+        assert.deepEqual(body.rows, [
+            { period: '2026-01-01T00:00:00.000Z', currency: 'usd', payments: 2, gross: 240, refunds: 60, net: 180 },
+            { period: '2026-02-01T00:00:00.000Z', currency: 'usd', payments: 1, gross: 80, refunds: 0, net: 80 },
+        ]);
+    });
+
+    await t.test('date ranges include the whole last day', async () => {
+        const { body } = await report('revenue', '?from=2026-01-06&to=2026-01-06');
+        assert.deepEqual(body.rows.map(row => [row.period, row.gross]), [['2026-01-06T00:00:00.000Z', 120]]);
+    });
+
+    await t.test('bookings per package and type show how many were paid for', async () => {
+        const byPackage = (await report('bookings-by-package')).body.rows;
+        assert.deepEqual(byPackage[0], {
+            packageId: String(safari._id),
+            packageName: 'Sundarbans Safari',
+            type: 'wildlife',
+            bookings: 4,
+            paid: 2,
+            cancelled: 1,
+            rejected: 1,
+            conversionRate: 0.5,
+        });
+        const byType = (await report('bookings-by-type')).body.rows;
+        assert.deepEqual(byType.map(row => [row.type, row.bookings, row.paid]), [['wildlife', 4, 2], ['beach', 2, 0]]);
+    });
+
+    await t.test('guides, cancellations, signups and wishlists', async () => {
+        const [guideRow] = (await report('guides')).body.rows;
+        assert.equal(guideRow.requests, 6);
+        assert.equal(guideRow.pending, 1);
+        assert.equal(guideRow.acceptanceRate, 0.6667);
+
+        const cancellations = (await report('cancellations')).body.rows;
+        const safariRow = cancellations.find(row => row.packageId === String(safari._id));
+        assert.equal(safariRow.cancelledAfterPayment, 1);
+        assert.equal(safariRow.refunded, 60);
+        assert.equal(cancellations[0].packageId, String(beach._id));
+
+        const signups = (await report('signups')).body.rows;
+        assert.deepEqual(signups.map(row => row.role).sort(), ['admin', 'tourguide', 'tourist']);
+
+        const top = (await report('top-wishlisted', '?limit=1')).body.rows;
+        assert.deepEqual(top, [{ packageId: String(beach._id), packageName: beach.packageName, type: 'beach', price: 120, wishlists: 2 }]);
+    });
+
+    await t.test('reports export to CSV safe to open in a spreadsheet', async () => {
+        const response = await fetch(`${ctx.baseUrl}/api/admin/analytics/bookings-by-package?format=csv`, {
+            headers: { authorization: `Bearer ${tokenFor('admin@example.com')}` },
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        assert.equal(response.headers.get('content-disposition'), 'attachment; filename="bookings-by-package.csv"');
+        const [header, , beachLine] = (await response.text()).trimEnd().split('\r\n');
+        const columns = header.split(',');
+        assert.deepEqual([...columns].sort(), ['bookings', 'cancelled', 'conversionRate', 'packageId', 'packageName', 'paid', 'rejected', 'type']);
+        const values = parseCsvLine(beachLine);
+        assert.deepEqual(Object.fromEntries(columns.map((column, i) => [column, values[i]])), {
+            packageId: String(beach._id),
+            // Quoted for the comma and quotes, and prefixed so it is not run as a formula
+            packageName: '\'=Cox "Beach", Walk',
+            type: 'beach',
+            bookings: '2',
+            paid: '0',
+            cancelled: '1',
+            rejected: '0',
+            conversionRate: '0',
+        });
+    });
+
+    await t.test('unknown reports and bad options are refused', async () => {
+        assert.equal((await report('profit')).status, 404);
+        assert.equal((await report('revenue', '?interval=year')).status, 400);
+        assert.equal((await report('revenue', '?from=yesterday')).status, 400);
+        assert.equal((await report('revenue', '?format=xml')).status, 400);
+        assert.equal((await request('GET', '/api/admin/analytics/revenue', { as: 'guide@example.com' })).status, 403);
+    });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isDayInGuideCalendar } = require('../services/guides');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+test('guide calendar', async (t) => {
+    const day = (value) => new Date(`${value}T00:00:00Z`);
+
+    await t.test('weekdays, the availability window and blocked dates all count', () => {
+        const guide = {
+            availability: { weekdays: [1, 2, 3, 4, 5], availableFrom: '2026-04-01', availableUntil: '2026-06-30' },
+            blockedDates: [{ start: '2026-04-20', end: '2026-04-22' }],
+        };
+        assert.equal(isDayInGuideCalendar(guide, day('2026-04-13')), true);
+        // Saturday
+        assert.equal(isDayInGuideCalendar(guide, day('2026-04-18')), false);
+        assert.equal(isDayInGuideCalendar(guide, day('2026-03-31')), false);
+        assert.equal(isDayInGuideCalendar(guide, day('2026-07-01')), false);
+        assert.equal(isDayInGuideCalendar(guide, day('2026-04-22')), false);
+        assert.equal(isDayInGuideCalendar(guide, day('2026-04-23')), true);
+    });
+
+    await t.test('a guide without a calendar works every day', () => {
+        assert.equal(isDayInGuideCalendar({}, day('2026-04-18')), true);
+    });
+});
+
+test('booking a guide', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, request } = ctx;
+    const { guide } = await seedUsers(ctx);
+    const pkg = await createPackage(ctx, {
+        tourPlan: [
+            { day: 1, title: 'Arrival', description: 'Boat to the forest lodge' },
+            { day: 2, title: 'Creeks', description: 'Canoe through the creeks' },
+        ],
+    });
+
+    const book = (startDate) => request('POST', '/api/bookings', {
+        as: 'tourist@example.com',
+        body: { packageId: pkg._id, startDate, guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+    });
+    const accept = (booking) => request('PATCH', `/api/bookings/${booking._id}/status`, {
+        as: 'guide@example.com',
+        body: { status: BOOKING_STATUS.ACCEPTED },
+    });
+
+    await t.test('bookings cover every day of the tour', async () => {
+        const { status, body } = await book('2026-04-06');
+        assert.equal(status, 201);
+        assert.equal(body.booking.endDate, '2026-04-07T00:00:00.000Z');
+    });
+
+    await t.test('blocked dates cannot be booked and can be unblocked', async () => {
+        const blocked = await request('POST', `/api/guides/${guide._id}/blocked-dates`, {
+            as: 'guide@example.com',
+            body: { start: '2026-04-15', end: '2026-04-16', reason: 'Festival' },
+        });
+        assert.equal(blocked.status, 201);
+        // The tour's second day falls on the block
+        const refused = await book('2026-04-14');
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.message, 'Guide is not available on 2026-04-15');
+
+        const removed = await request('DELETE', `/api/guides/${guide._id}/blocked-dates/${blocked.body.block._id}`, { as: 'guide@example.com' });
+        assert.equal(removed.status, 200);
+        assert.equal((await book('2026-04-14')).status, 201);
+    });
+
+    await t.test('only the guide and admins manage the calendar', async () => {
+        const response = await request('POST', `/api/guides/${guide._id}/blocked-dates`, {
+            as: 'tourist@example.com',
+            body: { start: '2026-04-15' },
+        });
+        assert.equal(response.status, 403);
+    });
+
+    await t.test('an accepted tour holds the guide, and a clashing request cannot be accepted', async () => {
+        const first = (await book('2026-05-04')).body.booking;
+        const second = (await book('2026-05-05')).body.booking;
+        assert.equal((await accept(first)).status, 200);
+
+        const clash = await accept(second);
+        assert.equal(clash.status, 409);
+        assert.equal(clash.body.message, 'Guide is already booked from 2026-05-04');
+        assert.equal((await book('2026-05-03')).status, 409);
+        assert.equal((await book('2026-05-06')).status, 201);
+    });
+
+    await t.test('legacy bookings with string dates still hold the guide', async () => {
+        await db.collection('bookings').insertOne({
+            packageId: String(pkg._id),
+            packageName: pkg.packageName,
+            guide: 'guide@example.com',
+            email: 'tourist@example.com',
+            startDate: '2026-05-20',
+            status: BOOKING_STATUS.ACCEPTED,
+        });
+        const refused = await book('2026-05-19');
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.message, 'Guide is already booked from 2026-05-20');
+        assert.equal((await book('2026-05-21')).status, 201);
+    });
+
+    await t.test('open dates leave out blocked and booked days', async () => {
+        const { status, body } = await request('GET', `/api/guides/${guide._id}/open-dates?month=2026-05&packageId=${pkg._id}`);
+        assert.equal(status, 200);
+        assert.equal(body.tourLength, 2);
+        for (const taken of ['2026-05-03', '2026-05-04', '2026-05-05', '2026-05-19', '2026-05-20']) {
+            assert.equal(body.openDates.includes(taken), false, taken);
+        }
+        assert.ok(body.openDates.includes('2026-05-06'));
+        assert.ok(body.openDates.includes('2026-05-21'));
+    });
+});
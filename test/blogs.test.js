@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers } = require('./support/helpers');
+
+test('blog posts and feeds', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, db, request } = ctx;
+    await seedUsers(ctx);
+
+    const write = async (body, as = 'guide@example.com') => {
+        const response = await request('POST', '/api/blogs', { as, body: { content: `${body.title} in detail`, ...body } });
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+        return response.body;
+    };
+    const titles = (items) => items.map(blog => blog.title);
+
+    const beaches = await write({ title: 'Best Beaches', status: 'published', tags: ['Beach', 'tips'] });
+    clock.set('2026-03-02T10:00:00Z');
+    const rivers = await write({ title: 'River <Life> & "Boats"', status: 'published', excerpt: 'Life on the water' }, 'admin@example.com');
+    const draft = await write({ title: 'Unfinished Thoughts' });
+    const scheduled = await write({ title: 'Monsoon Preview', status: 'published', publishAt: '2026-06-01T00:00:00Z' });
+    // Posts added before the authoring API have no status, slug or publishAt
+    await db.collection('blogs').insertOne({ title: 'From the Archive', content: 'Old news', authorEmail: 'admin@example.com', createdAt: new Date('2025-12-01') });
+
+    await t.test('only guides and admins write posts', async () => {
+        assert.equal((await request('POST', '/api/blogs', { as: 'tourist@example.com', body: { title: 'Mine', content: 'Text' } })).status, 403);
+        const { status, body } = await request('POST', '/api/blogs', { as: 'guide@example.com', body: { title: 'No body' } });
+        assert.equal(status, 400);
+        assert.match(body.message, /content/);
+    });
+
+    await t.test('slugs come from the title and stay unique', async () => {
+        assert.equal(beaches.slug, 'best-beaches');
+        assert.deepEqual(beaches.tags, ['beach', 'tips']);
+        assert.equal((await write({ title: 'Best Beaches!' })).slug, 'best-beaches-2');
+        assert.equal((await request('POST', '/api/blogs', { as: 'guide@example.com', body: { title: 'Again', content: 'x', slug: 'best-beaches' } })).status, 409);
+        assert.equal((await request('POST', '/api/blogs', { as: 'guide@example.com', body: { title: 'Bad', content: 'x', slug: 'Not A Slug' } })).status, 400);
+        assert.equal((await request('GET', '/api/blogs/best-beaches')).body.title, 'Best Beaches');
+    });
+
+    await t.test('without page parameters the listing is a bare array of public posts, newest first', async () => {
+        const { status, body } = await request('GET', '/api/blogs');
+        assert.equal(status, 200);
+        assert.deepEqual(titles(body), ['River <Life> & "Boats"', 'Best Beaches', 'From the Archive']);
+        assert.deepEqual(titles((await request('GET', '/api/blogs?tag=BEACH')).body), ['Best Beaches']);
+        assert.deepEqual(titles((await request('GET', '/api/blogs?q=river')).body), ['River <Life> & "Boats"']);
+    });
+
+    await t.test('asking for a page returns the paged envelope', async () => {
+        const { body } = await request('GET', '/api/blogs?limit=2');
+        assert.deepEqual(titles(body.items), ['River <Life> & "Boats"', 'Best Beaches']);
+        assert.equal(body.total, 3);
+        assert.equal((await request('GET', '/api/blogs?page=0')).status, 400);
+    });
+
+    await t.test('drafts and scheduled posts are only seen by their author and admins', async () => {
+        assert.equal((await request('GET', `/api/blogs/${draft.slug}`)).status, 404);
+        assert.equal((await request('GET', `/api/blogs/${draft.slug}`, { as: 'tourist@example.com' })).status, 404);
+        assert.equal((await request('GET', `/api/blogs/${draft.slug}`, { as: 'guide@example.com' })).status, 200);
+        assert.equal((await request('GET', `/api/blogs/${scheduled.slug}`, { as: 'admin@example.com' })).status, 200);
+        const mine = await request('GET', '/api/blogs?mine=true', { as: 'guide@example.com' });
+        assert.equal(mine.body.length, 4);
+        assert.equal((await request('GET', '/api/blogs?mine=true')).status, 401);
+
+        clock.set('2026-06-01T00:00:00Z');
+        assert.equal((await request('GET', `/api/blogs/${scheduled.slug}`)).status, 200);
+        clock.set('2026-03-02T10:00:00Z');
+    });
+
+    await t.test('publishing a draft without a date publishes it now', async () => {
+        const url = `/api/blogs/${draft._id}`;
+        assert.equal((await request('PATCH', url, { as: 'admin@example.com', body: { status: 'published' } })).status, 200);
+        assert.equal((await request('PATCH', url, { as: 'tourist@example.com', body: { title: 'Mine now' } })).status, 403);
+        const { body } = await request('GET', `/api/blogs/${draft.slug}`);
+        assert.equal(body.publishAt, '2026-03-02T10:00:00.000Z');
+        assert.equal((await request('PATCH', url, { as: 'guide@example.com', body: { slug: 'best-beaches' } })).status, 409);
+        assert.equal((await request('DELETE', url, { as: 'guide@example.com' })).status, 200);
+    });
+
+    await t.test('the RSS feed lists public posts with escaped text', async () => {
+        const response = await request('GET', '/api/blogs/feed.rss');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^application\/rss\+xml/);
+        const xml = response.body;
+        assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+        assert.equal((xml.match(/<item>/g) || []).length, 3);
+        assert.ok(xml.includes('<title>River &lt;Life&gt; &amp; &quot;Boats&quot;</title>'));
+        assert.ok(xml.includes('<description>Life on the water</description>'));
+        assert.ok(xml.includes('<category>beach</category>'));
+        assert.ok(!xml.includes('Monsoon Preview'));
+    });
+
+    await t.test('the Atom feed links each entry to the site', async () => {
+        const response = await request('GET', '/api/blogs/feed.atom');
+        assert.match(response.headers.get('content-type'), /^application\/atom\+xml/);
+        assert.equal(response.headers.get('cache-control'), 'public, max-age=300');
+        const xml = response.body;
+        assert.equal((xml.match(/<entry>/g) || []).length, 3);
+        assert.ok(xml.includes(`<link href="/blogs/${rivers.slug}"/>`));
+        assert.ok(xml.includes('<author><name>Admin</name></author>'));
+        assert.ok(xml.includes('<published>2026-03-02T10:00:00.000Z</published>'));
+    });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS, BOOKING_TRANSITIONS, getBookingActorRoles, checkBookingTransition } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+const guide = { _id: new ObjectId(), email: 'guide@example.com', name: 'Gail Guide', role: 'tourguide' };
+const tourist = { _id: new ObjectId(), email: 'tourist@example.com', name: 'Tess Tourist', role: 'tourist' };
+const admin = { _id: new ObjectId(), email: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+test('booking transitions', async (t) => {
+    await t.test('every status has an entry and finished bookings go nowhere', () => {
+        assert.deepEqual(Object.keys(BOOKING_TRANSITIONS).sort(), Object.values(BOOKING_STATUS).sort());
+        for (const status of [BOOKING_STATUS.REJECTED, BOOKING_STATUS.COMPLETED, BOOKING_STATUS.CANCELLED]) {
+            assert.deepEqual(BOOKING_TRANSITIONS[status], {});
+        }
+    });
+
+    await t.test('the assigned guide accepts and rejects requests', () => {
+        const booking = { status: BOOKING_STATUS.IN_REVIEW, email: tourist.email, guideId: String(guide._id) };
+        assert.deepEqual(checkBookingTransition(booking, BOOKING_STATUS.ACCEPTED, ['guide']), { allowedRole: 'guide' });
+        assert.deepEqual(checkBookingTransition(booking, BOOKING_STATUS.REJECTED, ['guide']), { allowedRole: 'guide' });
+        assert.equal(checkBookingTransition(booking, BOOKING_STATUS.ACCEPTED, ['tourist']).status, 403);
+        assert.equal(checkBookingTransition(booking, BOOKING_STATUS.ACCEPTED, ['admin']).status, 403);
+    });
+
+    await t.test('only the payment webhook marks a booking paid', () => {
+        const booking = { status: BOOKING_STATUS.ACCEPTED };
+        assert.deepEqual(checkBookingTransition(booking, BOOKING_STATUS.PAID, ['payment']), { allowedRole: 'payment' });
+        assert.equal(checkBookingTransition(booking, BOOKING_STATUS.PAID, ['tourist', 'guide', 'admin']).status, 403);
+    });
+
+    await t.test('moves outside the lifecycle are conflicts', () => {
+        const result = checkBookingTransition({ status: BOOKING_STATUS.IN_REVIEW }, BOOKING_STATUS.COMPLETED, ['admin']);
+        assert.equal(result.status, 409);
+        assert.match(result.error, /In Review to Completed/);
+        assert.equal(checkBookingTransition({ status: BOOKING_STATUS.CANCELLED }, BOOKING_STATUS.ACCEPTED, ['guide']).status, 409);
+    });
+
+    await t.test('unknown statuses are bad requests', () => {
+        assert.equal(checkBookingTransition({ status: BOOKING_STATUS.IN_REVIEW }, 'Shipped', ['admin']).status, 400);
+        assert.equal(checkBookingTransition({ status: BOOKING_STATUS.IN_REVIEW }, 'constructor', ['admin']).status, 400);
+    });
+
+    await t.test('roles are worked out relative to the booking', () => {
+        const booking = { email: tourist.email, guideId: String(guide._id) };
+        assert.deepEqual(getBookingActorRoles(booking, tourist), ['tourist']);
+        assert.deepEqual(getBookingActorRoles(booking, guide), ['guide']);
+        assert.deepEqual(getBookingActorRoles(booking, admin), ['admin']);
+        assert.deepEqual(getBookingActorRoles(booking, { ...guide, _id: new ObjectId() }), []);
+        assert.deepEqual(getBookingActorRoles(booking, null), []);
+        // Older bookings stored the guide by email or name
+        assert.deepEqual(getBookingActorRoles({ email: tourist.email, guide: guide.name }, guide), ['guide']);
+        assert.deepEqual(getBookingActorRoles({ email: tourist.email, guide: guide.email }, { ...guide, role: 'tourist' }), []);
+    });
+});
+
+test('booking status endpoints', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+    const pkg = await createPackage(ctx, { capacityPerDeparture: 4 });
+
+    const book = async (startDate) => {
+        const { status, body } = await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate, guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        assert.equal(status, 201);
+        return body.booking;
+    };
+    const setStatus = (booking, as, status) => request('PATCH', `/api/bookings/${booking._id}/status`, { as, body: { status } });
+
+    await t.test('new bookings wait for the guide', async () => {
+        const booking = await book('2026-04-10');
+        assert.equal(booking.status, BOOKING_STATUS.IN_REVIEW);
+        assert.equal(booking.touristName, 'Tess Tourist');
+    });
+
+    await t.test('the guide accepts and the change is recorded in the history', async () => {
+        const booking = await book('2026-04-12');
+        assert.equal((await setStatus(booking, 'tourist@example.com', BOOKING_STATUS.ACCEPTED)).status, 403);
+
+        const accepted = await setStatus(booking, 'guide@example.com', BOOKING_STATUS.ACCEPTED);
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.booking.status, BOOKING_STATUS.ACCEPTED);
+
+        const history = await request('GET', `/api/bookings/${booking._id}/history`, { as: 'tourist@example.com' });
+        assert.equal(history.status, 200);
+        const last = history.body.statusHistory.at(-1);
+        assert.equal(last.from, BOOKING_STATUS.IN_REVIEW);
+        assert.equal(last.to, BOOKING_STATUS.ACCEPTED);
+        assert.deepEqual(last.actor, { email: 'guide@example.com', role: 'guide' });
+    });
+
+    await t.test('nobody can pay a booking by changing its status', async () => {
+        const booking = await book('2026-04-14');
+        await setStatus(booking, 'guide@example.com', BOOKING_STATUS.ACCEPTED);
+        assert.equal((await setStatus(booking, 'admin@example.com', BOOKING_STATUS.PAID)).status, 403);
+    });
+
+    await t.test('cancelled bookings stay cancelled and give their seats back', async () => {
+        const booking = await book('2026-04-16');
+        const before = await request('GET', `/api/packages/${pkg._id}/departures/2026-04-16`);
+        assert.equal(before.body.remaining, 3);
+
+        const cancelled = await request('DELETE', `/api/bookings/${booking._id}`, { as: 'tourist@example.com', body: { reason: 'Plans changed' } });
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.booking.status, BOOKING_STATUS.CANCELLED);
+        assert.equal((await setStatus(booking, 'guide@example.com', BOOKING_STATUS.ACCEPTED)).status, 409);
+
+        const after = await request('GET', `/api/packages/${pkg._id}/departures/2026-04-16`);
+        assert.equal(after.body.remaining, 4);
+    });
+
+    await t.test('unknown statuses and malformed IDs are refused', async () => {
+        const booking = await book('2026-04-18');
+        assert.equal((await setStatus(booking, 'guide@example.com', 'Shipped')).status, 400);
+        assert.equal((await setStatus({ _id: 'not-an-id' }, 'guide@example.com', BOOKING_STATUS.ACCEPTED)).status, 404);
+    });
+});
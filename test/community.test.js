@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers } = require('./support/helpers');
+
+test('community posts', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, request } = ctx;
+    await seedUsers(ctx);
+
+    const post = async (title, tags, as = 'tourist@example.com') => {
+        const response = await request('POST', '/api/community', { as, body: { title, body: `${title}?`, tags } });
+        assert.equal(response.status, 201);
+        return response.body;
+    };
+    const reply = (target, body, as) => request('POST', `/api/community/${target._id}/replies`, { as, body: { body } });
+    const titles = (items) => items.map(item => item.title);
+
+    const visa = await post('Visa on arrival', ['Travel', 'tips']);
+    clock.set('2026-03-02T10:00:00Z');
+    const monsoon = await post('Best month to visit', ['weather'], 'guide@example.com');
+
+    await t.test('posts need a title and body', async () => {
+        assert.equal((await request('POST', '/api/community', { as: 'tourist@example.com', body: { title: 'Only a title' } })).status, 400);
+        assert.equal((await request('POST', '/api/community', { body: { title: 'x', body: 'y' } })).status, 401);
+        assert.deepEqual(visa.tags, ['travel', 'tips']);
+    });
+
+    await t.test('without page parameters the listing is a bare array, newest first', async () => {
+        const { status, body } = await request('GET', '/api/community');
+        assert.equal(status, 200);
+        assert.deepEqual(titles(body), ['Best month to visit', 'Visa on arrival']);
+        assert.equal(body[0].authorName, 'Gail Guide');
+        assert.deepEqual(titles((await request('GET', '/api/community?tag=TIPS')).body), ['Visa on arrival']);
+        assert.deepEqual(titles((await request('GET', '/api/community?author=guide@example.com')).body), ['Best month to visit']);
+    });
+
+    await t.test('asking for a page returns the paged envelope', async () => {
+        const { body } = await request('GET', '/api/community?limit=1');
+        assert.deepEqual(titles(body.items), ['Best month to visit']);
+        assert.equal(body.total, 2);
+        const next = await request('GET', `/api/community?limit=1&cursor=${body.nextCursor}`);
+        assert.deepEqual(titles(next.body.items), ['Visa on arrival']);
+    });
+
+    await t.test('replies bring a post back to the top of the active sort', async () => {
+        clock.set('2026-03-03T10:00:00Z');
+        const answered = await reply(visa, 'Yes, at Dhaka airport', 'guide@example.com');
+        assert.equal(answered.status, 201);
+        assert.equal(answered.body.authorName, 'Gail Guide');
+        assert.equal((await reply(visa, '', 'guide@example.com')).status, 400);
+        assert.equal((await request('POST', '/api/community/000000000000000000000000/replies', { as: 'guide@example.com', body: { body: 'Hi' } })).status, 404);
+
+        assert.deepEqual(titles((await request('GET', '/api/community?sort=active')).body), ['Visa on arrival', 'Best month to visit']);
+        assert.equal((await request('GET', `/api/community/${visa._id}`)).body.replyCount, 1);
+        const replies = await request('GET', `/api/community/${visa._id}/replies`);
+        assert.deepEqual(replies.body.items.map(item => item.body), ['Yes, at Dhaka airport']);
+    });
+
+    await t.test('authors edit their posts and admins can remove them', async () => {
+        const url = `/api/community/${monsoon._id}`;
+        assert.equal((await request('PATCH', url, { as: 'tourist@example.com', body: { title: 'Mine' } })).status, 403);
+        assert.equal((await request('PATCH', url, { as: 'guide@example.com', body: {} })).status, 400);
+        const edited = await request('PATCH', url, { as: 'guide@example.com', body: { title: 'Best month for the hills' } });
+        assert.equal(edited.body.title, 'Best month for the hills');
+        assert.equal((await request('DELETE', url, { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('DELETE', url, { as: 'admin@example.com' })).status, 200);
+        assert.equal((await request('GET', url)).status, 404);
+    });
+
+    await t.test('only the author removes a reply, from its own post', async () => {
+        const { items: [answer] } = (await request('GET', `/api/community/${visa._id}/replies`)).body;
+        const url = `/api/community/${visa._id}/replies/${answer._id}`;
+        assert.equal((await request('DELETE', url, { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('DELETE', `/api/community/${monsoon._id}/replies/${answer._id}`, { as: 'guide@example.com' })).status, 404);
+        assert.equal((await request('DELETE', url, { as: 'guide@example.com' })).status, 200);
+        assert.equal((await request('GET', `/api/community/${visa._id}`)).body.replyCount, 0);
+    });
+});
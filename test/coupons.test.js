@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { createMemoryDatabase } = require('../db/memory');
+const { calculateDiscount, createCouponService } = require('../services/coupons');
+const { createClock, startTestApp, seedUsers } = require('./support/helpers');
+
+test('coupon service', async (t) => {
+    const db = createMemoryDatabase();
+    const bookingsCollection = db.collection('bookings');
+    const couponsCollection = db.collection('coupons');
+    const { findApplicableCoupon, reserveCoupon } = createCouponService({
+        bookingsCollection,
+        couponsCollection,
+        clock: createClock('2026-03-01T10:00:00Z'),
+    });
+    const addCoupon = async (fields) => {
+        const coupon = { _id: new ObjectId(), type: 'percentage', value: 10, usedCount: 0, maxUses: null, active: true, ...fields };
+        await couponsCollection.insertOne(coupon);
+        return coupon;
+    };
+    const addBooking = async (fields = {}) => {
+        const booking = { _id: new ObjectId(), packageId: new ObjectId(), reservedCouponCode: null, ...fields };
+        await bookingsCollection.insertOne(booking);
+        return booking;
+    };
+    const usedCount = async (coupon) => (await couponsCollection.findOne({ _id: coupon._id })).usedCount;
+
+    await t.test('discounts never exceed the amount', () => {
+        assert.equal(calculateDiscount({ type: 'percentage', value: 15 }, 12000, 'usd'), 1800);
+        assert.equal(calculateDiscount({ type: 'fixed', value: 25, currency: 'usd' }, 12000, 'usd'), 2500);
+        assert.equal(calculateDiscount({ type: 'fixed', value: 500, currency: 'usd' }, 12000, 'usd'), 12000);
+    });
+
+    await t.test('coupons are checked before they are applied', async () => {
+        const booking = await addBooking();
+        await addCoupon({ code: 'EXPIRED', expiresAt: new Date('2026-02-01') });
+        await addCoupon({ code: 'OFF', active: false });
+        await addCoupon({ code: 'EUROS', type: 'fixed', value: 5, currency: 'eur' });
+        await addCoupon({ code: 'OTHERTOUR', packageIds: [String(new ObjectId())] });
+        assert.equal((await findApplicableCoupon('nope', booking, 'usd')).error, 'Invalid coupon code');
+        assert.equal((await findApplicableCoupon('off', booking, 'usd')).error, 'Invalid coupon code');
+        assert.equal((await findApplicableCoupon('expired', booking, 'usd')).error, 'Coupon has expired');
+        assert.equal((await findApplicableCoupon('euros', booking, 'usd')).error, 'Coupon does not apply to this currency');
+        assert.equal((await findApplicableCoupon('othertour', booking, 'usd')).error, 'Coupon does not apply to this package');
+        assert.equal((await findApplicableCoupon('euros', booking, 'eur')).coupon.code, 'EUROS');
+    });
+
+    await t.test('a reservation counts once per booking and stops at the limit', async () => {
+        const coupon = await addCoupon({ code: 'ONCE', maxUses: 1 });
+        const booking = await addBooking();
+        assert.equal(await reserveCoupon(booking, coupon), true);
+        assert.equal(await reserveCoupon({ ...booking, reservedCouponCode: 'ONCE' }, coupon), true);
+        assert.equal(await usedCount(coupon), 1);
+        assert.equal(await reserveCoupon(await addBooking(), coupon), false);
+        assert.equal(await usedCount(coupon), 1);
+    });
+
+    await t.test('a checkout that loses the race to another coupon is not discounted', async () => {
+        const coupon = await addCoupon({ code: 'LATE' });
+        const booking = await addBooking();
+        // A concurrent checkout reserved a different coupon after this one read the booking
+        await bookingsCollection.updateOne({ _id: booking._id }, { $set: { reservedCouponCode: 'EARLY' } });
+        assert.equal(await reserveCoupon(booking, coupon), false);
+        assert.equal(await usedCount(coupon), 0);
+    });
+
+    await t.test('a checkout that loses the race to the same coupon goes ahead on that reservation', async () => {
+        const coupon = await addCoupon({ code: 'SAME', usedCount: 1 });
+        const booking = await addBooking();
+        await bookingsCollection.updateOne({ _id: booking._id }, { $set: { reservedCouponCode: 'SAME' } });
+        assert.equal(await reserveCoupon(booking, coupon), true);
+        assert.equal(await usedCount(coupon), 1);
+    });
+});
+
+test('coupon listing', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+    for (const code of ['alpha', 'bravo', 'charlie']) {
+        await request('POST', '/api/coupons', { as: 'admin@example.com', body: { code, type: 'percentage', value: 5 } });
+    }
+
+    await t.test('coupons are listed a page at a time', async () => {
+        const { status, body } = await request('GET', '/api/coupons?limit=2&sort=code', { as: 'admin@example.com' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.items.map(coupon => coupon.code), ['ALPHA', 'BRAVO']);
+        assert.equal(body.total, 3);
+        const next = await request('GET', `/api/coupons?limit=2&sort=code&cursor=${body.nextCursor}`, { as: 'admin@example.com' });
+        assert.deepEqual(next.body.items.map(coupon => coupon.code), ['CHARLIE']);
+    });
+
+    await t.test('only admins see coupons', async () => {
+        assert.equal((await request('GET', '/api/coupons', { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('GET', '/api/coupons?sort=value', { as: 'admin@example.com' })).status, 400);
+    });
+});
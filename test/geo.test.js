@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { boxToPolygon, parseBoundingBox, parseGuideRegions } = require('../lib/geo');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+const DHAKA = { lng: 90.4125, lat: 23.8103 };
+const SYLHET = { lng: 91.8687, lat: 24.8949 };
+const SUNDARBANS = { lng: 89.1833, lat: 21.9497 };
+const COX_BAZAR = { lng: 91.9847, lat: 21.4272 };
+
+test('geo helpers', async (t) => {
+    await t.test('bounding boxes are west,south,east,north', () => {
+        const { box } = parseBoundingBox('88, 20.5, 92.7, 26.6');
+        assert.deepEqual(box, { west: 88, south: 20.5, east: 92.7, north: 26.6 });
+        assert.deepEqual(boxToPolygon(box).coordinates[0][0], [88, 20.5]);
+        assert.match(parseBoundingBox('88,20').error, /west,south,east,north/);
+        assert.match(parseBoundingBox('92,20,88,26').error, /west < east/);
+        assert.match(parseBoundingBox('-100,0,100,10').error, /180 degrees/);
+    });
+
+    await t.test('guide regions become closed polygons around their centre', () => {
+        const { regions, serviceAreas } = parseGuideRegions([{ name: 'Dhaka', location: DHAKA, radiusKm: 30 }]);
+        assert.deepEqual(regions[0].location, { type: 'Point', coordinates: [DHAKA.lng, DHAKA.lat] });
+        const [ring] = serviceAreas[0].coordinates;
+        assert.deepEqual(ring[0], ring[ring.length - 1]);
+        assert.match(parseGuideRegions([{ location: DHAKA, radiusKm: 0 }]).error, /radiusKm/);
+        assert.match(parseGuideRegions([{ location: { lng: 200, lat: 0 }, radiusKm: 5 }]).error, /longitude/);
+    });
+});
+
+test('map searches', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+    await createPackage(ctx, { packageName: 'Old Dhaka Walk', type: 'city', location: DHAKA });
+    await createPackage(ctx, { packageName: 'Tea Gardens', type: 'hills', location: SYLHET });
+    await createPackage(ctx, { packageName: 'Sundarbans Safari', type: 'wildlife', location: SUNDARBANS });
+    await createPackage(ctx, { packageName: 'Cox Beach Walk', type: 'beach', location: COX_BAZAR });
+    await createPackage(ctx, { packageName: 'Hidden Draft', type: 'city', location: DHAKA, status: 'draft' });
+    await createPackage(ctx, { packageName: 'Nowhere In Particular', type: 'river' });
+    const names = (items) => items.map(item => item.packageName);
+
+    await t.test('packages keep their location as a GeoJSON point', async () => {
+        const { body } = await request('GET', '/api/packages?type=wildlife');
+        assert.deepEqual(body[0].location, { type: 'Point', coordinates: [SUNDARBANS.lng, SUNDARBANS.lat] });
+        const bad = await request('POST', '/api/packages', {
+            as: 'admin@example.com',
+            body: { packageName: 'Lost', type: 'city', price: 10, tourPlan: [{ title: 'Day' }], location: { lng: 90 } },
+        });
+        assert.equal(bad.status, 400);
+    });
+
+    await t.test('nearby lists published packages within the radius, nearest first', async () => {
+        const { status, body } = await request('GET', `/api/packages/nearby?lng=${DHAKA.lng}&lat=${DHAKA.lat}&radiusKm=250`);
+        assert.equal(status, 200);
+        assert.deepEqual(names(body.items), ['Old Dhaka Walk', 'Tea Gardens', 'Sundarbans Safari']);
+        assert.equal(body.items[0].distanceKm, 0);
+        assert.ok(body.items[1].distanceKm > 150 && body.items[1].distanceKm < 250);
+        assert.equal(body.items[0].tourPlan, undefined);
+        assert.equal(body.total, 3);
+    });
+
+    await t.test('nearby defaults to 50 km and can be filtered and paged', async () => {
+        assert.deepEqual(names((await request('GET', `/api/packages/nearby?lng=${DHAKA.lng}&lat=${DHAKA.lat}`)).body.items), ['Old Dhaka Walk']);
+        const paged = await request('GET', `/api/packages/nearby?lng=${DHAKA.lng}&lat=${DHAKA.lat}&radiusKm=1000&limit=2&page=2`);
+        assert.deepEqual(names(paged.body.items), ['Sundarbans Safari', 'Cox Beach Walk']);
+        assert.equal(paged.body.totalPages, 2);
+        const beaches = await request('GET', `/api/packages/nearby?lng=${DHAKA.lng}&lat=${DHAKA.lat}&radiusKm=1000&type=BEACH`);
+        assert.deepEqual(names(beaches.body.items), ['Cox Beach Walk']);
+    });
+
+    await t.test('within lists packages inside the map bounds', async () => {
+        const south = await request('GET', '/api/packages/within?bbox=88,20.5,92.7,23');
+        assert.deepEqual(names(south.body.items).sort(), ['Cox Beach Walk', 'Sundarbans Safari']);
+        const fromCox = await request('GET', `/api/packages/within?bbox=88,20.5,92.7,23&lng=${COX_BAZAR.lng}&lat=${COX_BAZAR.lat}`);
+        assert.deepEqual(names(fromCox.body.items), ['Cox Beach Walk', 'Sundarbans Safari']);
+    });
+
+    await t.test('bad coordinates are refused', async () => {
+        for (const url of [
+            '/api/packages/nearby?lng=90',
+            '/api/packages/nearby?lng=190&lat=23',
+            `/api/packages/nearby?lng=${DHAKA.lng}&lat=${DHAKA.lat}&radiusKm=5000`,
+            '/api/packages/within',
+            '/api/packages/within?bbox=92,20,88,26',
+            '/api/packages/within?bbox=88,20,92,26&lng=90',
+        ]) {
+            assert.equal((await request('GET', url)).status, 400, url);
+        }
+    });
+
+    await t.test('guides are found by the regions they work in', async () => {
+        const saved = await request('POST', '/api/profile', {
+            as: 'guide@example.com',
+            body: { regions: [{ name: 'Sundarbans', location: SUNDARBANS, radiusKm: 80 }] },
+        });
+        assert.equal(saved.status, 200);
+        const inRegion = await request('GET', `/api/guides?lng=${SUNDARBANS.lng + 0.3}&lat=${SUNDARBANS.lat}`);
+        assert.deepEqual(inRegion.body.map(guide => guide.email), ['guide@example.com']);
+        assert.equal(inRegion.body[0].serviceAreas, undefined);
+        assert.deepEqual((await request('GET', `/api/guides?lng=${DHAKA.lng}&lat=${DHAKA.lat}`)).body, []);
+
+        const { body: [safari] } = await request('GET', '/api/packages?type=wildlife');
+        assert.equal((await request('GET', `/api/guides?packageId=${safari._id}`)).body.length, 1);
+        const { body: [unplaced] } = await request('GET', '/api/packages?q=nowhere');
+        assert.equal((await request('GET', `/api/guides?packageId=${unplaced._id}`)).status, 400);
+    });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_GROUP_SIZE } = require('../lib/packages');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+const people = (adults, children = 0) => [
+    ...Array.from({ length: adults }, (_, i) => ({ name: `Adult ${i + 1}`, type: 'adult' })),
+    ...Array.from({ length: children }, (_, i) => ({ name: `Child ${i + 1}`, type: 'child' })),
+];
+
+test('group bookings', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+
+    const book = (pkg, participants, startDate = '2026-04-10') => request('POST', '/api/bookings', {
+        as: 'tourist@example.com',
+        body: { packageId: pkg._id, startDate, guide: 'guide@example.com', participants },
+    });
+    const update = (pkg, body) => request('PATCH', `/api/packages/${pkg._id}`, { as: 'admin@example.com', body });
+
+    await t.test('per-person prices charge children their own rate', async () => {
+        const pkg = await createPackage(ctx, { price: 100, pricing: { model: 'per-person', childPrice: 40 } });
+        const { status, body } = await book(pkg, people(2, 1));
+        assert.equal(status, 201);
+        assert.equal(body.booking.totalPrice, 240);
+        assert.equal(body.booking.participantCount, 3);
+        assert.deepEqual(body.booking.priceBreakdown, { model: 'per-person', adults: 2, children: 1, adultPrice: 100, childPrice: 40 });
+    });
+
+    await t.test('group prices cover the group and charge for extra people', async () => {
+        const pkg = await createPackage(ctx, { price: 30, pricing: { model: 'group', groupPrice: 200, groupSize: 4 } });
+        assert.equal((await book(pkg, people(3))).body.booking.totalPrice, 200);
+        assert.equal((await book(pkg, people(6), '2026-04-20')).body.booking.totalPrice, 260);
+    });
+
+    await t.test('bookings must fit the group size', async () => {
+        const pkg = await createPackage(ctx, { minGroupSize: 2, maxGroupSize: 3 });
+        const { status, body } = await book(pkg, people(1));
+        assert.equal(status, 400);
+        assert.equal(body.message, 'A booking for this package needs 2 to 3 participants');
+        assert.equal((await book(pkg, people(4))).status, 400);
+        assert.equal((await book(pkg, [{ name: 'Kid', type: 'infant' }, { name: 'Mum', type: 'adult' }])).status, 400);
+    });
+
+    await t.test('departures fill up', async () => {
+        const pkg = await createPackage(ctx, { capacityPerDeparture: 5 });
+        assert.equal((await book(pkg, people(4))).status, 201);
+        const full = await book(pkg, people(2));
+        assert.equal(full.status, 409);
+        assert.equal(full.body.message, 'Not enough places left on this departure');
+
+        const departure = await request('GET', `/api/packages/${pkg._id}/departures/2026-04-10`);
+        assert.deepEqual(departure.body, { date: '2026-04-10', capacity: 5, booked: 4, remaining: 1, minGroupSize: 1, maxGroupSize: MAX_GROUP_SIZE });
+        assert.equal((await request('GET', `/api/packages/${pkg._id}/departures/april`)).status, 404);
+    });
+
+    await t.test('group limits must stay in order', async () => {
+        const created = await request('POST', '/api/packages', {
+            as: 'admin@example.com',
+            body: { packageName: 'Tight', type: 'beach', price: 10, tourPlan: [{ title: 'Day' }], minGroupSize: 4, maxGroupSize: 2 },
+        });
+        assert.equal(created.status, 400);
+        assert.equal(created.body.message, 'minGroupSize cannot be more than maxGroupSize');
+    });
+
+    await t.test('an update that changes one limit is checked against the stored ones', async () => {
+        const pkg = await createPackage(ctx, { minGroupSize: 2, maxGroupSize: 6, capacityPerDeparture: 8 });
+        const tooSmall = await update(pkg, { maxGroupSize: 1 });
+        assert.equal(tooSmall.status, 400);
+        assert.equal(tooSmall.body.message, 'minGroupSize cannot be more than maxGroupSize');
+        const overCapacity = await update(pkg, { capacityPerDeparture: 4 });
+        assert.equal(overCapacity.body.message, 'maxGroupSize cannot be more than capacityPerDeparture');
+        assert.equal((await update(pkg, { minGroupSize: 7 })).status, 400);
+
+        const cleared = await update(pkg, { maxGroupSize: null, capacityPerDeparture: 4 });
+        assert.equal(cleared.status, 200);
+        assert.equal(cleared.body.package.capacityPerDeparture, 4);
+    });
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers, tokenFor } = require('./support/helpers');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+const DETAILS = {
+    bio: 'Born in Khulna, twelve years on the rivers of the Sundarbans.',
+    experience: 'Led boat safaris for a lodge since 2014',
+    languages: ['Bangla', 'English'],
+};
+
+test('guide applications', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, baseUrl, request } = ctx;
+    await seedUsers(ctx);
+    const users = db.collection('users');
+    const register = async (email, name) => {
+        await request('POST', '/register', { body: { idToken: email, name } });
+        return users.findOne({ email });
+    };
+    const decide = (application, body) => request('PATCH', `/api/guide-applications/${application._id}/status`, { as: 'admin@example.com', body });
+
+    await t.test('applications need a bio, experience and languages', async () => {
+        const { status, body } = await request('POST', '/api/guide-applications', {
+            as: 'tourist@example.com',
+            body: { ...DETAILS, bio: 'Too short' },
+        });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'bio must be between 20 and 5000 characters');
+        assert.equal((await request('POST', '/api/guide-applications', { as: 'tourist@example.com', body: { ...DETAILS, languages: [] } })).status, 400);
+        assert.equal((await request('POST', '/api/guide-applications', { as: 'guide@example.com', body: DETAILS })).status, 403);
+    });
+
+    await t.test('documents are stored privately with the application', async () => {
+        await register('dina@example.com', 'Dina');
+        const form = new FormData();
+        for (const [field, value] of Object.entries(DETAILS)) {
+            form.append(field, Array.isArray(value) ? JSON.stringify(value) : value);
+        }
+        form.append('documents', new Blob([PDF], { type: 'application/pdf' }), 'licence.pdf');
+        const response = await fetch(`${baseUrl}/api/guide-applications`, {
+            method: 'POST',
+            headers: { authorization: `Bearer ${tokenFor('dina@example.com')}` },
+            body: form,
+        });
+        assert.equal(response.status, 201);
+        const { application } = await response.json();
+        assert.deepEqual(application.languages, ['Bangla', 'English']);
+        assert.equal(application.documents[0].name, 'licence.pdf');
+
+        const url = `/api/guide-applications/${application._id}/documents/0`;
+        const download = await fetch(baseUrl + url, { headers: { authorization: `Bearer ${tokenFor('dina@example.com')}` } });
+        assert.equal(download.status, 200);
+        assert.equal(download.headers.get('cache-control'), 'private, no-store');
+        assert.deepEqual(Buffer.from(await download.arrayBuffer()), PDF);
+        assert.equal((await request('GET', url, { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('GET', url, { as: 'admin@example.com' })).status, 200);
+        assert.equal((await request('GET', `/images/${application.documents[0].key}`)).status, 404);
+    });
+
+    await t.test('an application goes back to the applicant for details and is approved', async () => {
+        const submitted = await request('POST', '/api/guide-applications', { as: 'tourist@example.com', body: DETAILS });
+        assert.equal(submitted.status, 201);
+        const { application } = submitted.body;
+        assert.equal(application.status, 'pending');
+        assert.equal((await users.findOne({ email: 'tourist@example.com' })).requestRole, 'tourguide');
+        assert.equal((await request('POST', '/api/guide-applications', { as: 'tourist@example.com', body: DETAILS })).status, 409);
+
+        assert.equal((await decide(application, { status: 'needs-info' })).status, 400);
+        assert.equal((await decide(application, { status: 'needs-info', reason: 'Which rivers?' })).status, 200);
+        assert.equal((await request('PATCH', `/api/guide-applications/${application._id}`, { as: 'guide@example.com', body: DETAILS })).status, 403);
+
+        const resubmitted = await request('PATCH', `/api/guide-applications/${application._id}`, {
+            as: 'tourist@example.com',
+            body: { experience: 'Boat safaris on the Pasur and Shibsa rivers since 2014' },
+        });
+        assert.equal(resubmitted.status, 200);
+        assert.equal(resubmitted.body.application.status, 'pending');
+        assert.equal(resubmitted.body.application.bio, DETAILS.bio);
+
+        const comment = await request('POST', `/api/guide-applications/${application._id}/comments`, { as: 'admin@example.com', body: { message: 'Looks good' } });
+        assert.equal(comment.body.comment.role, 'admin');
+
+        const approved = await decide(application, { status: 'approved' });
+        assert.equal(approved.status, 200);
+        assert.deepEqual(approved.body.application.history.map(entry => entry.to), ['pending', 'needs-info', 'pending', 'approved']);
+        const guide = await users.findOne({ email: 'tourist@example.com' });
+        assert.equal(guide.role, 'tourguide');
+        assert.equal(guide.requestRole, null);
+        assert.equal(guide.bio, DETAILS.bio);
+        assert.equal((await decide(application, { status: 'rejected', reason: 'Changed our minds' })).status, 409);
+        await users.updateOne({ email: 'tourist@example.com' }, { $set: { role: 'tourist' } });
+    });
+
+    await t.test('rejections need a reason and clear the request flag', async () => {
+        await register('rita@example.com', 'Rita');
+        const { body } = await request('POST', '/api/guide-applications', { as: 'rita@example.com', body: DETAILS });
+        assert.equal((await decide(body.application, { status: 'rejected' })).status, 400);
+        assert.equal((await decide(body.application, { status: 'rejected', reason: 'No licence' })).status, 200);
+        const rita = await users.findOne({ email: 'rita@example.com' });
+        assert.equal(rita.role, 'tourist');
+        assert.equal(rita.requestRole, null);
+        const mine = await request('GET', '/api/guide-applications/mine', { as: 'rita@example.com' });
+        assert.equal(mine.body[0].decisionReason, 'No licence');
+    });
+
+    await t.test('older clients can still ask to become a guide without details', async () => {
+        const omar = await register('omar@example.com', 'Omar');
+        const requested = await request('POST', '/api/request-tour-guide', { as: 'omar@example.com', body: { email: 'omar@example.com' } });
+        assert.equal(requested.status, 200);
+        assert.equal(requested.body.message, 'Request sent successfully');
+        const { application } = requested.body;
+        assert.equal(application.status, 'needs-info');
+        assert.equal((await users.findOne({ _id: omar._id })).requestRole, 'tourguide');
+        assert.equal((await request('POST', '/api/request-tour-guide', { as: 'omar@example.com' })).status, 409);
+
+        // The details are still needed before the application goes to review
+        const incomplete = await request('PATCH', `/api/guide-applications/${application._id}`, { as: 'omar@example.com', body: { bio: DETAILS.bio } });
+        assert.equal(incomplete.status, 400);
+        const completed = await request('PATCH', `/api/guide-applications/${application._id}`, { as: 'omar@example.com', body: DETAILS });
+        assert.equal(completed.body.application.status, 'pending');
+
+        // Older admin views decide through the user
+        const decided = await request('PATCH', `/api/users/${omar._id}/request`, { as: 'admin@example.com', body: { decision: 'approved' } });
+        assert.equal(decided.status, 200);
+        assert.equal((await users.findOne({ _id: omar._id })).role, 'tourguide');
+    });
+
+    await t.test('a request with the details is a full application', async () => {
+        await register('nila@example.com', 'Nila');
+        const { status, body } = await request('POST', '/api/request-tour-guide', { as: 'nila@example.com', body: DETAILS });
+        assert.equal(status, 201);
+        assert.equal(body.application.status, 'pending');
+    });
+
+    await t.test('admins list applications by status', async () => {
+        const pending = await request('GET', '/api/guide-applications?status=pending', { as: 'admin@example.com' });
+        assert.deepEqual(pending.body.items.map(item => item.email).sort(), ['dina@example.com', 'nila@example.com']);
+        assert.equal((await request('GET', '/api/guide-applications', { as: 'dina@example.com' })).status, 403);
+    });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers, createPackage, tokenFor } = require('./support/helpers');
+
+// Open a booking's event stream and read events from it as they arrive
+const openStream = async (url) => {
+    const controller = new AbortController();
+    const response = await fetch(url, { signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    const next = async () => {
+        while (!buffer.includes('\n\n')) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return null;
+            }
+            buffer += value;
+        }
+        const end = buffer.indexOf('\n\n');
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        return event ? { event, data: JSON.parse(data) } : next();
+    };
+    return { response, next, close: () => controller.abort() };
+};
+
+test('booking message threads', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { baseUrl, clock, request } = ctx;
+    await seedUsers(ctx);
+    await request('POST', '/register', { body: { idToken: 'other@example.com', name: 'Otto Other' } });
+    const pkg = await createPackage(ctx);
+    const { body: { booking } } = await request('POST', '/api/bookings', {
+        as: 'tourist@example.com',
+        body: { packageId: pkg._id, startDate: '2026-04-10', guide: 'guide@example.com' },
+    });
+    const url = `/api/bookings/${booking._id}/messages`;
+    const send = (as, body) => request('POST', url, { as, body: { body } });
+
+    await t.test('the tourist and guide write to the thread', async () => {
+        const first = await send('tourist@example.com', '  Is lunch included?  ');
+        assert.equal(first.status, 201);
+        assert.equal(first.body.body, 'Is lunch included?');
+        assert.equal(first.body.senderRole, 'tourist');
+        assert.deepEqual(first.body.readBy, ['tourist@example.com']);
+
+        clock.set('2026-03-01T11:00:00Z');
+        assert.equal((await send('guide@example.com', 'Yes, on the boat')).body.senderRole, 'guide');
+
+        const thread = await request('GET', url, { as: 'tourist@example.com' });
+        assert.deepEqual(thread.body.items.map(message => message.body), ['Yes, on the boat', 'Is lunch included?']);
+        const admin = await request('GET', `${url}?limit=1`, { as: 'admin@example.com' });
+        assert.equal(admin.body.items.length, 1);
+        assert.equal(admin.body.total, 2);
+    });
+
+    await t.test('outsiders cannot read or write', async () => {
+        assert.equal((await request('GET', url, { as: 'other@example.com' })).status, 403);
+        assert.equal((await send('other@example.com', 'Hello')).status, 403);
+        assert.equal((await request('GET', url)).status, 401);
+        assert.equal((await request('GET', '/api/bookings/000000000000000000000000/messages', { as: 'tourist@example.com' })).status, 404);
+    });
+
+    await t.test('empty and overlong messages are refused', async () => {
+        assert.equal((await send('tourist@example.com', '')).status, 400);
+        assert.equal((await send('tourist@example.com', 'x'.repeat(4001))).status, 400);
+    });
+
+    await t.test('marking the thread read only counts unread messages', async () => {
+        const read = await request('POST', `${url}/read`, { as: 'guide@example.com' });
+        assert.equal(read.body.updated, 1);
+        assert.equal((await request('POST', `${url}/read`, { as: 'guide@example.com' })).body.updated, 0);
+    });
+
+    await t.test('new messages and read receipts arrive over the stream', async () => {
+        const stream = await openStream(`${baseUrl}${url}/stream?access_token=${tokenFor('guide@example.com')}`);
+        t.after(stream.close);
+        assert.equal(stream.response.status, 200);
+        assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+
+        await send('tourist@example.com', 'See you at the jetty');
+        const message = await stream.next();
+        assert.equal(message.event, 'message');
+        assert.equal(message.data.body, 'See you at the jetty');
+
+        await request('POST', `${url}/read`, { as: 'guide@example.com' });
+        const receipt = await stream.next();
+        assert.equal(receipt.event, 'read');
+        assert.equal(receipt.data.email, 'guide@example.com');
+        assert.equal(receipt.data.bookingId, String(booking._id));
+    });
+
+    await t.test('streams need a token for a participant', async () => {
+        assert.equal((await request('GET', `${url}/stream`)).status, 401);
+        assert.equal((await request('GET', `${url}/stream?access_token=${tokenFor('other@example.com')}`)).status, 403);
+    });
+});
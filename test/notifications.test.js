@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { ObjectId } = require('mongodb');
+const { createMemoryDatabase } = require('../db/memory');
+const { NOTIFICATION_TYPES, createNotifier, resolvePreferences, validatePreferences } = require('../notifications');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { silentLogger, createClock, startTestApp, seedUsers, createPackage, waitFor } = require('./support/helpers');
+
+// A nodemailer stand-in that keeps what it was asked to send
+const createTransport = () => {
+    const sent = [];
+    return { sent, sendMail: async (message) => sent.push(message) };
+};
+
+const booking = {
+    _id: new ObjectId(),
+    email: 'tourist@example.com',
+    guideEmail: 'guide@example.com',
+    touristName: 'Tess <b>Tourist</b>',
+    packageName: 'Sundarbans Safari',
+    startDate: new Date('2026-04-10T00:00:00Z'),
+};
+
+test('notifier', async (t) => {
+    const db = createMemoryDatabase();
+    const notificationsCollection = db.collection('notifications');
+    const userCollection = db.collection('users');
+    const transport = createTransport();
+    const notifier = createNotifier({
+        notificationsCollection,
+        userCollection,
+        transport,
+        from: 'EpicEscape <no-reply@example.com>',
+        baseUrl: 'https://epicescape.example',
+        clock: createClock('2026-03-01T10:00:00Z'),
+        logger: silentLogger,
+    });
+    const notificationsFor = (email) => notificationsCollection.find({ email }).toArray();
+
+    await t.test('notifications are stored in the app and emailed', async () => {
+        await notifier.notify('guide@example.com', NOTIFICATION_TYPES.BOOKING_REQUESTED, { booking });
+        const [stored] = await notificationsFor('guide@example.com');
+        assert.equal(stored.type, NOTIFICATION_TYPES.BOOKING_REQUESTED);
+        assert.equal(stored.title, 'New booking request: Sundarbans Safari');
+        assert.match(stored.body, /starting 2026-04-10/);
+        assert.equal(stored.link, '/dashboard/assigned-tours');
+        assert.deepEqual(stored.data, { bookingId: String(booking._id) });
+        assert.equal(stored.read, false);
+        assert.deepEqual(stored.createdAt, new Date('2026-03-01T10:00:00Z'));
+
+        const mail = transport.sent.at(-1);
+        assert.equal(mail.to, 'guide@example.com');
+        assert.equal(mail.from, 'EpicEscape <no-reply@example.com>');
+        assert.equal(mail.subject, stored.title);
+        assert.equal(mail.text, stored.body);
+    });
+
+    await t.test('email bodies are escaped and link back to the site', async () => {
+        const mail = transport.sent.at(-1);
+        assert.match(mail.html, /Tess &lt;b&gt;Tourist&lt;\/b&gt;/);
+        assert.doesNotMatch(mail.html, /<b>Tourist/);
+        assert.match(mail.html, /href="https:\/\/epicescape\.example\/dashboard\/assigned-tours"/);
+    });
+
+    await t.test('users choose their channels per notification type', async () => {
+        await userCollection.insertOne({
+            email: 'quiet@example.com',
+            notificationPreferences: { [NOTIFICATION_TYPES.BOOKING_ACCEPTED]: { email: false } },
+        });
+        const sentBefore = transport.sent.length;
+        await notifier.notify('quiet@example.com', NOTIFICATION_TYPES.BOOKING_ACCEPTED, { booking });
+        assert.equal((await notificationsFor('quiet@example.com')).length, 1);
+        assert.equal(transport.sent.length, sentBefore);
+
+        await userCollection.updateOne(
+            { email: 'quiet@example.com' },
+            { $set: { [`notificationPreferences.${NOTIFICATION_TYPES.BOOKING_PAID}.inApp`]: false } }
+        );
+        await notifier.notify('quiet@example.com', NOTIFICATION_TYPES.BOOKING_PAID, { booking });
+        assert.equal((await notificationsFor('quiet@example.com')).length, 1);
+        assert.equal(transport.sent.at(-1).subject, 'Payment received for Sundarbans Safari');
+    });
+
+    await t.test('a tourist who cancels is not told about it, the guide is', async () => {
+        const events = new EventEmitter();
+        notifier.subscribe(events);
+        const cancelled = { ...booking, _id: new ObjectId(), refund: { amount: 100, currency: 'usd' } };
+        events.emit('booking.status_changed', {
+            booking: cancelled,
+            to: BOOKING_STATUS.CANCELLED,
+            actor: { email: booking.email, role: 'tourist' },
+            reason: 'Plans changed',
+        });
+        const forBooking = { type: NOTIFICATION_TYPES.BOOKING_CANCELLED, 'data.bookingId': String(cancelled._id) };
+        const toGuide = await waitFor(() => notificationsCollection.findOne({ ...forBooking, email: booking.guideEmail }));
+        assert.match(toGuide.body, /A refund of 100 USD is on its way\. Reason: Plans changed$/);
+        assert.equal(await notificationsCollection.findOne({ ...forBooking, email: booking.email }), null);
+    });
+
+    await t.test('preferences default to every channel and updates are checked', () => {
+        const preferences = resolvePreferences({ [NOTIFICATION_TYPES.BOOKING_PAID]: { email: false } });
+        assert.deepEqual(preferences[NOTIFICATION_TYPES.BOOKING_PAID], { inApp: true, email: false });
+        assert.deepEqual(preferences[NOTIFICATION_TYPES.BOOKING_REQUESTED], { inApp: true, email: true });
+
+        assert.equal(validatePreferences({ [NOTIFICATION_TYPES.BOOKING_PAID]: { inApp: false } }), null);
+        assert.equal(validatePreferences([]), 'preferences must be an object');
+        assert.equal(validatePreferences({ newsletter: { email: true } }), 'Unknown notification type: newsletter');
+        assert.match(validatePreferences({ [NOTIFICATION_TYPES.BOOKING_PAID]: { sms: true } }), /must be a boolean/);
+        assert.match(validatePreferences({ [NOTIFICATION_TYPES.BOOKING_PAID]: { email: 'yes' } }), /must be a boolean/);
+    });
+});
+
+test('notification endpoints', async (t) => {
+    const transport = createTransport();
+    const ctx = await startTestApp({ mailTransport: transport });
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+    const pkg = await createPackage(ctx);
+
+    await t.test('booking requests reach the guide', async () => {
+        await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate: '2026-04-10', guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        const { body } = await waitFor(async () => {
+            const response = await request('GET', '/api/notifications', { as: 'guide@example.com' });
+            return response.body.items.length > 0 && response;
+        });
+        assert.equal(body.unreadCount, 1);
+        assert.equal(body.items[0].type, NOTIFICATION_TYPES.BOOKING_REQUESTED);
+        assert.ok(transport.sent.some(mail => mail.to === 'guide@example.com'));
+        // Nobody else sees them
+        const tourist = await request('GET', '/api/notifications', { as: 'tourist@example.com' });
+        assert.equal(tourist.body.items.length, 0);
+    });
+
+    await t.test('notifications are marked read one at a time or all at once', async () => {
+        const { body } = await request('GET', '/api/notifications', { as: 'guide@example.com' });
+        const [notification] = body.items;
+        assert.equal((await request('PATCH', `/api/notifications/${notification._id}/read`, { as: 'tourist@example.com' })).status, 404);
+
+        const read = await request('PATCH', `/api/notifications/${notification._id}/read`, { as: 'guide@example.com' });
+        assert.equal(read.status, 200);
+        const unread = await request('GET', '/api/notifications?unread=true', { as: 'guide@example.com' });
+        assert.equal(unread.body.items.length, 0);
+        assert.equal(unread.body.unreadCount, 0);
+
+        await request('PATCH', `/api/notifications/${notification._id}/read`, { as: 'guide@example.com', body: { read: false } });
+        const all = await request('POST', '/api/notifications/read-all', { as: 'guide@example.com' });
+        assert.equal(all.body.updated, 1);
+    });
+
+    await t.test('preferences are read and updated per channel', async () => {
+        const defaults = await request('GET', '/api/notifications/preferences', { as: 'tourist@example.com' });
+        assert.deepEqual(defaults.body[NOTIFICATION_TYPES.BOOKING_ACCEPTED], { inApp: true, email: true });
+
+        const updated = await request('PUT', '/api/notifications/preferences', {
+            as: 'tourist@example.com',
+            body: { [NOTIFICATION_TYPES.BOOKING_ACCEPTED]: { email: false } },
+        });
+        assert.equal(updated.status, 200);
+        const after = await request('GET', '/api/notifications/preferences', { as: 'tourist@example.com' });
+        assert.deepEqual(after.body[NOTIFICATION_TYPES.BOOKING_ACCEPTED], { inApp: true, email: false });
+
+        const invalid = await request('PUT', '/api/notifications/preferences', { as: 'tourist@example.com', body: { newsletter: { email: true } } });
+        assert.equal(invalid.status, 400);
+        assert.equal((await request('PUT', '/api/notifications/preferences', { as: 'tourist@example.com', body: {} })).status, 400);
+    });
+});
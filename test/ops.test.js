@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+const { createCorsOptions, parseOrigins } = require('../middleware/security');
+const { RATE_LIMITS } = require('../middleware/rate-limit');
+const { startTestApp } = require('./support/helpers');
+
+test('health checks', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { app, db, request } = ctx;
+
+    await t.test('a running server is alive and ready', async () => {
+        const health = await request('GET', '/health');
+        assert.equal(health.status, 200);
+        assert.equal(health.body.status, 'ok');
+        assert.equal(health.headers.get('cache-control'), 'no-store');
+
+        const ready = await request('GET', '/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body, { status: 'ready', checks: { mongodb: 'ok' } });
+    });
+
+    await t.test('readiness fails while the database is unreachable', async (t) => {
+        const ping = db.ping;
+        db.ping = async () => {
+            throw new Error('connection refused');
+        };
+        t.after(() => {
+            db.ping = ping;
+        });
+        const { status, body } = await request('GET', '/ready');
+        assert.equal(status, 503);
+        assert.equal(body.code, 'DATABASE_UNAVAILABLE');
+        assert.equal((await request('GET', '/health')).status, 200);
+    });
+
+    await t.test('readiness fails and connections close while shutting down', async (t) => {
+        app.locals.shuttingDown = true;
+        t.after(() => {
+            app.locals.shuttingDown = false;
+        });
+        const { status, body, headers } = await request('GET', '/ready');
+        assert.equal(status, 503);
+        assert.equal(body.code, 'SHUTTING_DOWN');
+        assert.equal(headers.get('connection'), 'close');
+    });
+});
+
+test('request handling', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, request } = ctx;
+
+    await t.test('request IDs are kept when plain and replaced otherwise', async () => {
+        const kept = await request('GET', '/health', { headers: { 'x-request-id': 'lb-1234.5' } });
+        assert.equal(kept.headers.get('x-request-id'), 'lb-1234.5');
+        const replaced = await request('GET', '/health', { headers: { 'x-request-id': 'bad id <script>' } });
+        assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        assert.match((await request('GET', '/health')).headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+
+    await t.test('responses carry the security headers', async () => {
+        const { headers } = await request('GET', '/health');
+        assert.equal(headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(headers.get('x-frame-options'), 'DENY');
+        assert.match(headers.get('content-security-policy'), /default-src 'none'/);
+    });
+
+    await t.test('unknown routes answer in the standard error format', async () => {
+        const { status, body } = await request('GET', '/nope');
+        assert.equal(status, 404);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'ROUTE_NOT_FOUND');
+    });
+
+    await t.test('sign-in routes are rate limited per IP until the window ends', async () => {
+        const { max, windowMs } = RATE_LIMITS.signIn;
+        for (let i = 0; i < max; i++) {
+            assert.equal((await request('POST', '/auth/refresh')).status, 401);
+        }
+        const limited = await request('POST', '/auth/refresh');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'RATE_LIMITED');
+        assert.equal(limited.headers.get('retry-after'), String(windowMs / 1000));
+        assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+        // Other routes are not counted
+        assert.equal((await request('GET', '/health')).status, 200);
+
+        clock.set(new Date(clock.now().getTime() + windowMs));
+        assert.equal((await request('POST', '/auth/refresh')).status, 401);
+    });
+});
+
+test('CORS options', async (t) => {
+    const optionsFor = (settings, path) => new Promise((resolve, reject) => {
+        createCorsOptions(settings)({ path }, (error, options) => (error ? reject(error) : resolve(options)));
+    });
+
+    await t.test('listed origins win over CLIENT_URL', async () => {
+        const options = await optionsFor({ allowedOrigins: parseOrigins('https://a.example/, https://b.example'), clientUrl: 'https://c.example' }, '/packages');
+        assert.deepEqual(options.origin, ['https://a.example', 'https://b.example']);
+        assert.equal(options.credentials, false);
+    });
+
+    await t.test('CLIENT_URL is the fallback and nothing is allowed without either', async () => {
+        assert.equal((await optionsFor({ allowedOrigins: [], clientUrl: 'https://c.example/' }, '/packages')).origin, 'https://c.example');
+        assert.equal((await optionsFor({ allowedOrigins: [], clientUrl: undefined }, '/packages')).origin, false);
+    });
+
+    await t.test('a wildcard opens uncredentialed routes only', async () => {
+        const settings = { allowedOrigins: parseOrigins('*'), clientUrl: 'https://c.example' };
+        assert.equal((await optionsFor(settings, '/packages')).origin, '*');
+        const session = await optionsFor(settings, '/auth/refresh');
+        assert.equal(session.origin, 'https://c.example');
+        assert.equal(session.credentials, true);
+    });
+});
+
+test('logger', async (t) => {
+    const createStream = () => {
+        const lines = [];
+        return { lines, write: (line) => lines.push(JSON.parse(line)) };
+    };
+
+    await t.test('entries below the level are dropped', () => {
+        const stream = createStream();
+        const logger = createLogger({ level: 'warn', stream });
+        logger.info('skipped');
+        logger.warn('kept', { requestId: 'r1' });
+        assert.equal(stream.lines.length, 1);
+        assert.equal(stream.lines[0].level, 'warn');
+        assert.equal(stream.lines[0].msg, 'kept');
+        assert.equal(stream.lines[0].requestId, 'r1');
+
+        const silent = createStream();
+        createLogger({ level: 'silent', stream: silent }).error('nothing');
+        assert.equal(silent.lines.length, 0);
+    });
+
+    await t.test('errors are written with their message and stack', () => {
+        const stream = createStream();
+        const logger = createLogger({ level: 'debug', stream });
+        const error = Object.assign(new Error('boom'), { code: 11000 });
+        logger.error('failed', { error });
+        logger.error('failed', error);
+        for (const line of stream.lines) {
+            assert.equal(line.error.message, 'boom');
+            assert.equal(line.error.code, 11000);
+            assert.match(line.error.stack, /Error: boom/);
+        }
+    });
+});
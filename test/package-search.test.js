@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+test('package search', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, clock, request } = ctx;
+    await seedUsers(ctx);
+
+    const created = {};
+    const add = async (packageName, fields, createdAt) => {
+        clock.set(createdAt);
+        created[packageName] = await createPackage(ctx, { packageName, ...fields });
+    };
+    await add('Sundarbans Safari', { type: 'wildlife', price: 120, guide: 'guide@example.com' }, '2026-01-10T00:00:00Z');
+    await add('Cox Beach Walk', { type: 'beach', price: 40 }, '2026-01-20T00:00:00Z');
+    await add('Tiger Trail', { type: 'Wildlife', price: 300 }, '2026-02-01T00:00:00Z');
+    await add('Tea Garden Tour', { type: 'hills', price: 80, status: 'draft' }, '2026-02-10T00:00:00Z');
+    // Older packages stored the price as a form string
+    await db.collection('packages').updateOne({ packageName: 'Cox Beach Walk' }, { $set: { price: '40' } });
+    clock.set('2026-03-01T10:00:00Z');
+
+    const names = (items) => items.map(item => item.packageName);
+
+    await t.test('without page parameters the listing is a bare array of published packages, newest first', async () => {
+        const { status, body } = await request('GET', '/api/packages');
+        assert.equal(status, 200);
+        assert.deepEqual(names(body), ['Tiger Trail', 'Cox Beach Walk', 'Sundarbans Safari']);
+    });
+
+    await t.test('listings leave out the itinerary', async () => {
+        const { body } = await request('GET', '/api/packages');
+        assert.equal(body[0].tourPlan, undefined);
+    });
+
+    await t.test('filters combine', async () => {
+        assert.deepEqual(names((await request('GET', '/api/packages?type=wildlife')).body), ['Tiger Trail', 'Sundarbans Safari']);
+        assert.deepEqual(names((await request('GET', '/api/packages?q=tiger')).body), ['Tiger Trail']);
+        assert.deepEqual(names((await request('GET', '/api/packages?minPrice=50&maxPrice=200')).body), ['Sundarbans Safari']);
+        assert.deepEqual(names((await request('GET', '/api/packages?maxPrice=50')).body), ['Cox Beach Walk']);
+        assert.deepEqual(names((await request('GET', '/api/packages?guide=guide@example.com')).body), ['Sundarbans Safari']);
+        assert.deepEqual(
+            names((await request('GET', '/api/packages?addedAfter=2026-01-15&addedBefore=2026-01-31')).body),
+            ['Cox Beach Walk']
+        );
+    });
+
+    await t.test('sorts and their order can be chosen', async () => {
+        assert.deepEqual(names((await request('GET', '/api/packages?sort=price')).body), ['Cox Beach Walk', 'Sundarbans Safari', 'Tiger Trail']);
+        assert.deepEqual(names((await request('GET', '/api/packages?sort=price&order=desc')).body), ['Tiger Trail', 'Sundarbans Safari', 'Cox Beach Walk']);
+        await db.collection('bookings').insertMany([
+            { packageId: String(created['Cox Beach Walk']._id) },
+            { packageId: String(created['Cox Beach Walk']._id) },
+            { packageId: String(created['Sundarbans Safari']._id) },
+        ]);
+        assert.deepEqual(names((await request('GET', '/api/packages?sort=popularity')).body), ['Cox Beach Walk', 'Sundarbans Safari', 'Tiger Trail']);
+    });
+
+    await t.test('asking for a page returns the paged envelope', async () => {
+        const first = await request('GET', '/api/packages?limit=2');
+        assert.deepEqual(names(first.body.items), ['Tiger Trail', 'Cox Beach Walk']);
+        assert.equal(first.body.total, 3);
+        assert.equal(first.body.totalPages, 2);
+        assert.equal(first.body.page, 1);
+
+        const second = await request('GET', '/api/packages?limit=2&page=2');
+        assert.deepEqual(names(second.body.items), ['Sundarbans Safari']);
+        assert.equal(second.body.nextCursor, null);
+
+        const after = await request('GET', `/api/packages?limit=2&cursor=${first.body.nextCursor}`);
+        assert.deepEqual(names(after.body.items), ['Sundarbans Safari']);
+        assert.equal(after.body.page, null);
+    });
+
+    await t.test('the type listing keeps its bare array too', async () => {
+        assert.deepEqual(names((await request('GET', '/api/packages/type/WILDLIFE')).body), ['Tiger Trail', 'Sundarbans Safari']);
+        assert.equal((await request('GET', '/api/packages/type/wildlife?page=1')).body.total, 2);
+    });
+
+    await t.test('bad parameters are refused', async () => {
+        for (const query of ['sort=cheapest', 'order=up', 'limit=0', 'limit=101', 'page=0', 'cursor=nonsense', 'minPrice=abc', 'addedAfter=someday']) {
+            assert.equal((await request('GET', `/api/packages?${query}`)).status, 400, query);
+        }
+    });
+
+    await t.test('admins list every state, always paged', async () => {
+        const all = await request('GET', '/api/admin/packages', { as: 'admin@example.com' });
+        assert.equal(all.body.total, 4);
+        const drafts = await request('GET', '/api/admin/packages?status=draft', { as: 'admin@example.com' });
+        assert.deepEqual(names(drafts.body.items), ['Tea Garden Tour']);
+    });
+});
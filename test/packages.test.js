@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PACKAGE_STATUS } = require('../lib/packages');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+test('package management', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+
+    const setStatus = (pkg, status, as = 'admin@example.com') => request('PATCH', `/api/packages/${pkg._id}/status`, { as, body: { status } });
+    const publicNames = async () => (await request('GET', '/api/packages')).body.map(item => item.packageName);
+    const book = (pkg) => request('POST', '/api/bookings', {
+        as: 'tourist@example.com',
+        body: { packageId: pkg._id, startDate: '2026-04-10', guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+    });
+
+    await t.test('packages are checked when they are created', async () => {
+        const missing = await request('POST', '/api/packages', { as: 'admin@example.com', body: { packageName: 'No plan', type: 'beach', price: 10 } });
+        assert.equal(missing.status, 400);
+        assert.match(missing.body.message, /tourPlan/);
+        const free = await request('POST', '/api/packages', {
+            as: 'admin@example.com',
+            body: { packageName: 'Free', type: 'beach', price: 0, tourPlan: [{ title: 'Day' }] },
+        });
+        assert.equal(free.body.message, 'price must be a positive number');
+        const archived = await request('POST', '/api/packages', {
+            as: 'admin@example.com',
+            body: { packageName: 'Old', type: 'beach', price: 10, tourPlan: [{ title: 'Day' }], status: 'archived' },
+        });
+        assert.equal(archived.status, 400);
+    });
+
+    await t.test('drafts stay out of sight until they are published', async () => {
+        const draft = await createPackage(ctx, { packageName: 'Hill Trek', status: PACKAGE_STATUS.DRAFT });
+        assert.equal(draft.publishedAt, null);
+        assert.deepEqual(await publicNames(), []);
+        assert.equal((await request('GET', `/api/packages/${draft._id}`)).status, 404);
+        assert.equal((await request('GET', `/api/packages/${draft._id}`, { as: 'tourist@example.com' })).status, 404);
+        assert.equal((await request('GET', `/api/packages/${draft._id}`, { as: 'admin@example.com' })).status, 200);
+        assert.deepEqual((await request('POST', '/api/packages/byIds', { body: { packageIds: [draft._id] } })).body, []);
+        assert.equal((await book(draft)).status, 400);
+
+        const published = await setStatus(draft, PACKAGE_STATUS.PUBLISHED);
+        assert.equal(published.status, 200);
+        assert.ok(published.body.package.publishedAt);
+        assert.deepEqual(await publicNames(), ['Hill Trek']);
+        assert.equal((await book(draft)).status, 201);
+    });
+
+    await t.test('archived packages leave the listings but can still be read by ID', async () => {
+        const pkg = await createPackage(ctx, { packageName: 'River Cruise' });
+        const archived = await setStatus(pkg, PACKAGE_STATUS.ARCHIVED);
+        assert.ok(archived.body.package.archivedAt);
+        assert.equal((await publicNames()).includes('River Cruise'), false);
+        assert.equal((await request('GET', `/api/packages/${pkg._id}`)).status, 200);
+        assert.equal((await book(pkg)).status, 400);
+        const admin = await request('GET', '/api/admin/packages?status=archived', { as: 'admin@example.com' });
+        assert.deepEqual(admin.body.items.map(item => item.packageName), ['River Cruise']);
+    });
+
+    await t.test('only admins change packages', async () => {
+        const pkg = await createPackage(ctx, { packageName: 'Tea Garden' });
+        assert.equal((await setStatus(pkg, PACKAGE_STATUS.ARCHIVED, 'guide@example.com')).status, 403);
+        assert.equal((await request('PATCH', `/api/packages/${pkg._id}`, { as: 'tourist@example.com', body: { price: 1 } })).status, 403);
+        assert.equal((await setStatus(pkg, 'deleted')).status, 400);
+    });
+
+    await t.test('updates change only the fields sent', async () => {
+        const pkg = await createPackage(ctx, { packageName: 'Old Dhaka Walk', price: 30 });
+        const { status, body } = await request('PATCH', `/api/packages/${pkg._id}`, {
+            as: 'admin@example.com',
+            body: { price: '35', about: 'Rickshaws and biryani' },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.package.price, 35);
+        assert.equal(body.package.packageName, 'Old Dhaka Walk');
+        assert.equal(body.package.about, 'Rickshaws and biryani');
+        assert.ok(body.package.updatedAt);
+
+        assert.equal((await request('PATCH', `/api/packages/${pkg._id}`, { as: 'admin@example.com', body: {} })).status, 400);
+        assert.equal((await request('PATCH', `/api/packages/${pkg._id}`, { as: 'admin@example.com', body: { tourPlan: [] } })).status, 400);
+        assert.equal((await request('PATCH', '/api/packages/000000000000000000000000', { as: 'admin@example.com', body: { price: 5 } })).status, 404);
+    });
+});
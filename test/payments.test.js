@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage, waitFor } = require('./support/helpers');
+
+test('payments', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, stripe, request, sendStripeEvent } = ctx;
+    await seedUsers(ctx);
+    const pkg = await createPackage(ctx, { price: 120 });
+
+    let nextDay = 10;
+    const acceptedBooking = async () => {
+        const startDate = `2026-05-${String(nextDay++).padStart(2, '0')}`;
+        const created = await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate, guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        await request('PATCH', `/api/bookings/${created.body.booking._id}/status`, { as: 'guide@example.com', body: { status: BOOKING_STATUS.ACCEPTED } });
+        return created.body.booking;
+    };
+    const intentEvent = (id, type, paymentIntent) => ({ id, type, data: { object: { currency: 'usd', created: 1772359200, ...paymentIntent } } });
+    const findBooking = (booking) => db.collection('bookings').findOne({ _id: new ObjectId(booking._id) });
+
+    await t.test('payment intents are priced on the server', async () => {
+        const booking = await acceptedBooking();
+        const { status, body } = await request('POST', '/create-payment-intent', {
+            as: 'tourist@example.com',
+            body: { bookingId: booking._id, amount: 1 },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.amount, 120);
+        const params = stripe.calls.paymentIntents.at(-1);
+        assert.equal(params.amount, 12000);
+        assert.equal(params.currency, 'usd');
+        assert.equal(params.metadata.bookingId, String(booking._id));
+    });
+
+    await t.test('only the tourist pays, and only once the guide accepted', async () => {
+        const booking = await acceptedBooking();
+        assert.equal((await request('POST', '/create-payment-intent', { as: 'guide@example.com', body: { bookingId: booking._id } })).status, 403);
+
+        const pending = await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate: '2026-06-01', guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        const early = await request('POST', '/create-payment-intent', { as: 'tourist@example.com', body: { bookingId: pending.body.booking._id } });
+        assert.equal(early.status, 400);
+    });
+
+    await t.test('a signed payment_intent.succeeded marks the booking paid and records the payment once', async () => {
+        const booking = await acceptedBooking();
+        const event = intentEvent('evt_paid', 'payment_intent.succeeded', {
+            id: 'pi_paid',
+            amount_received: 12000,
+            metadata: { bookingId: String(booking._id), couponCode: '' },
+        });
+
+        const first = await sendStripeEvent(event);
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body, { received: true });
+        const duplicate = await sendStripeEvent(event);
+        assert.deepEqual(duplicate.body, { received: true, duplicate: true });
+
+        const paid = await findBooking(booking);
+        assert.equal(paid.status, BOOKING_STATUS.PAID);
+        assert.equal(paid.paymentStatus, 'succeeded');
+        assert.deepEqual(paid.statusHistory.at(-1).actor, { email: 'stripe', role: 'payment' });
+        const payments = await db.collection('payments').find({ paymentIntentId: 'pi_paid' }).toArray();
+        assert.equal(payments.length, 1);
+        assert.equal(payments[0].amount, 120);
+        assert.equal(payments[0].email, 'tourist@example.com');
+
+        const lookup = await request('POST', '/payments', { as: 'tourist@example.com', body: { paymentIntentId: 'pi_paid' } });
+        assert.equal(lookup.body.pending, false);
+        assert.equal((await request('POST', '/payments', { as: 'guide@example.com', body: { paymentIntentId: 'pi_paid' } })).status, 403);
+    });
+
+    await t.test('events without a valid signature are refused', async () => {
+        const booking = await acceptedBooking();
+        const payload = JSON.stringify(intentEvent('evt_forged', 'payment_intent.succeeded', {
+            id: 'pi_forged',
+            amount_received: 12000,
+            metadata: { bookingId: String(booking._id) },
+        }));
+        const forged = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_someone_else' });
+        const responses = [
+            await request('POST', '/webhooks/stripe', { body: payload, headers: { 'stripe-signature': forged } }),
+            await request('POST', '/webhooks/stripe', { body: payload }),
+        ];
+        for (const response of responses) {
+            assert.equal(response.status, 400);
+        }
+        assert.equal((await findBooking(booking)).status, BOOKING_STATUS.ACCEPTED);
+    });
+
+    await t.test('unhandled event types are acknowledged and ignored', async () => {
+        const { status, body } = await sendStripeEvent({ id: 'evt_other', type: 'customer.created', data: { object: {} } });
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, ignored: true });
+    });
+
+    await t.test('failed payments are recorded on the booking', async () => {
+        const booking = await acceptedBooking();
+        await sendStripeEvent(intentEvent('evt_failed', 'payment_intent.payment_failed', {
+            id: 'pi_failed',
+            metadata: { bookingId: String(booking._id) },
+            last_payment_error: { message: 'Your card was declined.' },
+        }));
+        const failed = await findBooking(booking);
+        assert.equal(failed.status, BOOKING_STATUS.ACCEPTED);
+        assert.equal(failed.paymentStatus, 'failed');
+        assert.equal(failed.paymentError, 'Your card was declined.');
+    });
+
+    await t.test('refunds made in Stripe update the payment and the booking', async () => {
+        const booking = await acceptedBooking();
+        await sendStripeEvent(intentEvent('evt_refundable', 'payment_intent.succeeded', {
+            id: 'pi_refundable',
+            amount_received: 12000,
+            metadata: { bookingId: String(booking._id) },
+        }));
+        await sendStripeEvent({
+            id: 'evt_charge_refunded',
+            type: 'charge.refunded',
+            data: { object: { payment_intent: 'pi_refundable', refunded: false, amount_refunded: 3000, currency: 'usd' } },
+        });
+        const payment = await db.collection('payments').findOne({ paymentIntentId: 'pi_refundable' });
+        assert.equal(payment.status, 'partially_refunded');
+        assert.equal(payment.amountRefunded, 30);
+        assert.equal((await findBooking(booking)).paymentStatus, 'partially_refunded');
+    });
+
+    await t.test('coupons are reserved at checkout and given back when the payment fails', async () => {
+        const created = await request('POST', '/api/coupons', {
+            as: 'admin@example.com',
+            body: { code: 'spring10', type: 'percentage', value: 10, maxUses: 1 },
+        });
+        assert.equal(created.status, 201);
+        const usedCount = async () => (await db.collection('coupons').findOne({ code: 'SPRING10' })).usedCount;
+
+        const first = await acceptedBooking();
+        const second = await acceptedBooking();
+        const discounted = await request('POST', '/create-payment-intent', { as: 'tourist@example.com', body: { bookingId: first._id, couponCode: 'spring10' } });
+        assert.equal(discounted.body.amount, 108);
+        assert.equal(await usedCount(), 1);
+        // Checking out again keeps the same reservation
+        assert.equal((await request('POST', '/create-payment-intent', { as: 'tourist@example.com', body: { bookingId: first._id, couponCode: 'SPRING10' } })).status, 200);
+        assert.equal(await usedCount(), 1);
+
+        const refused = await request('POST', '/create-payment-intent', { as: 'tourist@example.com', body: { bookingId: second._id, couponCode: 'SPRING10' } });
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.message, 'Coupon usage limit reached');
+
+        await sendStripeEvent(intentEvent('evt_coupon_failed', 'payment_intent.payment_failed', {
+            id: 'pi_coupon',
+            metadata: { bookingId: String(first._id), couponCode: 'SPRING10' },
+        }));
+        assert.equal(await usedCount(), 0);
+        assert.equal((await request('POST', '/create-payment-intent', { as: 'tourist@example.com', body: { bookingId: second._id, couponCode: 'SPRING10' } })).status, 200);
+        assert.equal(await usedCount(), 1);
+    });
+
+    await t.test('fixed coupons need a currency and codes are unique', async () => {
+        const fixed = await request('POST', '/api/coupons', { as: 'admin@example.com', body: { code: 'flat5', type: 'fixed', value: 5 } });
+        assert.equal(fixed.status, 400);
+        const duplicate = await request('POST', '/api/coupons', { as: 'admin@example.com', body: { code: 'Spring10', type: 'percentage', value: 5 } });
+        assert.equal(duplicate.status, 400);
+        assert.equal(duplicate.body.message, 'Coupon code already exists');
+    });
+
+    await t.test('the tourist and the guide hear about the payment', async () => {
+        const booking = await acceptedBooking();
+        await sendStripeEvent(intentEvent('evt_notified', 'payment_intent.succeeded', {
+            id: 'pi_notified',
+            amount_received: 12000,
+            metadata: { bookingId: String(booking._id) },
+        }));
+        const notifications = db.collection('notifications');
+        const forBooking = (email) => notifications.findOne({ email, type: 'booking_paid', 'data.bookingId': String(booking._id) });
+        assert.ok(await waitFor(() => forBooking('tourist@example.com')));
+        assert.ok(await waitFor(() => forBooking('guide@example.com')));
+    });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { ROUTE_PERMISSIONS, findUnlistedRoutes } = require('../permissions');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+// Levels that let requests in without an access token
+const OPEN_LEVELS = ['public', 'firebase', 'refresh', 'signature'];
+
+test('route permissions', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { app, db, request } = ctx;
+    await seedUsers(ctx);
+    const pkg = await createPackage(ctx);
+
+    await t.test('the table lists exactly the registered routes', () => {
+        assert.deepEqual(findUnlistedRoutes(app), []);
+        const registered = new Set(app._router.stack
+            .filter(layer => layer.route)
+            .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`)));
+        assert.deepEqual(Object.keys(ROUTE_PERMISSIONS).filter(key => !registered.has(key)), []);
+    });
+
+    await t.test('every route that needs a signed-in user refuses anonymous requests', async () => {
+        const id = String(new ObjectId());
+        for (const [key, level] of Object.entries(ROUTE_PERMISSIONS)) {
+            if (OPEN_LEVELS.some(open => level.startsWith(open))) {
+                continue;
+            }
+            const [method, path] = key.split(' ');
+            const url = path.replace(/:(\w+)/g, (_, name) => (name === 'email' ? 'someone@example.com' : id));
+            const { status } = await request(method, url, { body: method === 'GET' ? undefined : {} });
+            assert.equal(status, 401, key);
+        }
+    });
+
+    await t.test('tokens signed with another secret are refused', async () => {
+        const forged = jwt.sign({ email: 'admin@example.com' }, 'not-the-secret');
+        const { status } = await request('GET', '/api/users', { headers: { authorization: `Bearer ${forged}` } });
+        assert.equal(status, 401);
+    });
+
+    await t.test('admin routes check the stored role', async () => {
+        assert.equal((await request('GET', '/api/users', { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('PATCH', `/api/packages/${pkg._id}`, { as: 'guide@example.com', body: { price: 1 } })).status, 403);
+        assert.equal((await request('GET', '/api/users', { as: 'admin@example.com' })).status, 200);
+
+        // Role changes apply to tokens issued before them
+        await db.collection('users').updateOne({ email: 'admin@example.com' }, { $set: { role: 'tourist' } });
+        assert.equal((await request('GET', '/api/users', { as: 'admin@example.com' })).status, 403);
+        await db.collection('users').updateOne({ email: 'admin@example.com' }, { $set: { role: 'admin' } });
+    });
+
+    await t.test('role routes refuse the other roles', async () => {
+        const booking = {
+            packageId: pkg._id,
+            startDate: '2026-04-10',
+            guide: 'guide@example.com',
+            participants: [{ name: 'Gail', type: 'adult' }],
+        };
+        assert.equal((await request('POST', '/api/bookings', { as: 'guide@example.com', body: booking })).status, 403);
+        assert.equal((await request('GET', '/api/assigned-tours', { as: 'tourist@example.com' })).status, 403);
+        assert.equal((await request('GET', '/api/assigned-tours', { as: 'guide@example.com' })).status, 200);
+    });
+
+    await t.test('users only reach their own data unless they are admins', async () => {
+        for (const url of ['/api/bookings?email=guide@example.com', '/payments/guide@example.com', '/api/wishlist/guide@example.com', '/api/profile?email=guide@example.com']) {
+            assert.equal((await request('GET', url, { as: 'tourist@example.com' })).status, 403, url);
+            assert.equal((await request('GET', url, { as: 'admin@example.com' })).status, 200, url);
+        }
+        assert.equal((await request('GET', '/api/bookings?email=tourist@example.com', { as: 'tourist@example.com' })).status, 200);
+    });
+
+    await t.test('bookings are only open to their tourist, their guide and admins', async () => {
+        const created = await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate: '2026-04-10', guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        const { booking } = created.body;
+        await request('POST', '/register', { body: { idToken: 'stranger@example.com', name: 'Stranger' } });
+        for (const email of ['tourist@example.com', 'guide@example.com', 'admin@example.com']) {
+            assert.equal((await request('GET', `/api/bookings/${booking._id}/history`, { as: email })).status, 200, email);
+        }
+        assert.equal((await request('GET', `/api/bookings/${booking._id}/history`, { as: 'stranger@example.com' })).status, 403);
+        assert.equal((await request('DELETE', `/api/bookings/${booking._id}`, { as: 'stranger@example.com', body: {} })).status, 403);
+    });
+});
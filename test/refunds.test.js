@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+// The clock stands at 2026-03-01; the default policy refunds 100% from 14 days before the start, 50% from 7 days
+test('cancellation refunds', async (t) => {
+    const ctx = await startTestApp({ now: '2026-03-01T10:00:00Z' });
+    t.after(() => ctx.close());
+    const { db, stripe, request, sendStripeEvent } = ctx;
+    await seedUsers(ctx);
+    const pkg = await createPackage(ctx, { price: 200 });
+
+    let eventCount = 0;
+    const paidBooking = async (startDate) => {
+        const created = await request('POST', '/api/bookings', {
+            as: 'tourist@example.com',
+            body: { packageId: pkg._id, startDate, guide: 'guide@example.com', participants: [{ name: 'Tess', type: 'adult' }] },
+        });
+        const booking = created.body.booking;
+        await request('PATCH', `/api/bookings/${booking._id}/status`, { as: 'guide@example.com', body: { status: BOOKING_STATUS.ACCEPTED } });
+        eventCount++;
+        const paid = await sendStripeEvent({
+            id: `evt_refund_test_${eventCount}`,
+            type: 'payment_intent.succeeded',
+            data: {
+                object: {
+                    id: `pi_refund_test_${eventCount}`,
+                    amount_received: 20000,
+                    currency: 'usd',
+                    created: 1772359200,
+                    metadata: { bookingId: String(booking._id) },
+                },
+            },
+        });
+        assert.equal(paid.status, 200);
+        return booking;
+    };
+    const cancel = (booking, as, body = {}) => request('DELETE', `/api/bookings/${booking._id}`, { as, body });
+    const refundsFor = (booking) => db.collection('payments').find({ type: 'refund', bookingId: String(booking._id) }).toArray();
+
+    await t.test('cancelling well ahead refunds everything', async () => {
+        const booking = await paidBooking('2026-03-20');
+        const preview = await request('GET', `/api/bookings/${booking._id}/refund-preview`, { as: 'tourist@example.com' });
+        assert.equal(preview.body.refundable, true);
+        assert.equal(preview.body.refundAmount, 200);
+        assert.equal(preview.body.daysBeforeStart, 19);
+
+        const { status, body } = await cancel(booking, 'tourist@example.com');
+        assert.equal(status, 200);
+        assert.equal(body.booking.status, BOOKING_STATUS.CANCELLED);
+        assert.equal(body.booking.refund.amount, 200);
+        assert.equal(body.booking.refund.status, 'succeeded');
+
+        const { params, options } = stripe.calls.refunds.at(-1);
+        assert.equal(params.amount, 20000);
+        assert.equal(options.idempotencyKey, `booking-cancel-refund-${booking._id}-20000`);
+        const refunds = await refundsFor(booking);
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].amount, 200);
+    });
+
+    await t.test('cancelling within two weeks refunds half', async () => {
+        const booking = await paidBooking('2026-03-10');
+        const { body } = await cancel(booking, 'tourist@example.com');
+        assert.equal(body.booking.refund.refundPercent, 50);
+        assert.equal(body.booking.refund.amount, 100);
+        assert.equal(stripe.calls.refunds.at(-1).params.amount, 10000);
+    });
+
+    await t.test('cancelling at the last minute refunds nothing and calls no one', async () => {
+        const booking = await paidBooking('2026-03-03');
+        const refundCalls = stripe.calls.refunds.length;
+        const { status, body } = await cancel(booking, 'tourist@example.com');
+        assert.equal(status, 200);
+        assert.equal(body.booking.refund.amount, 0);
+        assert.equal(body.booking.refund.status, undefined);
+        assert.equal(stripe.calls.refunds.length, refundCalls);
+        assert.deepEqual(await refundsFor(booking), []);
+    });
+
+    await t.test('admins may override the percentage, tourists may not', async () => {
+        const booking = await paidBooking('2026-03-04');
+        const { body } = await cancel(booking, 'admin@example.com', { refundPercent: 80, reason: 'Guide fell ill' });
+        assert.equal(body.booking.refund.refundPercent, 80);
+        assert.equal(body.booking.refund.amount, 160);
+
+        const other = await paidBooking('2026-03-05');
+        const ignored = await cancel(other, 'tourist@example.com', { refundPercent: 100 });
+        assert.equal(ignored.body.booking.refund.refundPercent, 0);
+    });
+
+    await t.test('a refund Stripe refuses leaves the booking cancelled with the refund marked failed', async (t) => {
+        stripe.failRefunds = true;
+        t.after(() => {
+            stripe.failRefunds = false;
+        });
+        const booking = await paidBooking('2026-03-25');
+        const { status, body } = await cancel(booking, 'tourist@example.com');
+        assert.equal(status, 502);
+        assert.equal(body.code, 'REFUND_FAILED');
+
+        const stored = await db.collection('bookings').findOne({ _id: new ObjectId(booking._id) });
+        assert.equal(stored.status, BOOKING_STATUS.CANCELLED);
+        assert.equal(stored.refund.status, 'failed');
+        assert.equal(stored.refund.amount, 200);
+        assert.deepEqual(await refundsFor(booking), []);
+    });
+
+    await t.test('a booking is only refunded once', async () => {
+        const booking = await paidBooking('2026-03-26');
+        assert.equal((await cancel(booking, 'tourist@example.com')).status, 200);
+        const refundCalls = stripe.calls.refunds.length;
+        assert.equal((await cancel(booking, 'tourist@example.com')).status, 409);
+        assert.equal((await cancel(booking, 'admin@example.com', { refundPercent: 100 })).status, 409);
+        assert.equal(stripe.calls.refunds.length, refundCalls);
+        assert.equal((await refundsFor(booking)).length, 1);
+    });
+
+    await t.test('only the tourist and admins can see the refund preview', async () => {
+        const booking = await paidBooking('2026-03-27');
+        const preview = await request('GET', `/api/bookings/${booking._id}/refund-preview`, { as: 'guide@example.com' });
+        assert.equal(preview.status, 403);
+    });
+});
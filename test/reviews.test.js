@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { BOOKING_STATUS } = require('../lib/bookings');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+test('guide reviews', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { db, request } = ctx;
+    const { guide } = await seedUsers(ctx);
+    const pkg = await createPackage(ctx);
+    await request('POST', '/register', { body: { idToken: 'other@example.com', name: 'Otto Other' } });
+
+    const addBooking = async (fields = {}) => {
+        const booking = {
+            _id: new ObjectId(),
+            packageId: String(pkg._id),
+            guideId: String(guide._id),
+            email: 'tourist@example.com',
+            startDate: new Date('2026-02-01T00:00:00Z'),
+            status: BOOKING_STATUS.COMPLETED,
+            ...fields,
+        };
+        await db.collection('bookings').insertOne(booking);
+        return booking;
+    };
+    const review = (booking, body, as = 'tourist@example.com') => request('POST', `/api/guides/${guide._id}/review`, {
+        as,
+        body: { bookingId: String(booking._id), ...body },
+    });
+    const summary = async () => {
+        const [guideSummary, packageSummary] = await Promise.all([
+            db.collection('users').findOne({ _id: guide._id }),
+            db.collection('packages').findOne({ _id: new ObjectId(pkg._id) }),
+        ]);
+        return {
+            guide: [guideSummary.averageRating, guideSummary.reviewCount],
+            package: [packageSummary.averageRating, packageSummary.reviewCount],
+        };
+    };
+
+    await t.test('a completed tour can be reviewed once and updates the rating summaries', async () => {
+        const booking = await addBooking();
+        const { status, body } = await review(booking, { rating: 4, comment: 'Knew every bird' });
+        assert.equal(status, 201);
+        assert.equal(body.review.authorName, 'Tess Tourist');
+        assert.deepEqual(await summary(), { guide: [4, 1], package: [4, 1] });
+
+        const again = await review(booking, { rating: 5 });
+        assert.equal(again.status, 409);
+    });
+
+    await t.test('ratings sent as form strings are stored as numbers', async () => {
+        const booking = await addBooking();
+        const { status, body } = await review(booking, { rating: '5' });
+        assert.equal(status, 201);
+        assert.equal(body.review.rating, 5);
+        assert.deepEqual(await summary(), { guide: [4.5, 2], package: [4.5, 2] });
+    });
+
+    await t.test('ratings outside 1 to 5 or not whole are refused', async () => {
+        const booking = await addBooking();
+        for (const rating of [0, 6, 4.5, 'great', undefined]) {
+            assert.equal((await review(booking, { rating })).status, 400, String(rating));
+        }
+    });
+
+    await t.test('only the tourist of a completed tour with this guide can review', async () => {
+        const unfinished = await addBooking({ status: BOOKING_STATUS.PAID });
+        assert.equal((await review(unfinished, { rating: 5 })).status, 403);
+        const someoneElses = await addBooking({ email: 'other@example.com' });
+        assert.equal((await review(someoneElses, { rating: 5 })).status, 403);
+        const otherGuide = await addBooking({ guideId: String(new ObjectId()) });
+        assert.equal((await review(otherGuide, { rating: 5 })).status, 403);
+        assert.equal((await review(await addBooking(), { rating: 5 }, 'guide@example.com')).status, 403);
+    });
+
+    await t.test('authors edit their own reviews', async () => {
+        const booking = await addBooking();
+        const { body } = await review(booking, { rating: 1 });
+        const url = `/api/reviews/${body.review._id}`;
+        assert.equal((await request('PATCH', url, { as: 'other@example.com', body: { rating: 5 } })).status, 403);
+        assert.equal((await request('PATCH', url, { as: 'tourist@example.com', body: { rating: 7 } })).status, 400);
+
+        const edited = await request('PATCH', url, { as: 'tourist@example.com', body: { rating: '3', comment: null } });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.review.rating, 3);
+        assert.equal(edited.body.review.comment, '');
+        assert.deepEqual((await summary()).guide, [4, 3]);
+    });
+
+    await t.test('hidden reviews leave the listing and the summaries', async () => {
+        const listed = await request('GET', `/api/guides/${guide._id}/reviews`);
+        assert.equal(listed.body.total, 3);
+        assert.equal(listed.body.items[0].authorEmail, undefined);
+
+        const target = listed.body.items.find(item => item.rating === 3);
+        assert.equal((await request('PATCH', `/api/reviews/${target._id}/moderation`, { as: 'tourist@example.com', body: { hidden: true } })).status, 403);
+        const hidden = await request('PATCH', `/api/reviews/${target._id}/moderation`, {
+            as: 'admin@example.com',
+            body: { hidden: true, reason: 'Off topic' },
+        });
+        assert.equal(hidden.status, 200);
+        assert.equal((await request('GET', `/api/guides/${guide._id}/reviews`)).body.total, 2);
+        assert.deepEqual(await summary(), { guide: [4.5, 2], package: [4.5, 2] });
+    });
+});
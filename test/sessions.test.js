@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startTestApp, seedUsers } = require('./support/helpers');
+
+const readRefreshCookie = (headers) => {
+    const cookie = headers.getSetCookie().find(value => value.startsWith('refreshToken='));
+    return cookie ? decodeURIComponent(cookie.split(';')[0].slice('refreshToken='.length)) : undefined;
+};
+
+test('refresh token sessions', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, db, request } = ctx;
+    await seedUsers(ctx);
+    const refreshTokens = db.collection('refreshTokens');
+
+    const signIn = async (email = 'tourist@example.com', userAgent = 'Phone') => {
+        const { status, body, headers } = await request('POST', '/jwt', { body: { idToken: email }, headers: { 'user-agent': userAgent } });
+        assert.equal(status, 200);
+        return { accessToken: body.token, refreshToken: readRefreshCookie(headers) };
+    };
+    const refresh = (refreshToken) => request('POST', '/auth/refresh', {
+        headers: refreshToken ? { cookie: `refreshToken=${encodeURIComponent(refreshToken)}` } : {},
+    });
+
+    await t.test('signing in sets an httpOnly cookie scoped to the auth routes and stores only its hash', async () => {
+        const response = await request('POST', '/jwt', { body: { idToken: 'tourist@example.com' } });
+        const cookie = response.headers.getSetCookie()[0];
+        assert.match(cookie, /HttpOnly/);
+        assert.match(cookie, /Path=\/auth/);
+        assert.match(cookie, /SameSite=Strict/);
+        const token = readRefreshCookie(response.headers);
+        assert.equal(await refreshTokens.countDocuments({ tokenHash: token }), 0);
+        assert.equal(jwt.decode(response.body.token).email, 'tourist@example.com');
+    });
+
+    await t.test('each refresh replaces the token and gives a new access token', async () => {
+        const session = await signIn('tourist@example.com', 'Tablet');
+        const first = await refresh(session.refreshToken);
+        assert.equal(first.status, 200);
+        assert.equal(jwt.decode(first.body.token).role, 'tourist');
+        const rotated = readRefreshCookie(first.headers);
+        assert.notEqual(rotated, session.refreshToken);
+        assert.equal((await refresh(rotated)).status, 200);
+
+        const { familyId } = await refreshTokens.findOne({ 'device.userAgent': 'Tablet' });
+        const family = await refreshTokens.find({ familyId }).sort({ _id: 1 }).toArray();
+        assert.equal(family.length, 3);
+        assert.deepEqual(family.map(token => token.revokedReason), ['rotated', 'rotated', null]);
+        assert.equal(family[0].replacedBy, family[1].tokenHash);
+    });
+
+    await t.test('a rotated token used again revokes the whole family', async () => {
+        const session = await signIn();
+        const stolen = session.refreshToken;
+        const rotated = readRefreshCookie((await refresh(stolen)).headers);
+        const newest = readRefreshCookie((await refresh(rotated)).headers);
+
+        const reused = await refresh(stolen);
+        assert.equal(reused.status, 401);
+        assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+        assert.match(reused.headers.getSetCookie()[0], /refreshToken=;/);
+
+        // The thief's copy and the owner's latest token are both dead now
+        const afterReuse = await refresh(newest);
+        assert.equal(afterReuse.status, 401);
+        assert.equal(afterReuse.body.code, 'INVALID_REFRESH_TOKEN');
+        const other = await signIn();
+        assert.equal((await refresh(other.refreshToken)).status, 200, 'other sessions are untouched');
+    });
+
+    await t.test('unknown, missing and expired tokens are refused', async () => {
+        assert.equal((await refresh('made-up')).body.code, 'INVALID_REFRESH_TOKEN');
+        assert.equal((await refresh()).status, 401);
+
+        const session = await signIn();
+        clock.set('2026-04-01T10:00:00Z');
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        clock.set('2026-03-01T10:00:00Z');
+    });
+
+    await t.test('logging out ends this device only', async () => {
+        const phone = await signIn('guide@example.com', 'Phone');
+        const laptop = await signIn('guide@example.com', 'Laptop');
+        const out = await request('POST', '/auth/logout', { headers: { cookie: `refreshToken=${encodeURIComponent(phone.refreshToken)}` } });
+        assert.equal(out.status, 200);
+        assert.equal((await refresh(phone.refreshToken)).status, 401);
+        assert.equal((await refresh(laptop.refreshToken)).status, 200);
+        assert.equal((await request('POST', '/auth/logout')).status, 200);
+    });
+
+    await t.test('logging out everywhere ends every session of the user', async () => {
+        const phone = await signIn('admin@example.com', 'Phone');
+        const laptop = await signIn('admin@example.com', 'Laptop');
+        assert.equal((await request('POST', '/auth/logout-all')).status, 401);
+        const out = await request('POST', '/auth/logout-all', { as: 'admin@example.com' });
+        assert.deepEqual(out.body, { success: true, revoked: 2 });
+        assert.equal((await refresh(phone.refreshToken)).status, 401);
+        assert.equal((await refresh(laptop.refreshToken)).status, 401);
+    });
+
+    await t.test('a role change ends the user\'s sessions so the next token carries the new role', async () => {
+        const session = await signIn('tourist@example.com');
+        const { body } = await request('POST', '/api/guide-applications', {
+            as: 'tourist@example.com',
+            body: {
+                bio: 'Born in Khulna, twelve years on the rivers of the Sundarbans.',
+                experience: 'Led boat safaris for a lodge since 2014',
+                languages: ['Bangla'],
+            },
+        });
+        await request('PATCH', `/api/guide-applications/${body.application._id}/status`, { as: 'admin@example.com', body: { status: 'approved' } });
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        const again = await signIn('tourist@example.com');
+        assert.equal(jwt.decode(again.accessToken).role, 'tourguide');
+    });
+
+    await t.test('users who no longer exist cannot refresh', async () => {
+        await request('POST', '/register', { body: { idToken: 'gone@example.com', name: 'Gone' } });
+        const session = await signIn('gone@example.com');
+        await db.collection('users').deleteOne({ email: 'gone@example.com' });
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+        const stored = await refreshTokens.find({ email: 'gone@example.com' }).toArray();
+        assert.deepEqual(stored.map(token => token.revokedReason), ['user_missing']);
+    });
+});
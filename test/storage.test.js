@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const {
+    isValidKey,
+    createLocalStorage,
+    saveImage,
+    saveDocument,
+    FileValidationError,
+    ImageValidationError,
+} = require('../storage');
+const { startTestApp } = require('./support/helpers');
+
+const createPng = (width = 800, height = 600) => sharp({
+    create: { width, height, channels: 3, background: { r: 20, g: 120, b: 60 } },
+}).png().toBuffer();
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+test('isValidKey', () => {
+    for (const key of ['packages/abc.jpg', 'a', 'guide-documents/0f-1.pdf', 'x/y/z_1.webp']) {
+        assert.equal(isValidKey(key), true, key);
+    }
+    for (const key of ['', '/etc/passwd', '../secret', 'packages/../../secret', '.hidden', 'a b.jpg', 'a\\b', null, 42]) {
+        assert.equal(isValidKey(key), false, String(key));
+    }
+});
+
+test('local storage', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    t.after(() => fs.rm(root, { recursive: true, force: true }));
+    const storage = createLocalStorage({ root });
+
+    await t.test('stores, reads back and deletes files with their content type', async () => {
+        await storage.put('notes/a.txt', Buffer.from('hello'), 'text/plain');
+        const stored = await storage.get('notes/a.txt');
+        assert.equal(stored.body.toString(), 'hello');
+        assert.equal(stored.contentType, 'text/plain');
+
+        await storage.delete('notes/a.txt');
+        assert.equal(await storage.get('notes/a.txt'), null);
+        // Deleting again is not an error
+        await storage.delete('notes/a.txt');
+    });
+
+    await t.test('missing files read as null', async () => {
+        assert.equal(await storage.get('nothing/here.png'), null);
+    });
+
+    await t.test('images are stored once under their content hash with a thumbnail', async () => {
+        const png = await createPng();
+        const saved = await saveImage(storage, png, { prefix: 'packages' });
+        assert.match(saved.key, /^packages\/[0-9a-f]{64}\.png$/);
+        assert.equal(saved.thumbnailKey, saved.key.replace('.png', '-thumb.webp'));
+        assert.equal(saved.contentType, 'image/png');
+        assert.equal(saved.width, 800);
+
+        const thumbnail = await storage.get(saved.thumbnailKey);
+        assert.equal(thumbnail.contentType, 'image/webp');
+        assert.equal((await sharp(thumbnail.body).metadata()).width, 400);
+
+        const again = await saveImage(storage, png, { prefix: 'packages' });
+        assert.equal(again.key, saved.key);
+    });
+
+    await t.test('anything that is not a supported image is refused', async () => {
+        await assert.rejects(saveImage(storage, Buffer.from('not an image')), ImageValidationError);
+        await assert.rejects(saveImage(storage, Buffer.alloc(0)), /empty/);
+        await assert.rejects(saveImage(storage, PDF), ImageValidationError);
+    });
+
+    await t.test('documents are sniffed and stored under random keys', async () => {
+        const pdf = await saveDocument(storage, PDF, { prefix: 'guide-documents', originalName: '../../certificate.pdf' });
+        assert.match(pdf.key, /^guide-documents\/[0-9a-f-]{36}\.pdf$/);
+        assert.equal(pdf.contentType, 'application/pdf');
+        assert.equal(pdf.name, 'certificate.pdf');
+        assert.deepEqual((await storage.get(pdf.key)).body, PDF);
+
+        const scan = await saveDocument(storage, await createPng(100, 100), { prefix: 'guide-documents' });
+        assert.equal(scan.contentType, 'image/png');
+        const again = await saveDocument(storage, PDF, { prefix: 'guide-documents' });
+        assert.notEqual(again.key, pdf.key);
+    });
+
+    await t.test('documents must be PDF, JPEG or PNG', async () => {
+        await assert.rejects(saveDocument(storage, Buffer.from('#!/bin/sh\necho hi\n')), FileValidationError);
+        const gif = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#fff' } }).gif().toBuffer();
+        await assert.rejects(saveDocument(storage, gif), /PDF, JPEG or PNG/);
+    });
+});
+
+test('serving stored images', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request, imageStorage } = ctx;
+    const saved = await saveImage(imageStorage, await createPng(), { prefix: 'packages' });
+
+    await t.test('images are served with long-lived caching', async () => {
+        const response = await fetch(`${ctx.baseUrl}/images/${saved.key}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'image/png');
+        assert.match(response.headers.get('cache-control'), /immutable/);
+        const cached = await fetch(`${ctx.baseUrl}/images/${saved.key}`, { headers: { 'if-none-match': response.headers.get('etag') } });
+        assert.equal(cached.status, 304);
+    });
+
+    await t.test('unknown, unsafe and private keys are not found', async () => {
+        const document = await saveDocument(imageStorage, PDF, { prefix: 'guide-documents' });
+        for (const key of ['packages/missing.png', '..%2Fsecret', document.key]) {
+            const response = await request('GET', `/images/${key}`);
+            assert.equal(response.status, 404, key);
+            assert.equal(response.headers.get('cache-control'), null);
+        }
+    });
+});
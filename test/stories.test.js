@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedUsers } = require('./support/helpers');
+
+test('tourist stories', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, db, request } = ctx;
+    await seedUsers(ctx);
+
+    const post = async (title, as = 'tourist@example.com') => {
+        const { status, body } = await request('POST', '/api/story', {
+            as,
+            body: { title, content: `${title}, told in full` },
+        });
+        assert.equal(status, 201);
+        return body.story;
+    };
+    clock.set('2026-03-01T10:00:00Z');
+    const mangroves = await post('Into the mangroves');
+    clock.set('2026-03-02T10:00:00Z');
+    const tea = await post('A morning among the tea', 'guide@example.com');
+    const titles = (items) => items.map(story => story.title);
+    const comment = (story, body, as, parentId) => request('POST', `/api/stories/${story._id}/comments`, { as, body: { body, parentId } });
+
+    await t.test('stories need a title and content', async () => {
+        const { status, body } = await request('POST', '/api/story', { as: 'tourist@example.com', body: { title: 'No content' } });
+        assert.equal(status, 400);
+        assert.match(body.message, /content/);
+        assert.equal((await request('POST', '/api/story', { body: { title: 'x', content: 'y' } })).status, 401);
+    });
+
+    await t.test('listings are newest first and show the author as they are now', async () => {
+        await db.collection('users').updateOne({ email: 'tourist@example.com' }, { $set: { name: 'Tess T.' } });
+        const { body } = await request('GET', '/api/stories');
+        assert.deepEqual(titles(body), ['A morning among the tea', 'Into the mangroves']);
+        assert.equal(body[1].posterName, 'Tess T.');
+        assert.equal(body[1].likedBy, undefined);
+        assert.equal((await request('GET', '/api/stories?limit=1')).body.total, 2);
+    });
+
+    await t.test('likes are counted once per reader', async () => {
+        const like = (as) => request('POST', `/api/stories/${mangroves._id}/like`, { as });
+        await like('guide@example.com');
+        assert.equal((await like('guide@example.com')).body.likeCount, 1);
+        assert.equal((await like('admin@example.com')).body.likeCount, 2);
+        const unliked = await request('DELETE', `/api/stories/${mangroves._id}/like`, { as: 'admin@example.com' });
+        assert.deepEqual(unliked.body, { liked: false, likeCount: 1 });
+
+        const mine = await request('GET', `/api/stories/${mangroves._id}`, { as: 'guide@example.com' });
+        assert.equal(mine.body.likedByMe, true);
+        assert.deepEqual(titles((await request('GET', '/api/stories?sort=popular')).body), ['Into the mangroves', 'A morning among the tea']);
+    });
+
+    await t.test('comments thread under their parent', async () => {
+        const first = await comment(mangroves, 'Which boat did you take?', 'guide@example.com');
+        assert.equal(first.status, 201);
+        const reply = await comment(mangroves, 'The MV Bonbibi', 'tourist@example.com', first.body._id);
+        const nested = await comment(mangroves, 'Good choice', 'guide@example.com', reply.body._id);
+        assert.equal(nested.body.rootId, first.body._id);
+        assert.equal((await comment(tea, 'Wrong story', 'guide@example.com', first.body._id)).status, 400);
+        assert.equal((await comment(mangroves, '', 'guide@example.com')).status, 400);
+
+        const { body } = await request('GET', `/api/stories/${mangroves._id}/comments`);
+        assert.equal(body.total, 1);
+        const [thread] = body.items;
+        assert.equal(thread.authorName, 'Gail Guide');
+        assert.deepEqual(thread.replies.map(item => [item.body, item.parentId]), [
+            ['The MV Bonbibi', first.body._id],
+            ['Good choice', reply.body._id],
+        ]);
+    });
+
+    await t.test('comment listings do not show emails or moderation details', async () => {
+        const [thread] = (await request('GET', `/api/stories/${mangroves._id}/comments`)).body.items;
+        await request('DELETE', `/api/stories/${mangroves._id}/comments/${thread.replies[0]._id}`, { as: 'admin@example.com' });
+
+        const [after] = (await request('GET', `/api/stories/${mangroves._id}/comments`)).body.items;
+        for (const item of [after, ...after.replies]) {
+            assert.deepEqual(Object.keys(item).filter(key => key !== 'replies').sort(), [
+                '_id', 'authorName', 'authorPhotoURL', 'body', 'createdAt', 'deleted', 'parentId', 'updatedAt',
+            ]);
+        }
+        // A deleted comment stays as a placeholder so its replies keep their place
+        assert.deepEqual([after.replies[0].body, after.replies[0].deleted, after.replies[0].authorName], [null, true, null]);
+        assert.equal(after.replies[1].body, 'Good choice');
+    });
+
+    await t.test('only the commenter edits a comment and only they or an admin delete it', async () => {
+        const { body: mine } = await comment(tea, 'Lovely photos', 'tourist@example.com');
+        const url = `/api/stories/${tea._id}/comments/${mine._id}`;
+        assert.equal((await request('PATCH', url, { as: 'guide@example.com', body: { body: 'Changed' } })).status, 403);
+        assert.equal((await request('PATCH', url, { as: 'admin@example.com', body: { body: 'Changed' } })).status, 403);
+        const edited = await request('PATCH', url, { as: 'tourist@example.com', body: { body: 'Lovely photos!' } });
+        assert.equal(edited.body.body, 'Lovely photos!');
+        assert.equal((await request('DELETE', url, { as: 'guide@example.com' })).status, 403);
+        assert.equal((await request('DELETE', url, { as: 'tourist@example.com' })).status, 200);
+        assert.equal((await request('DELETE', url, { as: 'tourist@example.com' })).status, 404);
+        assert.equal((await request('GET', `/api/stories/${tea._id}`)).body.commentCount, 0);
+    });
+
+    await t.test('hidden stories are only seen by their author and admins', async () => {
+        const hidden = await request('PATCH', `/api/stories/${tea._id}/moderation`, {
+            as: 'admin@example.com',
+            body: { hidden: true, reason: 'Spam link' },
+        });
+        assert.equal(hidden.status, 200);
+        assert.equal((await request('PATCH', `/api/stories/${tea._id}/moderation`, { as: 'guide@example.com', body: { hidden: false } })).status, 403);
+
+        assert.deepEqual(titles((await request('GET', '/api/stories')).body), ['Into the mangroves']);
+        assert.equal((await request('GET', `/api/stories/${tea._id}`, { as: 'tourist@example.com' })).status, 404);
+        assert.equal((await request('GET', `/api/stories/${tea._id}/comments`)).status, 404);
+        assert.equal((await request('GET', `/api/stories/${tea._id}`, { as: 'guide@example.com' })).status, 200);
+        assert.equal((await request('GET', '/api/stories?author=guide@example.com', { as: 'guide@example.com' })).body.length, 1);
+        assert.equal((await request('GET', '/api/stories', { as: 'admin@example.com' })).body.length, 2);
+    });
+
+    await t.test('deleting a story removes its comments', async () => {
+        assert.equal((await request('DELETE', `/api/stories/${mangroves._id}`, { as: 'guide@example.com' })).status, 403);
+        assert.equal((await request('DELETE', `/api/stories/${mangroves._id}`, { as: 'tourist@example.com' })).status, 200);
+        assert.equal(await db.collection('storyComments').countDocuments({ storyId: String(mangroves._id) }), 0);
+    });
+});
@@ -0,0 +1,173 @@
+// Shared test setup: the app on the in-memory database with a settable clock, a silent logger, local file
+// storage in a temporary directory and a Stripe client whose API calls are stubbed (webhook signing is real).
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
+const Stripe = require('stripe');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const { createApp } = require('../../app');
+const { createMemoryDatabase } = require('../../db/memory');
+const { createLogger } = require('../../lib/logger');
+const { createLocalStorage } = require('../../storage');
+
+const silentLogger = createLogger({ level: 'silent' });
+
+const createClock = (now) => {
+    let current = new Date(now);
+    return {
+        now: () => new Date(current),
+        set: (value) => {
+            current = new Date(value);
+        },
+    };
+};
+
+// A real Stripe client, so webhook signatures are checked, with the API calls the routes make recorded
+// in stripe.calls. Set stripe.failRefunds to make refunds fail.
+const createStripeStub = () => {
+    const stripe = Stripe('sk_test_stub');
+    const calls = { paymentIntents: [], refunds: [] };
+    stripe.calls = calls;
+    stripe.failRefunds = false;
+    stripe.paymentIntents = {
+        create: async (params) => {
+            calls.paymentIntents.push(params);
+            return { id: `pi_test_${calls.paymentIntents.length}`, client_secret: 'pi_secret', status: 'requires_payment_method', ...params };
+        },
+        retrieve: async (id) => ({ id, status: 'requires_payment_method', currency: 'usd' }),
+        update: async (id, params) => ({ id, client_secret: 'pi_secret', status: 'requires_payment_method', ...params }),
+    };
+    stripe.refunds = {
+        create: async (params, options) => {
+            calls.refunds.push({ params, options });
+            if (stripe.failRefunds) {
+                throw new Error('Your card was declined');
+            }
+            return { id: `re_test_${calls.refunds.length}`, status: 'succeeded', ...params };
+        },
+    };
+    return stripe;
+};
+
+const tokenFor = (email) => jwt.sign({ email }, process.env.ACCESS_TOKEN_SECRET);
+
+// Build the app and serve it on a random port; call close() when done
+const startTestApp = async ({ now = '2026-03-01T10:00:00Z', ...options } = {}) => {
+    const db = createMemoryDatabase();
+    const clock = createClock(now);
+    const stripe = createStripeStub();
+    const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'api-test-'));
+    const imageStorage = createLocalStorage({ root: uploadDir });
+    const app = createApp({
+        db,
+        stripe,
+        clock,
+        imageStorage,
+        logger: silentLogger,
+        verifyFirebaseIdToken: async (idToken) => ({ email: idToken, uid: `uid-${idToken}` }),
+        ...options,
+    });
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Send a request as the given user (an email) and read the JSON answer
+    const request = async (method, url, { as, body, headers = {} } = {}) => {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: {
+                ...(as ? { authorization: `Bearer ${tokenFor(as)}` } : {}),
+                ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+                ...headers,
+            },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (error) {
+            json = text;
+        }
+        return { status: response.status, headers: response.headers, body: json };
+    };
+
+    // Deliver an event to the webhook the way Stripe would, signed with the webhook secret
+    const sendStripeEvent = (event) => {
+        const payload = JSON.stringify(event);
+        const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+        return request('POST', '/webhooks/stripe', { body: payload, headers: { 'stripe-signature': signature } });
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(uploadDir, { recursive: true, force: true });
+    };
+
+    return { app, db, clock, stripe, imageStorage, baseUrl, request, sendStripeEvent, close };
+};
+
+// Users for a booking: an admin, a tourist and a guide who works every day
+const seedUsers = async ({ db, request }) => {
+    const users = db.collection('users');
+    for (const [email, name] of [['admin@example.com', 'Admin'], ['tourist@example.com', 'Tess Tourist'], ['guide@example.com', 'Gail Guide']]) {
+        await request('POST', '/register', { body: { idToken: email, name } });
+    }
+    await users.updateOne({ email: 'admin@example.com' }, { $set: { role: 'admin' } });
+    await users.updateOne({ email: 'guide@example.com' }, { $set: { role: 'tourguide' } });
+    const guide = await users.findOne({ email: 'guide@example.com' });
+    await request('PUT', `/api/guides/${guide._id}/availability`, {
+        as: 'guide@example.com',
+        body: { weekdays: [0, 1, 2, 3, 4, 5, 6] },
+    });
+    return { guide };
+};
+
+// A published package created through the API; fields override the defaults
+const createPackage = async ({ request }, fields = {}) => {
+    const { body } = await request('POST', '/api/packages', {
+        as: 'admin@example.com',
+        body: {
+            packageName: 'Sundarbans Safari',
+            type: 'wildlife',
+            price: 120,
+            about: 'Three days in the mangrove forest',
+            tourPlan: [{ day: 1, title: 'Arrival', description: 'Boat to the forest lodge' }],
+            status: 'published',
+            ...fields,
+        },
+    });
+    return body.package;
+};
+
+// Resolve once check() returns something truthy; for effects that finish after the response, like notifications
+const waitFor = async (check, { timeoutMs = 2000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+module.exports = {
+    silentLogger,
+    createClock,
+    createStripeStub,
+    tokenFor,
+    startTestApp,
+    seedUsers,
+    createPackage,
+    waitFor,
+};
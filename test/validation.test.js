@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSchema } = require('../validation');
+const { startTestApp, seedUsers } = require('./support/helpers');
+
+const messages = (schema, input) => checkSchema(schema, input).map(problem => problem.message);
+
+test('schema checks', async (t) => {
+    await t.test('empty values only fail required fields', () => {
+        const schema = { name: { type: 'string', required: true }, note: { type: 'string' } };
+        assert.deepEqual(messages(schema, { name: 'Tess', note: '' }), []);
+        assert.deepEqual(messages(schema, { note: null }), ['name is required']);
+        assert.deepEqual(messages(schema, { name: '' }), ['name is required']);
+        assert.deepEqual(messages({ note: { type: 'string', required: true, nullable: true } }, { note: null }), []);
+    });
+
+    await t.test('numbers and booleans accept their form-string versions', () => {
+        const schema = { count: { type: 'integer', min: 1, max: 10 }, price: { type: 'number' }, flag: { type: 'boolean' } };
+        assert.deepEqual(messages(schema, { count: '3', price: '12.5', flag: 'false' }), []);
+        assert.deepEqual(messages(schema, { count: '2.5' }), ['count must be a whole number']);
+        assert.deepEqual(messages(schema, { count: 11 }), ['count must be at most 10']);
+        assert.deepEqual(messages(schema, { price: 'cheap' }), ['price must be a number']);
+        assert.deepEqual(messages(schema, { price: ' ' }), ['price must be a number']);
+        assert.deepEqual(messages(schema, { flag: 'yes' }), ['flag must be true or false']);
+    });
+
+    await t.test('string rules check length, choices and format', () => {
+        assert.deepEqual(messages({ code: { type: 'string', min: 2, max: 4 } }, { code: '  a  ' }), ['code must have at least 2 characters']);
+        assert.deepEqual(messages({ size: { type: 'string', enum: ['s', 'm'] } }, { size: 'xl' }), ['size must be one of: s, m']);
+        assert.deepEqual(messages({ day: { type: 'string', pattern: /^\d{4}$/, patternMessage: 'must be a year' } }, { day: '26' }), ['day must be a year']);
+        assert.deepEqual(messages({ name: { type: 'string' } }, { name: 42 }), ['name must be a string']);
+    });
+
+    await t.test('IDs, dates, emails and lists', () => {
+        assert.deepEqual(messages({ id: { type: 'objectId' } }, { id: '507f1f77bcf86cd799439011' }), []);
+        assert.deepEqual(messages({ id: { type: 'objectId' } }, { id: '507f1f77' }), ['id must be a valid ID']);
+        assert.deepEqual(messages({ at: { type: 'date' } }, { at: 'someday' }), ['at must be a valid date']);
+        assert.deepEqual(messages({ email: { type: 'email' } }, { email: 'tess@' }), ['email must be a valid email address']);
+        assert.deepEqual(messages({ tags: { type: 'list' } }, { tags: 'a,b' }), []);
+        assert.deepEqual(messages({ tags: { type: 'list' } }, { tags: { a: 1 } }), ['tags must be a list']);
+    });
+
+    await t.test('arrays and objects are checked item by item and field by field', () => {
+        const schema = {
+            days: { type: 'array', max: 2, items: { type: 'integer', min: 0, max: 6 } },
+            place: { type: 'object', fields: { name: { type: 'string', required: true } } },
+        };
+        assert.deepEqual(messages(schema, { days: [1, 9] }), ['days item 1 must be at most 6']);
+        assert.deepEqual(messages(schema, { days: [1, 2, 3] }), ['days must have at most 2 items']);
+        const [problem] = checkSchema(schema, { place: {} });
+        assert.equal(problem.field, 'place.name');
+        assert.deepEqual(messages(schema, { place: [] }), ['place must be an object']);
+    });
+
+    await t.test('unknown types are a programming error', () => {
+        assert.throws(() => checkSchema({ x: { type: 'uuid' } }, { x: 'a' }), /Unknown validation type: uuid/);
+    });
+});
+
+test('request validation', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { request } = ctx;
+    await seedUsers(ctx);
+
+    await t.test('malformed IDs in the path are not found', async () => {
+        const { status, body } = await request('GET', '/api/packages/not-an-id');
+        assert.equal(status, 404);
+        assert.deepEqual(body, { success: false, code: 'NOT_FOUND', message: 'Package not found' });
+    });
+
+    await t.test('every problem is listed with its field', async () => {
+        const { status, body } = await request('GET', '/api/packages?limit=0&minPrice=abc');
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        assert.equal(body.message, 'limit must be at least 1');
+        assert.deepEqual(body.details, [
+            { field: 'query.limit', message: 'limit must be at least 1' },
+            { field: 'query.minPrice', message: 'minPrice must be a number' },
+        ]);
+    });
+
+    await t.test('bodies are checked too', async () => {
+        const { status, body } = await request('POST', '/api/guides/000000000000000000000000/review', {
+            as: 'tourist@example.com',
+            body: { bookingId: 'abc', rating: 9 },
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details.map(detail => detail.field), ['body.rating', 'body.bookingId']);
+    });
+
+    await t.test('broken JSON is a bad request', async () => {
+        const { status, body } = await request('POST', '/api/community', { as: 'tourist@example.com', body: '{"title":' });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_JSON');
+    });
+});
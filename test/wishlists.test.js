@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PACKAGE_STATUS } = require('../lib/packages');
+const { startTestApp, seedUsers, createPackage } = require('./support/helpers');
+
+test('wishlists', async (t) => {
+    const ctx = await startTestApp();
+    t.after(() => ctx.close());
+    const { clock, request } = ctx;
+    await seedUsers(ctx);
+    const safari = await createPackage(ctx, { packageName: 'Sundarbans Safari', price: 120 });
+    const beach = await createPackage(ctx, { packageName: 'Cox Beach Walk', price: 40 });
+    const hills = await createPackage(ctx, { packageName: 'Hill Trek', price: 60 });
+
+    // Each save is a minute after the last so newest-first listings have a fixed order
+    const save = (pkg, listId, as = 'tourist@example.com') => {
+        clock.set(new Date(clock.now().getTime() + 60000));
+        return request('POST', '/api/wishlist', { as, body: { packageId: pkg._id, listId } });
+    };
+    const mine = (query = '') => request('GET', `/api/wishlist/tourist@example.com${query}`, { as: 'tourist@example.com' });
+    const setStatus = (pkg, status) => request('PATCH', `/api/packages/${pkg._id}/status`, { as: 'admin@example.com', body: { status } });
+    let summer;
+
+    await t.test('saving without a list uses the default one', async () => {
+        assert.equal((await save(safari)).status, 201);
+        assert.equal((await save(safari)).status, 400);
+        const lists = await request('GET', '/api/wishlists', { as: 'tourist@example.com' });
+        assert.deepEqual(lists.body.map(list => [list.name, list.isDefault, list.itemCount]), [['Wishlist', true, 1]]);
+    });
+
+    await t.test('named lists hold their own items', async () => {
+        const created = await request('POST', '/api/wishlists', { as: 'tourist@example.com', body: { name: ' Summer ' } });
+        summer = created.body.list;
+        assert.equal(summer.name, 'Summer');
+        assert.equal((await save(safari, summer._id)).status, 201);
+        assert.equal((await save(beach, summer._id)).status, 201);
+        assert.equal((await save(beach, summer._id, 'guide@example.com')).status, 404);
+
+        const items = (await mine(`?listId=${summer._id}`)).body;
+        assert.deepEqual(items.map(item => item.package.packageName), ['Cox Beach Walk', 'Sundarbans Safari']);
+        assert.equal((await mine()).body.length, 3);
+        assert.equal((await request('GET', '/api/wishlist/tourist@example.com', { as: 'guide@example.com' })).status, 403);
+    });
+
+    await t.test('price changes since saving are flagged', async () => {
+        await request('PATCH', `/api/packages/${beach._id}`, { as: 'admin@example.com', body: { price: 35 } });
+        const [item] = (await mine(`?listId=${summer._id}`)).body;
+        assert.deepEqual(item.priceChange, { savedPrice: 40, currentPrice: 35, difference: -5, direction: 'down' });
+    });
+
+    await t.test('sharing a list gives one read-only link without the owner\'s email or saved prices', async () => {
+        const shared = await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' });
+        assert.equal(shared.status, 200);
+        const again = await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' });
+        assert.equal(again.body.shareToken, shared.body.shareToken);
+        assert.equal((await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'guide@example.com' })).status, 404);
+
+        const { status, body } = await request('GET', shared.body.sharePath);
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Summer');
+        assert.equal(body.ownerName, 'Tess Tourist');
+        assert.equal(body.email, undefined);
+        assert.deepEqual(Object.keys(body.items[0]).sort(), ['createdAt', 'package', 'packageId']);
+    });
+
+    await t.test('shared lists only show published packages', async () => {
+        await save(hills, summer._id);
+        await setStatus(hills, PACKAGE_STATUS.DRAFT);
+        await setStatus(safari, PACKAGE_STATUS.ARCHIVED);
+        const { shareToken } = (await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' })).body;
+        const { body } = await request('GET', `/api/shared/wishlists/${shareToken}`);
+        assert.deepEqual(body.items.map(item => item.package.packageName), ['Cox Beach Walk']);
+
+        // The owner still sees them, marked unavailable
+        const own = (await mine(`?listId=${summer._id}`)).body;
+        assert.deepEqual(own.map(item => [item.package.packageName, item.available]), [
+            ['Hill Trek', false],
+            ['Cox Beach Walk', true],
+            ['Sundarbans Safari', false],
+        ]);
+        await setStatus(safari, PACKAGE_STATUS.PUBLISHED);
+    });
+
+    await t.test('unsharing stops the link working', async () => {
+        const { shareToken } = (await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' })).body;
+        assert.equal((await request('DELETE', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' })).status, 200);
+        assert.equal((await request('GET', `/api/shared/wishlists/${shareToken}`)).status, 404);
+        const reshared = await request('POST', `/api/wishlists/${summer._id}/share`, { as: 'tourist@example.com' });
+        assert.notEqual(reshared.body.shareToken, shareToken);
+    });
+
+    await t.test('deleting a list removes its items, but the default list stays', async () => {
+        const lists = (await request('GET', '/api/wishlists', { as: 'tourist@example.com' })).body;
+        assert.equal((await request('DELETE', `/api/wishlists/${lists[0]._id}`, { as: 'tourist@example.com' })).status, 400);
+        assert.equal((await request('DELETE', `/api/wishlists/${summer._id}`, { as: 'tourist@example.com' })).status, 200);
+        assert.deepEqual((await mine()).body.map(item => item.package.packageName), ['Sundarbans Safari']);
+    });
+});
@@ -0,0 +1,137 @@
+// Declarative checks for a request's params, query and body. A schema maps field names to rules:
+//   { type, required, nullable, min, max, enum, pattern, items, fields, notFound }
+// type is one of: string, integer, number, boolean, objectId, date, email, list, array, object, any.
+// Query strings and multipart form fields arrive as strings, so integer, number and boolean also accept
+// their string forms, and 'list' accepts an array, a JSON array string or a comma-separated string.
+// min/max bound the length of strings and arrays and the value of numbers. Fields not in the schema pass through.
+const { HttpError } = require('./errors');
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const checkBounds = (size, rule, unit) => {
+    if (rule.min !== undefined && size < rule.min) {
+        return unit ? `must have at least ${rule.min} ${unit}` : `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && size > rule.max) {
+        return unit ? `must have at most ${rule.max} ${unit}` : `must be at most ${rule.max}`;
+    }
+    return null;
+};
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// Check one value against a rule; returns a message (without the field name) or null
+const checkValue = (value, rule) => {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                return 'must be a string';
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return `must be one of: ${rule.enum.join(', ')}`;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return rule.patternMessage || 'has an invalid format';
+            }
+            return checkBounds(value.trim().length, rule, 'characters');
+        }
+        case 'integer':
+        case 'number': {
+            const number = toNumber(value);
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return `must be a ${rule.type === 'integer' ? 'whole number' : 'number'}`;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(number)) {
+                return 'must be a whole number';
+            }
+            return checkBounds(number, rule);
+        }
+        case 'boolean':
+            return [true, false, 'true', 'false'].includes(value) ? null : 'must be true or false';
+        case 'objectId':
+            return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : 'must be a valid ID';
+        case 'date':
+            return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value))
+                ? null
+                : 'must be a valid date';
+        case 'email':
+            return typeof value === 'string' && EMAIL_PATTERN.test(value) && value.length <= 254
+                ? null
+                : 'must be a valid email address';
+        case 'list':
+            return Array.isArray(value) || typeof value === 'string' ? null : 'must be a list';
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return 'must be an array';
+            }
+            const boundsError = checkBounds(value.length, rule, 'items');
+            if (boundsError) {
+                return boundsError;
+            }
+            if (rule.items) {
+                for (const [index, item] of value.entries()) {
+                    const itemError = checkValue(item, rule.items);
+                    if (itemError) {
+                        return `item ${index} ${itemError}`;
+                    }
+                }
+            }
+            return null;
+        }
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        case 'any':
+            return null;
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+};
+
+// Check an object against a schema; returns a list of { field, message } problems
+const checkSchema = (schema, input, prefix = '') => {
+    const problems = [];
+    for (const [name, rule] of Object.entries(schema)) {
+        const field = prefix ? `${prefix}.${name}` : name;
+        const value = input?.[name];
+        if (isEmpty(value)) {
+            if (rule.required && !(rule.nullable && value === null)) {
+                problems.push({ field, message: `${name} is required`, rule });
+            }
+            continue;
+        }
+        const message = checkValue(value, rule);
+        if (message) {
+            problems.push({ field, message: `${name} ${message}`, rule });
+        } else if (rule.type === 'object' && rule.fields) {
+            problems.push(...checkSchema(rule.fields, value, field));
+        }
+    }
+    return problems;
+};
+
+// Middleware checking req.params, req.query and req.body against their schemas. A malformed
+// ID in the path answers 404 (with the rule's notFound message); anything else answers 400
+// with every problem listed in details. Put it after any upload middleware so form fields are parsed.
+const validate = ({ params, query, body } = {}) => (req, res, next) => {
+    const paramProblems = params ? checkSchema(params, req.params) : [];
+    if (paramProblems.length > 0) {
+        return next(new HttpError(404, paramProblems[0].rule.notFound || 'Not found'));
+    }
+
+    const problems = [
+        ...(query ? checkSchema(query, req.query).map(problem => ({ ...problem, field: `query.${problem.field}` })) : []),
+        ...(body ? checkSchema(body, req.body || {}).map(problem => ({ ...problem, field: `body.${problem.field}` })) : []),
+    ].map(({ field, message }) => ({ field, message }));
+    if (problems.length > 0) {
+        return next(new HttpError(400, problems[0].message, { code: 'VALIDATION_FAILED', details: problems }));
+    }
+    next();
+};
+
+module.exports = {
+    checkSchema,
+    validate,
+};